@@ -1,42 +1,67 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { useMsal } from '@azure/msal-react';
 import FileManager from './components/FileManager';
+import AccountSwitcher from './components/AccountSwitcher';
+import useActiveAccount from './hooks/useActiveAccount';
+import { loginMode, loginRequest } from './msalConfig';
+import { accountKey, isPopupBlocked } from './utils/auth';
 import './App.css';
 
 function App() {
   const { instance, accounts } = useMsal();
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [user, setUser] = useState(null);
+  const activeAccount = useActiveAccount();
 
-  useEffect(() => {
-    if (accounts.length > 0) {
-      setIsAuthenticated(true);
-      setUser(accounts[0]);
-    }
-  }, [accounts]);
-
-  const handleLogin = async () => {
+  // `extraRequest` adds e.g. prompt: 'select_account' when adding an account
+  const signIn = async (extraRequest = {}) => {
+    const request = { ...loginRequest, ...extraRequest };
     try {
-      await instance.loginPopup();
+      if (loginMode === 'redirect') {
+        // The active account is set in index.js once the redirect returns
+        await instance.loginRedirect(request);
+        return;
+      }
+      const result = await instance.loginPopup(request);
+      instance.setActiveAccount(result.account);
     } catch (error) {
+      if (isPopupBlocked(error)) {
+        // Popup blocked: a full-page redirect still works and returns here afterwards
+        await instance.loginRedirect(request);
+        return;
+      }
       console.error('Login error:', error);
     }
   };
 
+  const handleLogin = () => signIn();
+
+  const handleAddAccount = () => signIn({ prompt: 'select_account' });
+
+  const handleSwitchAccount = (account) => {
+    instance.setActiveAccount(account);
+  };
+
   const handleLogout = () => {
-    instance.logoutPopup();
+    const request = { account: activeAccount };
+    if (loginMode === 'redirect') {
+      instance.logoutRedirect(request);
+    } else {
+      instance.logoutPopup(request);
+    }
   };
 
   return (
     <div className="App">
       <header className="App-header">
         <h1>Blob Storage Gateway</h1>
-        {isAuthenticated ? (
+        {activeAccount ? (
           <div className="auth-info">
-            <span>Welcome, {user?.name || user?.username}</span>
-            <button onClick={handleLogout} className="btn btn-logout">
-              Logout
-            </button>
+            <AccountSwitcher
+              accounts={accounts}
+              activeAccount={activeAccount}
+              onSwitch={handleSwitchAccount}
+              onAddAccount={handleAddAccount}
+              onLogout={handleLogout}
+            />
           </div>
         ) : (
           <button onClick={handleLogin} className="btn btn-login">
@@ -45,9 +70,10 @@ function App() {
         )}
       </header>
 
-      {isAuthenticated ? (
+      {activeAccount ? (
         <main className="App-main">
-          <FileManager />
+          {/* Keyed by identity so switching accounts reloads roles and listings from scratch */}
+          <FileManager key={accountKey(activeAccount)} account={activeAccount} />
         </main>
       ) : (
         <main className="App-main">
@@ -1,8 +1,16 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// The real config builds an MSAL client, which needs browser crypto
+jest.mock('./msalConfig', () => ({
+  loginMode: 'popup',
+  loginRequest: { scopes: [] },
+  msalInstance: {},
+}));
+
+test('asks signed-out users to log in', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/Blob Storage Gateway/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /log ?in/i })).toBeInTheDocument();
+  expect(screen.getByText(/please log in to access files/i)).toBeInTheDocument();
 });
@@ -0,0 +1,324 @@
+import axios from 'axios';
+import { listingQuery } from '../utils/listing';
+import { isRetryable, retryDelay, sleep, untilAborted } from '../utils/retry';
+
+export const MAX_REQUEST_RETRIES = 3;
+
+// Where to ask for effective permissions when the token has too many groups to
+// list; relative to the API unless absolute
+const PERMISSIONS_ENDPOINT = process.env.REACT_APP_PERMISSIONS_ENDPOINT || '/api/me/permissions';
+
+// Methods safe to repeat after a server error; other requests are only retried
+// on 429, which the server rejects before doing any work
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+// Thrown by every client call. Carries the HTTP status (null for network
+// failures) and the server's own explanation when it sent one.
+export class StorageApiError extends Error {
+  constructor(message, { status = null, serverMessage = null, response = null } = {}) {
+    super(message);
+    this.name = 'StorageApiError';
+    this.status = status;
+    this.serverMessage = serverMessage;
+    this.response = response;
+  }
+}
+
+const readServerMessage = (data) => {
+  if (!data) return null;
+  if (typeof data === 'string') return data.trim() || null;
+  return data.error || data.message || data.title || null;
+};
+
+const toApiError = (error) => {
+  const { response } = error;
+  const serverMessage = readServerMessage(response?.data);
+  let message = serverMessage;
+  if (!message) {
+    message = response
+      ? `Request failed with status ${response.status}`
+      : 'The storage API could not be reached.';
+  }
+  return new StorageApiError(message, { status: response?.status ?? null, serverMessage, response });
+};
+
+// True for requests stopped by an AbortSignal, including while waiting to retry
+export const isCancelled = (error) => axios.isCancel(error) || error?.name === 'AbortError';
+
+// Error banner text: the caller's summary plus the server's reason, if any
+export const describeError = (error, fallback) => (error?.serverMessage
+  ? `${fallback} ${error.serverMessage}`
+  : fallback);
+
+// Blob paths go into the URL path with their slashes kept
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+// Storage API client. `getAccessToken({ forceRefresh })` supplies bearer
+// tokens; each request asks for one, so long-running work never sends a stale
+// token. Waiting for a token (possibly on the user signing in again) stops
+// when the request's signal aborts. A 401 is retried once with a refreshed token, and transient failures
+// are retried with backoff (`maxRetries` per request overrides the default).
+export const createStorageClient = ({ baseURL, getAccessToken }) => {
+  const http = axios.create({ baseURL });
+
+  http.interceptors.request.use(async (config) => {
+    const token = await untilAborted(
+      getAccessToken({ forceRefresh: Boolean(config.forceTokenRefresh) }),
+      config.signal
+    );
+    config.headers.Authorization = `Bearer ${token}`;
+    return config;
+  });
+
+  http.interceptors.response.use(undefined, async (error) => {
+    const { config } = error;
+    if (axios.isCancel(error) || !config) throw error;
+
+    if (error.response?.status === 401 && !config.forceTokenRefresh) {
+      return http({ ...config, forceTokenRefresh: true });
+    }
+
+    const attempt = config.retryCount || 0;
+    const retryable = error.response?.status === 429
+      || (isRetryable(error) && IDEMPOTENT_METHODS.has(config.method));
+    if (retryable && attempt < (config.maxRetries ?? MAX_REQUEST_RETRIES)) {
+      const delay = retryDelay(error, attempt);
+      console.warn(`${config.method.toUpperCase()} ${config.url} failed (attempt ${attempt + 1}), retrying in ${Math.round(delay)}ms:`, error.message);
+      await sleep(delay, config.signal);
+      return http({ ...config, retryCount: attempt + 1 });
+    }
+
+    throw toApiError(error);
+  });
+
+  const listFolder = async (folderPath, { continuationToken, signal } = {}) => {
+    const response = await http.get(`/api/files${listingQuery(folderPath, continuationToken)}`, { signal });
+    return response.data;
+  };
+
+  const fileExists = async (path, { signal } = {}) => {
+    const response = await http.get(`/api/files/exists/${encodeURIComponent(path)}`, { signal });
+    return Boolean(response.data?.exists);
+  };
+
+  // Single-request upload; the API finishes writing the blob in the background
+  const uploadFile = async (file, folder, { signal, onUploadProgress } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    // Do NOT set Content-Type for FormData; browser adds boundary automatically
+    const response = await http.post(
+      `/api/files${folder ? `?folder=${encodeURIComponent(folder)}` : ''}`,
+      formData,
+      { signal, onUploadProgress }
+    );
+    return response.data;
+  };
+
+  // Chunk requests leave retrying to the chunked uploader, which tracks attempts per chunk
+  const uploadChunk = async ({ chunk, filename, chunkIndex, totalChunks, folder }, { signal, onUploadProgress } = {}) => {
+    const params = new URLSearchParams({ filename, chunkIndex, totalChunks, folder });
+    const formData = new FormData();
+    formData.append('file', chunk);
+    await http.post(`/api/files/chunked?${params.toString()}`, formData, {
+      signal,
+      onUploadProgress,
+      maxRetries: 0,
+    });
+  };
+
+  const commitChunkedUpload = async ({ filename, totalChunks, contentType, folder }, { signal } = {}) => {
+    await http.post(
+      '/api/files/chunked/commit',
+      { filename, totalChunks, contentType, folder },
+      { signal, maxRetries: 0 }
+    );
+  };
+
+  const tokenUrl = (path, token, versionId) => {
+    const params = new URLSearchParams({ dt: token });
+    if (versionId) params.set('versionId', versionId);
+    return `${baseURL}/api/files/${encodeURIComponent(path)}?${params.toString()}`;
+  };
+
+  // Short-lived URL the browser can stream from directly, without a bearer
+  // header. `versionId` picks an earlier version instead of the current blob.
+  const getDownloadUrl = async (path, { versionId } = {}) => {
+    const response = await http.post('/api/files/download-token', versionId ? { path, versionId } : { path });
+    const downloadToken = response.data?.token;
+    if (!downloadToken) {
+      throw new StorageApiError('No download token returned');
+    }
+    return tokenUrl(path, downloadToken, versionId);
+  };
+
+  // Share links are long-lived download tokens with limits attached:
+  // { path, expiresInHours, password, maxDownloads } (password and
+  // maxDownloads optional). Resolves to the link as listed by listShareLinks.
+  // A password link without a landing page `url` would download without the
+  // password, so it is revoked again and reported as an error.
+  const createShareLink = async ({ path, expiresInHours, password, maxDownloads }) => {
+    const response = await http.post('/api/files/download-token', {
+      path,
+      share: true,
+      expiresInHours,
+      ...(password ? { password } : {}),
+      ...(maxDownloads ? { maxDownloads } : {}),
+    });
+    if (!response.data?.token) {
+      throw new StorageApiError('No share token returned');
+    }
+    if (password && !response.data.url) {
+      if (response.data.id) {
+        await revokeShareLink(response.data.id).catch((e) => console.error('Revoke share link error:', e));
+      }
+      throw new StorageApiError('The storage API did not return a password page for this link, so it was not created.');
+    }
+    return { path, ...response.data };
+  };
+
+  // The caller's active links.
+  // { links: [{ id, path, token, url, createdAt, expiresAt, maxDownloads, downloadCount, hasPassword }] }
+  const listShareLinks = async ({ signal } = {}) => {
+    const response = await http.get('/api/files/share-links', { signal });
+    return response.data;
+  };
+
+  const revokeShareLink = async (id) => {
+    await http.delete(`/api/files/share-links/${encodeURIComponent(id)}`);
+  };
+
+  // Address to hand out for a share link; null for a password link without a
+  // landing page, whose token URL would skip the password
+  const shareLinkUrl = (link) => {
+    if (link.url) return link.url;
+    return link.hasPassword ? null : tokenUrl(link.path, link.token);
+  };
+
+  // Earlier versions of a blob, newest first.
+  // { versions: [{ versionId, size, lastModified, isCurrent }] }
+  const listVersions = async (path, { signal } = {}) => {
+    const params = new URLSearchParams({ path });
+    const response = await http.get(`/api/files/versions?${params.toString()}`, { signal });
+    return response.data;
+  };
+
+  // Copy an earlier version over the current blob; the replaced content
+  // becomes a version itself, so this can be reverted the same way
+  const promoteVersion = async (path, versionId) => {
+    const response = await http.post('/api/files/versions/promote', { path, versionId });
+    return response.data;
+  };
+
+  // Soft delete: the blob moves to the recycle bin. Resolves to the bin
+  // entry ({ id, originalPath, ... }) so the delete can be undone.
+  const deleteFile = async (path, { signal } = {}) => {
+    const response = await http.delete(`/api/files/${encodePath(path)}`, { signal });
+    return response.data;
+  };
+
+  const createFolder = async (folderPath, { signal } = {}) => {
+    const response = await http.post('/api/files/folders/create', { folderPath }, { signal });
+    return response.data;
+  };
+
+  // Folders must be empty
+  const deleteFolder = async (folderPath, { signal } = {}) => {
+    await http.delete(`/api/files/folders/${encodeURIComponent(folderPath)}`, { signal });
+  };
+
+  const renameItem = async (oldPath, newName) => {
+    await http.post('/api/files/rename', { oldPath, newName });
+  };
+
+  const moveItem = async (sourcePath, destinationPath, { signal } = {}) => {
+    await http.post('/api/files/move', { sourcePath, destinationPath }, { signal });
+  };
+
+  // Deleted files, newest first.
+  // { items: [{ id, name, originalPath, size, deletedBy, deletedAt }], continuationToken }
+  const listRecycleBin = async ({ continuationToken, signal } = {}) => {
+    const params = new URLSearchParams();
+    if (continuationToken) params.set('continuationToken', continuationToken);
+    const query = params.toString();
+    const response = await http.get(`/api/recycle-bin${query ? `?${query}` : ''}`, { signal });
+    return response.data;
+  };
+
+  // Back to `destinationPath` (full blob path), or where it was deleted from
+  const restoreDeleted = async (id, destinationPath) => {
+    const response = await http.post(
+      `/api/recycle-bin/${encodeURIComponent(id)}/restore`,
+      destinationPath ? { destinationPath } : {}
+    );
+    return response.data;
+  };
+
+  // Admin only; cannot be undone
+  const purgeDeleted = async (id) => {
+    await http.delete(`/api/recycle-bin/${encodeURIComponent(id)}`);
+  };
+
+  // { isReader, isUploader, isAdmin } or { roles, groups } for the caller
+  const getPermissions = async () => {
+    const response = await http.get(PERMISSIONS_ENDPOINT);
+    return response.data;
+  };
+
+  // Admin only: who may read, write and delete in a folder.
+  // { entries: [{ principalId, displayName, read, write, delete, inheritedFrom }] }
+  const getFolderPermissions = async (folderPath, { signal } = {}) => {
+    const params = new URLSearchParams({ folder: folderPath || '' });
+    const response = await http.get(`/api/permissions?${params.toString()}`, { signal });
+    return response.data;
+  };
+
+  // Replaces the folder's own entries; inherited ones are managed on their folder
+  const setFolderPermissions = async (folderPath, entries) => {
+    const response = await http.put('/api/permissions', { folderPath: folderPath || '', entries });
+    return response.data;
+  };
+
+  // Admin only: precomputed usage figures (see utils/usage.js for the shape).
+  // Not every deployment has it; callers fall back to walking the listing on 404.
+  const getUsageSummary = async ({ signal } = {}) => {
+    const response = await http.get('/api/admin/usage', { signal });
+    return response.data;
+  };
+
+  // Activity entries, newest first, narrowed by `filters` (see utils/audit.js).
+  // { entries: [{ id, timestamp, user, action, path, destinationPath }], continuationToken }
+  const getAuditLog = async (filters, { continuationToken, signal } = {}) => {
+    const params = new URLSearchParams(filters);
+    if (continuationToken) params.set('continuationToken', continuationToken);
+    const response = await http.get(`/api/audit?${params.toString()}`, { signal });
+    return response.data;
+  };
+
+  return {
+    getPermissions,
+    getUsageSummary,
+    getAuditLog,
+    getFolderPermissions,
+    setFolderPermissions,
+    listFolder,
+    fileExists,
+    uploadFile,
+    uploadChunk,
+    commitChunkedUpload,
+    getDownloadUrl,
+    listVersions,
+    createShareLink,
+    listShareLinks,
+    revokeShareLink,
+    shareLinkUrl,
+    promoteVersion,
+    deleteFile,
+    listRecycleBin,
+    restoreDeleted,
+    purgeDeleted,
+    createFolder,
+    deleteFolder,
+    renameItem,
+    moveItem,
+  };
+};
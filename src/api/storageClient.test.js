@@ -0,0 +1,151 @@
+import axios, { AxiosError } from 'axios';
+import { StorageApiError, createStorageClient, describeError, isCancelled } from './storageClient';
+import { sleep } from '../utils/retry';
+
+jest.mock('../utils/retry', () => ({ ...jest.requireActual('../utils/retry'), sleep: jest.fn() }));
+
+// Answers requests from `replies` in order: a number is an error status,
+// anything else is the response body
+const serve = (replies) => {
+  const requests = [];
+  const adapter = async (config) => {
+    requests.push(config);
+    const reply = replies.shift();
+    if (typeof reply !== 'number') return { data: reply, status: 200, statusText: 'OK', headers: {}, config };
+    const response = { data: { error: `failed with ${reply}` }, status: reply, statusText: '', headers: {}, config };
+    throw new AxiosError(`Request failed with status code ${reply}`, 'ERR_BAD_RESPONSE', config, {}, response);
+  };
+  return { requests, adapter };
+};
+
+const clientFor = (replies) => {
+  const { requests, adapter } = serve(replies);
+  const getAccessToken = jest.fn(async ({ forceRefresh }) => (forceRefresh ? 'fresh-token' : 'token'));
+  const originalAdapter = axios.defaults.adapter;
+  axios.defaults.adapter = adapter;
+  const api = createStorageClient({ baseURL: 'https://api.test', getAccessToken });
+  axios.defaults.adapter = originalAdapter;
+  return { api, requests, getAccessToken };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  sleep.mockResolvedValue(undefined);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createStorageClient', () => {
+  it('sends a bearer token with every request', async () => {
+    const { api, requests } = clientFor([{ exists: true }]);
+    expect(await api.fileExists('a/b.txt')).toBe(true);
+    expect(requests[0].headers.Authorization).toBe('Bearer token');
+    expect(requests[0].url).toBe('/api/files/exists/a%2Fb.txt');
+  });
+
+  it('retries a 401 once with a refreshed token', async () => {
+    const { api, requests, getAccessToken } = clientFor([401, { exists: false }]);
+    expect(await api.fileExists('a.txt')).toBe(false);
+    expect(getAccessToken).toHaveBeenLastCalledWith({ forceRefresh: true });
+    expect(requests.map((r) => r.headers.Authorization)).toEqual(['Bearer token', 'Bearer fresh-token']);
+  });
+
+  it('gives up when the refreshed token is refused too', async () => {
+    const { api, requests } = clientFor([401, 401]);
+    await expect(api.fileExists('a.txt')).rejects.toMatchObject({ status: 401, serverMessage: 'failed with 401' });
+    expect(requests).toHaveLength(2);
+  });
+
+  it('retries throttling and server errors on reads with backoff', async () => {
+    const { api, requests } = clientFor([429, 503, { exists: true }]);
+    expect(await api.fileExists('a.txt')).toBe(true);
+    expect(requests).toHaveLength(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops after the retry limit with the server message', async () => {
+    const { api, requests } = clientFor([500, 500, 500, 500]);
+    const error = await api.fileExists('a.txt').catch((e) => e);
+    expect(error).toBeInstanceOf(StorageApiError);
+    expect(error).toMatchObject({ status: 500, message: 'failed with 500' });
+    expect(requests).toHaveLength(4);
+  });
+
+  it('retries non-idempotent requests on 429 only', async () => {
+    const throttled = clientFor([429, undefined]);
+    await throttled.api.moveItem('a', 'b');
+    expect(throttled.requests).toHaveLength(2);
+
+    const failing = clientFor([502]);
+    await expect(failing.api.moveItem('a', 'b')).rejects.toMatchObject({ status: 502 });
+    expect(failing.requests).toHaveLength(1);
+  });
+
+  it('stops waiting for a token once the request is aborted', async () => {
+    const { api, requests, getAccessToken } = clientFor([{ exists: true }]);
+    getAccessToken.mockReturnValue(new Promise(() => {}));
+    const controller = new AbortController();
+    const checking = api.fileExists('a.txt', { signal: controller.signal });
+    controller.abort();
+    await expect(checking).rejects.toBe(controller.signal.reason);
+    expect(requests).toHaveLength(0);
+  });
+
+  it('leaves chunk retries to the uploader', async () => {
+    const { api, requests } = clientFor([503]);
+    await expect(api.uploadChunk({ chunk: new Blob(['x']), filename: 'f', chunkIndex: 0, totalChunks: 1, folder: '' }))
+      .rejects.toMatchObject({ status: 503 });
+    expect(requests).toHaveLength(1);
+  });
+});
+
+describe('share links', () => {
+  it('hands out the landing page, or the token URL for links without a password', () => {
+    const { api } = clientFor([]);
+    expect(api.shareLinkUrl({ path: 'a.txt', token: 't', url: 'https://share.test/x' })).toBe('https://share.test/x');
+    expect(api.shareLinkUrl({ path: 'a b.txt', token: 't' })).toBe('https://api.test/api/files/a%20b.txt?dt=t');
+    expect(api.shareLinkUrl({ path: 'a.txt', token: 't', hasPassword: true })).toBeNull();
+  });
+
+  it('sends only the limits that are set', async () => {
+    const { api, requests } = clientFor([{ token: 't', id: '1' }]);
+    expect(await api.createShareLink({ path: 'a.txt', expiresInHours: 24, password: '', maxDownloads: null }))
+      .toEqual({ path: 'a.txt', token: 't', id: '1' });
+    expect(JSON.parse(requests[0].data)).toEqual({ path: 'a.txt', share: true, expiresInHours: 24 });
+  });
+
+  it('revokes a password link that came back without a landing page', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { api, requests } = clientFor([{ token: 't', id: '7' }, undefined]);
+    await expect(api.createShareLink({ path: 'a.txt', expiresInHours: 1, password: 'pw' }))
+      .rejects.toThrow(/password page/);
+    expect(requests.map((r) => [r.method, r.url])).toEqual([
+      ['post', '/api/files/download-token'],
+      ['delete', '/api/files/share-links/7'],
+    ]);
+  });
+
+  it('keeps a password link with a landing page', async () => {
+    const { api } = clientFor([{ token: 't', id: '7', url: 'https://share.test/7' }]);
+    await expect(api.createShareLink({ path: 'a.txt', expiresInHours: 1, password: 'pw' }))
+      .resolves.toMatchObject({ url: 'https://share.test/7' });
+  });
+});
+
+describe('describeError', () => {
+  it("appends the server's reason when there is one", () => {
+    expect(describeError(new StorageApiError('x', { serverMessage: 'Quota exceeded.' }), 'Upload failed.'))
+      .toBe('Upload failed. Quota exceeded.');
+    expect(describeError(new Error('socket hang up'), 'Upload failed.')).toBe('Upload failed.');
+  });
+});
+
+describe('isCancelled', () => {
+  it('recognises aborted requests', () => {
+    expect(isCancelled(new DOMException('Aborted', 'AbortError'))).toBe(true);
+    expect(isCancelled(new axios.CanceledError())).toBe(true);
+    expect(isCancelled(new Error('boom'))).toBe(false);
+  });
+});
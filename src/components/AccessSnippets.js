@@ -0,0 +1,37 @@
+import React, { useState, useMemo } from 'react';
+import { SNIPPET_OPERATIONS, WRITE_OPERATIONS, buildSnippets } from '../utils/accessSnippets';
+import './AccessSnippets.css';
+
+// Ready-to-run API samples for one file, grouped by operation. The text in
+// each block is the text that gets copied.
+const AccessSnippets = ({ apiUrl, path, canWrite, onCopy }) => {
+  const operations = SNIPPET_OPERATIONS.filter((op) => canWrite || !WRITE_OPERATIONS.has(op.id));
+  const [operation, setOperation] = useState(operations[0].id);
+  const snippets = useMemo(() => buildSnippets(operation, { apiUrl, path }), [operation, apiUrl, path]);
+
+  return (
+    <div className="access-snippets">
+      <nav className="access-snippets-tabs">
+        {operations.map((op) => (
+          <button
+            key={op.id}
+            className={op.id === operation ? 'active' : ''}
+            onClick={() => setOperation(op.id)}
+          >
+            {op.label}
+          </button>
+        ))}
+      </nav>
+      {snippets.map((snippet) => (
+        <div key={snippet.id} className="access-snippet">
+          <h4>{snippet.label}:</h4>
+          {snippet.note && <p className="access-snippet-note">{snippet.note}</p>}
+          <pre>{snippet.code}</pre>
+          <button onClick={() => onCopy(snippet.code)}>Copy {snippet.label.split(' (')[0]}</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AccessSnippets;
@@ -0,0 +1,66 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { accountKey, isGuestAccount, sameAccount } from '../utils/auth';
+import './AccountSwitcher.css';
+
+const tenantLabel = (account) => (isGuestAccount(account)
+  ? `Guest in ${account.tenantId.slice(0, 8)}…`
+  : 'Home tenant');
+
+// Header menu listing every signed-in MSAL account
+const AccountSwitcher = ({ accounts, activeAccount, onSwitch, onAddAccount, onLogout }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return undefined;
+    const onMouseDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', onMouseDown);
+    return () => document.removeEventListener('mousedown', onMouseDown);
+  }, [open]);
+
+  const choose = (action) => () => {
+    setOpen(false);
+    action();
+  };
+
+  return (
+    <div className="account-switcher" ref={menuRef}>
+      <button className="account-current" onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+        {activeAccount.name || activeAccount.username}
+        {isGuestAccount(activeAccount) && <span className="account-badge">Guest</span>}
+        <span aria-hidden="true"> ▾</span>
+      </button>
+      {open && (
+        <div className="account-menu" role="menu">
+          {accounts.map((account) => {
+            const active = sameAccount(account, activeAccount);
+            return (
+              <button
+                key={accountKey(account)}
+                role="menuitemradio"
+                aria-checked={active}
+                className={`account-option${active ? ' active' : ''}`}
+                onClick={choose(() => onSwitch(account))}
+              >
+                <span className="account-name">{active ? '✓ ' : ''}{account.name || account.username}</span>
+                <span className="account-detail">{account.username} · {tenantLabel(account)}</span>
+              </button>
+            );
+          })}
+          <div className="account-menu-divider" />
+          <button role="menuitem" className="account-option" onClick={choose(onAddAccount)}>
+            + Add another account
+          </button>
+          <button role="menuitem" className="account-option account-logout" onClick={choose(onLogout)}>
+            Sign out of {activeAccount.username}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountSwitcher;
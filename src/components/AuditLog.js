@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import useAuditLog from '../hooks/useAuditLog';
+import {
+  AUDIT_ACTIONS, EMPTY_AUDIT_FILTERS, auditActionLabel, auditTarget, formatAuditTime,
+} from '../utils/audit';
+import './AuditLog.css';
+
+const parentFolder = (path) => path.split('/').slice(0, -1).join('/');
+
+// Who did what, to which path and when. Filters are applied on submit so
+// typing a user name doesn't fire a request per keystroke.
+const AuditLog = ({ api, onOpenFolder, onShowHistory }) => {
+  const [form, setForm] = useState(EMPTY_AUDIT_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const { entries, loading, error, hasMore, loadMore, reload } = useAuditLog(api, filters);
+
+  const update = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFilters(form);
+  };
+
+  const clearFilters = () => {
+    setForm(EMPTY_AUDIT_FILTERS);
+    setFilters(EMPTY_AUDIT_FILTERS);
+  };
+
+  return (
+    <div className="audit-log">
+      <form className="audit-filters" onSubmit={handleSubmit}>
+        <label>
+          User
+          <input type="text" value={form.user} onChange={update('user')} placeholder="Name or email" />
+        </label>
+        <label>
+          Action
+          <select value={form.action} onChange={update('action')}>
+            <option value="">Any</option>
+            {Object.entries(AUDIT_ACTIONS).map(([action, label]) => (
+              <option key={action} value={action}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Path starts with
+          <input type="text" value={form.pathPrefix} onChange={update('pathPrefix')} placeholder="e.g. reports/2024" />
+        </label>
+        <label>
+          From
+          <input type="date" value={form.from} onChange={update('from')} />
+        </label>
+        <label>
+          To
+          <input type="date" value={form.to} onChange={update('to')} />
+        </label>
+        <div className="audit-filter-actions">
+          <button type="submit">Apply</button>
+          <button type="button" onClick={clearFilters}>Clear</button>
+          <button type="button" onClick={reload} disabled={loading}>Refresh</button>
+        </div>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <table className="audit-table">
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>User</th>
+            <th>Action</th>
+            <th>Path</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry.id || `${entry.timestamp}:${entry.action}:${entry.path}`}>
+              <td className="audit-time">{formatAuditTime(entry.timestamp)}</td>
+              <td>{entry.user || 'Unknown'}</td>
+              <td><span className={`audit-action audit-${entry.action}`}>{auditActionLabel(entry.action)}</span></td>
+              <td className="audit-path">
+                <span
+                  className="audit-link"
+                  onClick={() => onOpenFolder(parentFolder(entry.destinationPath || entry.path))}
+                  title="Open containing folder"
+                >
+                  {auditTarget(entry)}
+                </span>
+              </td>
+              <td>
+                <button className="link-button" onClick={() => onShowHistory(entry.destinationPath || entry.path)}>
+                  History
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!loading && !error && entries.length === 0 && <p className="audit-empty">No activity matches these filters.</p>}
+      {(hasMore || loading) && (
+        <div className="audit-more">
+          <button onClick={loadMore} disabled={loading}>{loading ? 'Loading...' : 'Load more'}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,46 @@
+import React from 'react';
+
+// Per-item outcome of a bulk action: [{ item: { name, path }, ok, error }]
+const BulkSummaryDialog = ({ summary, onClose }) => {
+  const failures = summary.results.filter((r) => !r.ok);
+  const successes = summary.results.filter((r) => r.ok);
+
+  return (
+    <div className="dialog-overlay">
+      <div className="dialog bulk-summary">
+        <h3>{summary.title}</h3>
+        <p>
+          {successes.length} succeeded, {failures.length} failed.
+        </p>
+        {failures.length > 0 && (
+          <>
+            <h4>Failed</h4>
+            <ul className="bulk-summary-list">
+              {failures.map((r) => (
+                <li key={r.item.path} className="bulk-failed">
+                  <span>{r.item.path}</span>
+                  <span className="bulk-error">{r.error}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        {successes.length > 0 && (
+          <>
+            <h4>Succeeded</h4>
+            <ul className="bulk-summary-list">
+              {successes.map((r) => (
+                <li key={r.item.path} className="bulk-ok">{r.item.path}</li>
+              ))}
+            </ul>
+          </>
+        )}
+        <div className="dialog-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkSummaryDialog;
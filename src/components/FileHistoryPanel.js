@@ -0,0 +1,42 @@
+import React, { useMemo } from 'react';
+import useAuditLog from '../hooks/useAuditLog';
+import { auditActionLabel, auditTarget, formatAuditTime } from '../utils/audit';
+import './AuditLog.css';
+
+// Activity for one file or folder, newest first, as a dialog over the list
+const FileHistoryPanel = ({ api, path, onClose }) => {
+  const filters = useMemo(() => ({ path }), [path]);
+  const { entries, loading, error, hasMore, loadMore } = useAuditLog(api, filters);
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div className="dialog file-history" onClick={(e) => e.stopPropagation()}>
+        <h3>History: {path}</h3>
+        {error && <div className="error-message">{error}</div>}
+        {!loading && !error && entries.length === 0 && <p>No recorded activity for this item.</p>}
+        {entries.length > 0 && (
+          <ol className="file-history-list">
+            {entries.map((entry) => (
+              <li key={entry.id || `${entry.timestamp}:${entry.action}`}>
+                <span className="audit-time">{formatAuditTime(entry.timestamp)}</span>
+                <span>
+                  <strong>{entry.user || 'Unknown'}</strong>{' '}
+                  <span className={`audit-action audit-${entry.action}`}>{auditActionLabel(entry.action)}</span>{' '}
+                  {auditTarget(entry)}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+        <div className="dialog-actions">
+          {(hasMore || loading) && (
+            <button onClick={loadMore} disabled={loading}>{loading ? 'Loading...' : 'Load more'}</button>
+          )}
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileHistoryPanel;
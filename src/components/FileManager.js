@@ -1,18 +1,87 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useMsal } from '@azure/msal-react';
-import { loginRequest } from '../msalConfig';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createStorageClient, describeError, isCancelled } from '../api/storageClient';
+import { uploadFileInChunks } from '../utils/chunkedUpload';
+import { deleteUploadState, listUploadStates } from '../utils/uploadStore';
+import { collectDroppedFiles, filesFromInput, isFileDrag, targetFolderFor } from '../utils/fileDrop';
+import useUploadQueue from '../hooks/useUploadQueue';
+import UploadQueue from './UploadQueue';
+import BulkSummaryDialog from './BulkSummaryDialog';
+import ZipDownloadPanel from './ZipDownloadPanel';
+import FilePreview from './FilePreview';
+import FileTable from './FileTable';
+import FolderTree from './FolderTree';
+import FolderPicker from './FolderPicker';
+import SearchPanel from './SearchPanel';
+import usePersistentState from '../hooks/usePersistentState';
+import useHashRoute from '../hooks/useHashRoute';
+import useAccessToken from '../hooks/useAccessToken';
+import useFolderOperation from '../hooks/useFolderOperation';
+import { loginMode } from '../msalConfig';
+import { filterItems, mergeFolders, metadataColumns, sortItems } from '../utils/listing';
+import { runBulk } from '../utils/bulk';
+import { formatBytes } from '../utils/format';
+import { findConflicts, resolveConflicts } from '../utils/uploadConflicts';
+import { downloadUrl } from '../utils/accessSnippets';
+import { validateFolderOperation } from '../utils/folderOps';
+import { dropProblem, isItemDrag, setItemDragData } from '../utils/itemDrag';
+import { filePathIn, walkFolder } from '../utils/folderWalk';
+import { openZipSink, streamZip } from '../utils/zipDownload';
+import { normalizeFolder } from '../utils/route';
+import { folderChoiceProblem, parentOf, treeKey, validateFolderName } from '../utils/folderPath';
+import { hasAnyRole, resolveUserRoles } from '../utils/roles';
+import {
+  PERMISSION_KINDS,
+  cachedFolderPermissions,
+  folderPermissions,
+  itemPermissions,
+  permissionDeniedMessage,
+} from '../utils/permissions';
+import FolderPermissionsPanel from './FolderPermissionsPanel';
+import UsageDashboard from './UsageDashboard';
+import AuditLog from './AuditLog';
+import FileHistoryPanel from './FileHistoryPanel';
+import RecycleBin from './RecycleBin';
+import UndoToast from './UndoToast';
+import UploadConflictDialog from './UploadConflictDialog';
+import VersionsPanel from './VersionsPanel';
+import ShareLinkForm from './ShareLinkForm';
+import SharedLinks from './SharedLinks';
+import AccessSnippets from './AccessSnippets';
+import FolderOperationPanel from './FolderOperationPanel';
 import './FileManager.css';
 
-const FileManager = () => {
-  const { instance, accounts } = useMsal();
+const USE_CHUNKED_THRESHOLD = 100 * 1024 * 1024; // 100 MB
+
+// `account` is the signed-in identity; App remounts this component when it changes
+const FileManager = ({ account }) => {
+  // Open folder, preview and search live in the URL; see utils/route.js
+  const [route, navigate] = useHashRoute();
   const [files, setFiles] = useState([]);
   const [folders, setFolders] = useState([]);
   const [currentPath, setCurrentPath] = useState('/');
   const [loading, setLoading] = useState(false);
+  const [listingPending, setListingPending] = useState(false);
+  // Token for the next page of the current folder; null once it is fully loaded
+  const [listingContinuation, setListingContinuation] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Caller's effective permissions on the open folder, when the API reports them
+  const [listingPermissions, setListingPermissions] = useState(null);
+  // Folder whose permissions an admin is editing
+  const [permissionsFolder, setPermissionsFolder] = useState(null);
+  // File or folder whose activity is shown in the history panel
+  const [historyPath, setHistoryPath] = useState(null);
+  // File whose versions are listed, as { path, canPromote }
+  const [versionsTarget, setVersionsTarget] = useState(null);
+  // Uploads held back until the user decides about clashing names:
+  // { items, folder, existingNames, names }
+  const [uploadConflict, setUploadConflict] = useState(null);
+  // Folder under the pointer while dragging list rows: { path, valid }
+  const [dropTarget, setDropTarget] = useState(null);
+  // { id, message, changes } for the toast shown after a delete or move
+  const [undoToast, setUndoToast] = useState(null);
   const [error, setError] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [uploadProgress, setUploadProgress] = useState(null);
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [dropActive, setDropActive] = useState(false);
   const [showCreateFolder, setShowCreateFolder] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
   const [showRenameDialog, setShowRenameDialog] = useState(false);
@@ -21,6 +90,19 @@ const FileManager = () => {
   const [showMoveDialog, setShowMoveDialog] = useState(false);
   const [moveTarget, setMoveTarget] = useState(null);
   const [moveDestination, setMoveDestination] = useState('');
+  const [bulkMoveItems, setBulkMoveItems] = useState(null);
+  const [selectedKeys, setSelectedKeys] = useState(new Set());
+  const lastSelectedIndexRef = useRef(null);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [bulkSummary, setBulkSummary] = useState(null);
+  const [zipJob, setZipJob] = useState(null);
+  // Listing entry of the last opened preview ({ file, path }); the URL holds the path
+  const [previewFile, setPreviewFile] = useState(null);
+  const [tablePrefs, setTablePrefs] = usePersistentState(
+    `storage-wrapper:table-prefs:${account?.homeAccountId || 'default'}`,
+    { sort: { key: 'name', direction: 'asc' }, filter: '' }
+  );
+  const zipControllerRef = useRef(null);
   const [treeCache, setTreeCache] = useState({}); // path -> { folders: [] }
   const [expandedPaths, setExpandedPaths] = useState(new Set(['/']));
   const [quickPath, setQuickPath] = useState('/');
@@ -34,388 +116,630 @@ const FileManager = () => {
 
   const API_URL = process.env.REACT_APP_API_URL;
 
-  // Fetch access token
-  const getAccessToken = useCallback(async () => {
-    try {
-      const response = await instance.acquireTokenSilent({
-        scopes: loginRequest.scopes,
-        account: accounts[0],
-      });
-      return response.accessToken;
-    } catch (error) {
-      console.error('Error acquiring token:', error);
-      throw error;
-    }
-  }, [instance, accounts]);
+  // Aborted on unmount so background requests (tree loads, polling) stop with the component
+  const lifetimeRef = useRef(null);
+  // Only the latest folder listing may update state; older ones are aborted
+  const listingControllerRef = useRef(null);
 
-  // Load children folders for a given path into the tree cache
-  // duplicate removed
+  useEffect(() => {
+    const lifetime = new AbortController();
+    lifetimeRef.current = lifetime;
+    return () => {
+      lifetime.abort();
+      listingControllerRef.current?.abort();
+      zipControllerRef.current?.abort();
+    };
+  }, []);
+
+  const { getAccessToken, sessionExpired, reauthError, reauthenticate } = useAccessToken(account);
+
+  const api = useMemo(
+    () => createStorageClient({ baseURL: API_URL, getAccessToken }),
+    [API_URL, getAccessToken]
+  );
 
   // Fetch files and folders
-  // eslint-disable-next-line no-use-before-define
-  const fetchFiles = useCallback(async (token, folderPath = '') => {
+  const fetchFiles = useCallback(async (folderPath = '') => {
+    listingControllerRef.current?.abort();
+    const controller = new AbortController();
+    listingControllerRef.current = controller;
+    const { signal } = controller;
+
     setLoading(true);
+    setListingPending(true);
+    setLoadingMore(false);
     setError(null);
     try {
-      const query = folderPath && folderPath !== '/' ? `?folder=${encodeURIComponent(folderPath)}` : '';
-      const response = await axios.get(`${API_URL}/api/files${query}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      setCurrentPath(response.data.currentPath || '/');
-      setFiles(response.data.files || []);
-      setFolders(response.data.folders || []);
+      const data = await api.listFolder(folderPath, { signal });
+      const continuationToken = data.continuationToken || null;
+      setCurrentPath(data.currentPath || '/');
+      setFiles(data.files || []);
+      setFolders(data.folders || []);
+      setListingPermissions(data.permissions || null);
+      setListingContinuation(continuationToken);
       // Cache tree nodes for the current path
       setTreeCache((prev) => ({
         ...prev,
-        [response.data.currentPath || '/']:
-          { folders: response.data.folders || [] }
+        [data.currentPath || '/']:
+          { folders: data.folders || [], continuationToken, permissions: data.permissions || null }
       }));
       // Ensure tree has root cached as well
-      if ((response.data.currentPath || '/') !== '/') {
+      if ((data.currentPath || '/') !== '/') {
         try {
-          const rootResp = await axios.get(`${API_URL}/api/files`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
+          const root = await api.listFolder('', { signal });
           setTreeCache((prev) => ({
             ...prev,
-            [rootResp.data.currentPath || '/']:
-              { folders: rootResp.data.folders || [] }
+            [root.currentPath || '/']:
+              { folders: root.folders || [], continuationToken: root.continuationToken || null, permissions: root.permissions || null }
           }));
         } catch (e) {
-          console.warn('Failed to refresh root tree:', e?.message || e);
+          if (!isCancelled(e)) console.warn('Failed to refresh root tree:', e?.message || e);
         }
       }
       // Auto-expand the current path so users can see children
-      setExpandedPaths((prev) => new Set([...Array.from(prev), (response.data.currentPath || '/') ]));
+      setExpandedPaths((prev) => new Set([...Array.from(prev), (data.currentPath || '/') ]));
     } catch (error) {
+      if (isCancelled(error)) return;
       console.error('Error fetching files:', error);
-      setError('Failed to fetch files.');
+      setError(describeError(error, 'Failed to fetch files.'));
     } finally {
-      setLoading(false);
+      // A newer listing owns the loading flag once this one is superseded
+      if (listingControllerRef.current === controller) {
+        listingControllerRef.current = null;
+        setLoading(false);
+        setListingPending(false);
+      }
     }
-  }, [API_URL]);
-
-  // Decode token to get user roles
-  const decodeToken = (token) => {
-    const base64Url = token.split('.')[1];
-    const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
-    const jsonPayload = decodeURIComponent(
-      atob(base64)
-        .split('')
-        .map((c) => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
-        .join('')
-    );
-    return JSON.parse(jsonPayload);
+  }, [api]);
+
+  const cancelListing = () => {
+    listingControllerRef.current?.abort();
+    listingControllerRef.current = null;
+    setLoading(false);
+    setListingPending(false);
+    setLoadingMore(false);
   };
 
-  // Fetch files on component mount and set roles
+  // Append the next page of the current folder. Shares the listing controller so
+  // navigating away abandons it.
+  const loadMoreFiles = useCallback(async () => {
+    if (!listingContinuation || listingControllerRef.current) return;
+    const controller = new AbortController();
+    listingControllerRef.current = controller;
+    const folderPath = currentPath;
+
+    setLoadingMore(true);
+    try {
+      const data = await api.listFolder(folderPath, {
+        continuationToken: listingContinuation,
+        signal: controller.signal,
+      });
+      const pageFolders = data.folders || [];
+      const continuationToken = data.continuationToken || null;
+      setFiles((prev) => [...prev, ...(data.files || [])]);
+      setFolders((prev) => mergeFolders(prev, pageFolders));
+      setListingContinuation(continuationToken);
+      setTreeCache((prev) => ({
+        ...prev,
+        [folderPath]: { ...prev[folderPath], folders: mergeFolders(prev[folderPath]?.folders || [], pageFolders), continuationToken },
+      }));
+    } catch (error) {
+      if (isCancelled(error)) return;
+      console.error('Error loading more files:', error);
+      setError(describeError(error, 'Failed to load more files.'));
+    } finally {
+      if (listingControllerRef.current === controller) {
+        listingControllerRef.current = null;
+        setLoadingMore(false);
+      }
+    }
+  }, [api, currentPath, listingContinuation]);
+
+  // Resolve roles for this identity; the listing is loaded by the route effect below
   useEffect(() => {
     const initializeComponent = async () => {
       try {
         const token = await getAccessToken();
-        const decoded = decodeToken(token);
-        const groups = decoded['groups'] || [];
-
-        console.log('Token decoded. Groups:', groups);
-        console.log('Reader Group ID:', process.env.REACT_APP_READER_GROUP_ID);
-        console.log('Is in Reader group:', groups.includes(process.env.REACT_APP_READER_GROUP_ID));
-
-        // Check explicit group membership
-        const isReader = groups.includes(process.env.REACT_APP_READER_GROUP_ID);
-        const isUploader = groups.includes(process.env.REACT_APP_UPLOADER_GROUP_ID);
-        const isAdmin = groups.includes(process.env.REACT_APP_ADMIN_GROUP_ID);
-
-        console.log('User roles:', { isReader, isUploader, isAdmin });
-
+        const roles = await resolveUserRoles(token, { fetchPermissions: api.getPermissions });
         setUserRoles({
-          isReader,
-          isUploader,
-          isAdmin,
+          isReader: roles.isReader,
+          isUploader: roles.isUploader,
+          isAdmin: roles.isAdmin,
         });
 
-        // Only fetch files if user is in at least the reader group
-        if (isReader || isUploader || isAdmin) {
-          fetchFiles(token);
-        } else {
-          setError('You do not have permission to access files.');
+        if (roles.lookupError) {
+          console.warn('Permissions lookup failed:', roles.lookupError?.message || roles.lookupError);
+        }
+        if (!hasAnyRole(roles)) {
+          setError(roles.lookupError
+            ? describeError(roles.lookupError, 'Failed to check your permissions. Please log in again.')
+            : 'You do not have permission to access files.');
         }
       } catch (error) {
         console.error('Initialization error:', error);
-        setError('Failed to initialize. Please log in again.');
+        setError(describeError(error, 'Failed to check your permissions. Please log in again.'));
       }
     };
 
     initializeComponent();
-  }, [accounts, instance, fetchFiles, getAccessToken]);
-
-  // Chunked upload for large files (>100MB)
-  const handleChunkedUpload = async (file, token) => {
-    const CHUNK_SIZE = 50 * 1024 * 1024; // 50 MB chunks (good balance: not too large, not too many)
-    const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-    
-    console.log(`Uploading ${file.name} in ${totalChunks} chunks`);
-    setUploadProgress({ current: 0, total: totalChunks, filename: file.name });
-
-    for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-      const start = chunkIndex * CHUNK_SIZE;
-      const end = Math.min(start + CHUNK_SIZE, file.size);
-      const chunk = file.slice(start, end);
-
-      const formData = new FormData();
-      formData.append('file', chunk);
-
-      const params = new URLSearchParams({
-        filename: file.name,
-        chunkIndex,
-        totalChunks,
-        folder: currentPath === '/' ? '' : currentPath,
-      });
+  }, [api, getAccessToken]);
 
-      console.log(`Uploading chunk ${chunkIndex + 1}/${totalChunks}`);
+  const canRead = hasAnyRole(userRoles);
+  const folderPerms = folderPermissions(listingPermissions, userRoles);
+  // Show modify actions to anyone who may change something, disabling them per item
+  const canModify = userRoles.isUploader || userRoles.isAdmin || folderPerms.write || folderPerms.delete;
 
-      await axios.post(
-        `${API_URL}/api/files/chunked?${params.toString()}`,
-        formData,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
+  // The URL decides which folder is open, so links, refresh and back/forward all land here
+  useEffect(() => {
+    if (canRead) fetchFiles(route.folder);
+  }, [canRead, route.folder, fetchFiles]);
 
-      setUploadProgress({ current: chunkIndex + 1, total: totalChunks, filename: file.name });
+  const refreshPendingUploads = useCallback(async () => {
+    try {
+      setPendingUploads(await listUploadStates());
+    } catch (e) {
+      console.warn('Failed to list saved uploads:', e?.message || e);
     }
+  }, []);
 
-    // Commit all chunks
-    console.log('Committing chunks...');
-    setUploadProgress({ current: totalChunks, total: totalChunks, filename: file.name, committing: true });
-    await axios.post(
-      `${API_URL}/api/files/chunked/commit`,
-      {
-        filename: file.name,
-        totalChunks,
-        contentType: file.type || 'application/octet-stream',
-        folder: currentPath === '/' ? '' : currentPath,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+  useEffect(() => {
+    refreshPendingUploads();
+  }, [refreshPendingUploads]);
 
-    console.log('Upload completed');
-    setUploadProgress(null);
+  const handleDiscardPendingUpload = async (fingerprint) => {
+    try {
+      await deleteUploadState(fingerprint);
+    } catch (e) {
+      console.warn('Failed to discard saved upload:', e?.message || e);
+    }
+    refreshPendingUploads();
   };
 
-  // loadTreeChildren declared above
-
-  const toggleExpand = async (path) => {
-    const next = new Set(expandedPaths);
-    if (next.has(path)) {
-      next.delete(path);
-    } else {
-      next.add(path);
-      if (!treeCache[path]) {
-        try {
-          const token = await getAccessToken();
-          const qPath = path === '/' ? '' : path;
-          const query = qPath && qPath !== '/' ? `?folder=${encodeURIComponent(qPath)}` : '';
-          const resp = await axios.get(`${API_URL}/api/files${query}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
-          setTreeCache((prev) => ({
-            ...prev,
-            [resp.data.currentPath || '/']:
-              { folders: resp.data.folders || [] }
-          }));
-        } catch (e) {
-          console.warn('Failed to load tree node:', e?.message || e);
-        }
-      }
+  // First page of a folder's subfolders into the tree cache; shared by the
+  // sidebar tree and the folder pickers
+  const loadTreeFolder = useCallback(async (path) => {
+    try {
+      const data = await api.listFolder(path, { signal: lifetimeRef.current?.signal });
+      setTreeCache((prev) => ({
+        ...prev,
+        [data.currentPath || '/']:
+          { folders: data.folders || [], continuationToken: data.continuationToken || null, permissions: data.permissions || null }
+      }));
+    } catch (e) {
+      if (isCancelled(e)) return;
+      console.warn('Failed to load tree node:', e?.message || e);
     }
-    setExpandedPaths(next);
+  }, [api]);
+
+  // Drag-hover expands can land together with clicks, so toggle against the
+  // latest set. Children appear once loaded; a collapsing folder is cached.
+  const toggleExpand = (path) => {
+    setExpandedPaths((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+    if (!treeCache[path]) loadTreeFolder(path);
   };
 
-  const navigateToPath = async (path) => {
+  // Next page of subfolders for a tree node
+  const loadMoreTreeChildren = async (path) => {
+    const continuationToken = treeCache[path]?.continuationToken;
+    if (!continuationToken) return;
     try {
-      const token = await getAccessToken();
-      await fetchFiles(token, path === '/' ? '' : path);
-    } catch (error) {
-      console.error('Navigate path error:', error);
-      setError('Failed to navigate to path.');
+      const data = await api.listFolder(path, { continuationToken, signal: lifetimeRef.current?.signal });
+      setTreeCache((prev) => ({
+        ...prev,
+        [path]: {
+          ...prev[path],
+          folders: mergeFolders(prev[path]?.folders || [], data.folders || []),
+          continuationToken: data.continuationToken || null,
+        },
+      }));
+    } catch (e) {
+      if (isCancelled(e)) return;
+      console.warn('Failed to load more tree folders:', e?.message || e);
     }
   };
 
+  // "Create folder" from a folder picker; the picker reports failures itself
+  const createFolderAt = async (path) => {
+    const folderPath = normalizeFolder(path);
+    await api.createFolder(folderPath);
+    const newFolder = { name: folderPath.split('/').pop(), path: folderPath, type: 'folder', children: 0 };
+    setTreeCache((prev) => {
+      const key = treeKey(parentOf(folderPath));
+      return { ...prev, [key]: { ...prev[key], folders: mergeFolders(prev[key]?.folders || [], [newFolder]) } };
+    });
+    if (parentOf(folderPath) === normalizeFolder(currentPath)) {
+      setFolders((prev) => mergeFolders(prev, [newFolder]));
+    }
+  };
+
+  const navigateToPath = (path) => {
+    navigate({ folder: normalizeFolder(path), preview: null, view: null });
+  };
+
   // Always load root children once initialized so sidebar shows content
   useEffect(() => {
+    const controller = new AbortController();
     (async () => {
       try {
-        const token = await getAccessToken();
-        const rootResp = await axios.get(`${API_URL}/api/files`, {
-          headers: { Authorization: `Bearer ${token}` },
-        });
+        const root = await api.listFolder('', { signal: controller.signal });
         setTreeCache((prev) => ({
           ...prev,
-          [rootResp.data.currentPath || '/']:
-            { folders: rootResp.data.folders || [] }
+          [root.currentPath || '/']:
+            { folders: root.folders || [], continuationToken: root.continuationToken || null, permissions: root.permissions || null }
         }));
       } catch (e) {
-        console.warn('Failed to preload root tree:', e?.message || e);
+        if (!isCancelled(e)) console.warn('Failed to preload root tree:', e?.message || e);
       }
     })();
-  }, [API_URL, getAccessToken]);
+    return () => controller.abort();
+  }, [api]);
+
+  // Poll for existence until the blob appears; resolves false if it never does
+  // and rejects if the signal is aborted
+  const waitForBlob = (blobPath, signal) => new Promise((resolve, reject) => {
+    const pollIntervalMs = 3000;
+    const maxAttempts = 100; // ~5 minutes
+    let attempts = 0;
+    const intervalId = setInterval(async () => {
+      attempts += 1;
+      try {
+        if (await api.fileExists(blobPath, { signal })) {
+          clearInterval(intervalId);
+          resolve(true);
+          return;
+        }
+      } catch (e) {
+        if (isCancelled(e)) return;
+        console.warn('Exists check failed:', e?.message || e);
+      }
+      if (attempts >= maxAttempts) {
+        clearInterval(intervalId);
+        console.warn('Polling timed out for', blobPath);
+        resolve(false);
+      }
+    }, pollIntervalMs);
+    signal.addEventListener('abort', () => {
+      clearInterval(intervalId);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+  // Upload a single queue entry, picking the chunked path for large files.
+  // Small uploads are processed asynchronously by the API, so they hand back a
+  // `processing` promise that settles once the blob is visible.
+  const uploadQueueEntry = async (entry, { signal, onProgress }) => {
+    const { file, folder } = entry;
 
-  const handleUpload = async () => {
-    if (!selectedFile) {
-      setError('Please select a file.');
+    // Use chunked upload for files > 100MB (streaming per chunk, no memory buffering)
+    if (file.size > USE_CHUNKED_THRESHOLD) {
+      try {
+        await uploadFileInChunks({
+          api,
+          file,
+          folder,
+          onProgress,
+          signal,
+        });
+      } finally {
+        refreshPendingUploads();
+      }
       return;
     }
 
-    try {
-      setLoading(true);
-      const token = await getAccessToken();
-
-      // Use chunked upload for files > 100MB (streaming per chunk, no memory buffering)
-      const USE_CHUNKED_THRESHOLD = 100 * 1024 * 1024; // 100 MB
-      if (selectedFile.size > USE_CHUNKED_THRESHOLD) {
-        await handleChunkedUpload(selectedFile, token);
-        setSelectedFile(null);
-        setError(null);
-        fetchFiles(token, currentPath === '/' ? '' : currentPath);
-        return;
-      }
+    // Standard upload for smaller files
+    const data = await api.uploadFile(file, folder, {
+      signal,
+      onUploadProgress: (e) => onProgress({
+        loadedBytes: Math.min(e.loaded, file.size),
+        totalBytes: file.size,
+      }),
+    });
 
-      // Standard upload for smaller files
-      const formData = new FormData();
-      formData.append('file', selectedFile);
-
-      const targetFolder = currentPath === '/' ? '' : currentPath;
-      const response = await axios.post(
-        `${API_URL}/api/files${targetFolder ? `?folder=${encodeURIComponent(targetFolder)}` : ''}`,
-        formData,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            // Do NOT set Content-Type for FormData; browser adds boundary automatically
-          },
-        }
-      );
+    const blobPath = data?.path || (folder ? `${folder}/${file.name}` : file.name);
+    return { processing: waitForBlob(blobPath, signal) };
+  };
 
-      const startedPath = response?.data?.path
-        || (targetFolder ? `${targetFolder}/${selectedFile.name}` : selectedFile.name);
-      setSelectedFile(null);
-      setError(null);
+  const refreshCurrentFolder = () => fetchFiles(currentPath === '/' ? '' : currentPath);
+
+  const {
+    queue: uploadQueue,
+    enqueue,
+    cancel: cancelUpload,
+    cancelAll: cancelAllUploads,
+    retry: retryUpload,
+    clearFinished,
+  } = useUploadQueue(uploadQueueEntry, refreshCurrentFolder);
+
+  // Queue files under the current folder, keeping any picked/dropped sub-folders.
+  // Names already in the open folder are confirmed first instead of silently
+  // replacing the existing file.
+  const enqueueFiles = (items) => {
+    if (items.length === 0) return;
+    const baseFolder = currentPath === '/' ? '' : currentPath;
+    const targeted = items.map((item) => ({
+      ...item,
+      folder: targetFolderFor(baseFolder, item.relativePath),
+    }));
+    const existingNames = new Set(files.map((f) => f.name));
+    const conflicts = findConflicts(targeted, baseFolder, existingNames);
+    if (conflicts.length === 0) {
+      enqueue(targeted);
+      return;
+    }
+    setUploadConflict({
+      items: targeted,
+      folder: baseFolder,
+      existingNames,
+      names: [...new Set(conflicts.map((item) => item.file.name))],
+    });
+  };
 
-      // Poll for existence until blob appears, then refresh list
-      const pollIntervalMs = 3000;
-      const maxAttempts = 100; // ~5 minutes
-      let attempts = 0;
-      const intervalId = setInterval(async () => {
-        attempts += 1;
-        try {
-          const existsResp = await axios.get(`${API_URL}/api/files/exists/${encodeURIComponent(startedPath)}`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
-          if (existsResp?.data?.exists) {
-            clearInterval(intervalId);
-            fetchFiles(token, currentPath === '/' ? '' : currentPath);
-          } else if (attempts >= maxAttempts) {
-            clearInterval(intervalId);
-            console.warn('Polling timed out for', startedPath);
-          }
-        } catch (e) {
-          console.warn('Exists check failed:', e?.message || e);
-          if (attempts >= maxAttempts) {
-            clearInterval(intervalId);
-          }
-        }
-      }, pollIntervalMs);
+  const resolveUploadConflict = (choices) => {
+    const { items, folder, existingNames } = uploadConflict;
+    setUploadConflict(null);
+    const resolved = resolveConflicts(items, folder, existingNames, choices);
+    if (resolved.length > 0) enqueue(resolved);
+  };
+
+  const handleFilesPicked = (e) => {
+    const items = filesFromInput(e.target.files);
+    // Reset so picking the same files again still fires onChange
+    e.target.value = '';
+    enqueueFiles(items);
+  };
+
+  const handleDragOver = (e) => {
+    if (!folderPerms.write || !isFileDrag(e.dataTransfer)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leave events fired when moving between child elements
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setDropActive(false);
+  };
+
+  const handleDrop = async (e) => {
+    if (!folderPerms.write || !isFileDrag(e.dataTransfer)) return;
+    e.preventDefault();
+    setDropActive(false);
+    try {
+      enqueueFiles(await collectDroppedFiles(e.dataTransfer));
     } catch (error) {
-      console.error('Upload error:', error);
-      setError('Failed to upload file.');
-    } finally {
-      setLoading(false);
+      console.error('Drop error:', error);
+      setError('Failed to read dropped files.');
     }
   };
 
+  // Resolve a file reference from the list to its full blob path
+  const resolveFilePath = (filename) => (filename.includes('/')
+    ? filename
+    : (currentPath === '/' ? filename : `${currentPath}/${filename}`));
+
+  const downloadPath = async (path, versionId) => {
+    const url = await api.getDownloadUrl(path, { versionId });
+    // Use an anchor so the browser handles streaming; avoids buffering large files in memory
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = path.split('/').pop();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
   const handleDownload = async (filename) => {
     try {
       setLoading(true);
-      const path = filename.includes('/')
-        ? filename
-        : (currentPath === '/' ? filename : `${currentPath}/${filename}`);
-
-      // Request a short-lived download token, then let the browser stream directly from the API
-      const bearer = await getAccessToken();
-      const tokenResp = await axios.post(
-        `${API_URL}/api/files/download-token`,
-        { path },
-        { headers: { Authorization: `Bearer ${bearer}` } }
+      await downloadPath(resolveFilePath(filename));
+      setError(null);
+    } catch (error) {
+      console.error('Download error:', error);
+      setError(describeError(error, 'Failed to download file.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Move a file into a folder, keeping its name
+  const moveFileTo = (sourcePath, destinationFolder) => {
+    const destPath = [normalizeFolder(destinationFolder), sourcePath.split('/').pop()].filter(Boolean).join('/');
+    return api.moveItem(sourcePath, destPath);
+  };
+
+  // Adapter for folderWalk, which passes (path, signal, continuationToken)
+  const listFolderData = useCallback(
+    (folderPath, signal, continuationToken) => api.listFolder(folderPath, { signal, continuationToken }),
+    [api]
+  );
+
+  // After a folder operation pass: refresh, and offer Undo once it has finished
+  const handleFolderOperationFinished = ({ kind, source, destination, phase, steps }) => {
+    refreshCurrentFolder();
+    if (phase !== 'done') return;
+    if (kind !== 'delete') {
+      showUndoToast(
+        `${kind === 'rename' ? 'Renamed' : 'Moved'} folder ${source.split('/').pop()}`,
+        [{ type: 'folderMove', source, destination }]
       );
+      return;
+    }
+    const recycled = steps.filter((s) => s.recycleId).map((s) => ({ type: 'file', id: s.recycleId }));
+    showUndoToast(
+      `Deleted folder ${source.split('/').pop()}`,
+      recycled.length > 0 ? recycled : [{ type: 'folder', path: source }]
+    );
+  };
+
+  const folderOperation = useFolderOperation(api, listFolderData, handleFolderOperationFinished);
 
-      const downloadToken = tokenResp?.data?.token;
-      if (!downloadToken) {
-        throw new Error('No download token returned');
+  // Folder move/rename/delete start with a dry run the user confirms
+  const startFolderOperation = (kind, source, destination = null) => {
+    const problem = validateFolderOperation(kind, normalizeFolder(source), destination === null ? null : normalizeFolder(destination));
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError(null);
+    folderOperation.plan(kind, normalizeFolder(source), destination === null ? null : normalizeFolder(destination));
+  };
+
+  // Zip folders and files client-side. `items` are list items ({ type, name, path });
+  // paths inside the archive are relative to the folder the items were picked from.
+  const handleDownloadZip = async (items, archiveName) => {
+    let sink;
+    try {
+      sink = await openZipSink(archiveName);
+    } catch (error) {
+      // AbortError means the user dismissed the save dialog
+      if (error?.name !== 'AbortError') {
+        console.error('ZIP download error:', error);
+        setError('Failed to start ZIP download.');
       }
+      return;
+    }
 
-      const encodedPath = encodeURIComponent(path);
-      const url = `${API_URL}/api/files/${encodedPath}?dt=${encodeURIComponent(downloadToken)}`;
+    const controller = new AbortController();
+    zipControllerRef.current = controller;
+    const { signal } = controller;
+    const base = currentPath === '/' ? '' : currentPath;
+    const relative = (path) => (base && path.startsWith(`${base}/`) ? path.slice(base.length + 1) : path);
+    const job = {
+      archiveName,
+      phase: 'listing',
+      streaming: sink.streaming,
+      filesTotal: 0,
+      filesDone: 0,
+      bytesTotal: 0,
+      bytesDone: 0,
+      errors: [],
+      message: null,
+    };
+    setZipJob(job);
 
-      // Use an anchor so the browser handles streaming; avoids buffering large files in memory
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = path.split('/').pop() || filename;
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      setError(null);
+    try {
+      const entries = [];
+      let bytesTotal = 0;
+      const addEntry = (file, path) => {
+        entries.push({ file, path });
+        bytesTotal += file?.size || 0;
+        // Stop listing as soon as a buffered archive would be too big
+        if (sink.maxBytes && bytesTotal > sink.maxBytes) {
+          throw new Error(`This download is over ${formatBytes(sink.maxBytes)}, too large for browsers that cannot save while zipping. Use Chrome or Edge, or select fewer files.`);
+        }
+      };
+      for (const item of items) {
+        if (item.type === 'folder') {
+          for await (const { folder, files: listed } of walkFolder(item.path, listFolderData, { signal })) {
+            listed.forEach((file) => addEntry(file, filePathIn(folder, file)));
+            setZipJob((prev) => ({ ...prev, filesTotal: entries.length }));
+          }
+        } else {
+          addEntry(item.file, resolveFilePath(item.path));
+        }
+      }
+
+      setZipJob((prev) => ({ ...prev, phase: 'zipping', filesTotal: entries.length, bytesTotal }));
+
+      const { errors } = await streamZip({
+        entries: entries.map((e) => ({
+          path: e.path,
+          zipPath: relative(e.path),
+          lastModified: e.file?.lastModified,
+        })),
+        sink,
+        getDownloadUrl: api.getDownloadUrl,
+        signal,
+        onProgress: (progress) => setZipJob((prev) => ({ ...prev, ...progress })),
+      });
+      setZipJob((prev) => ({
+        ...prev,
+        phase: 'done',
+        message: errors.length > 0 ? `Saved with ${errors.length} file(s) missing.` : 'Saved.',
+      }));
     } catch (error) {
-      console.error('Download error:', error);
-      setError('Failed to download file.');
+      sink.abort();
+      if (signal.aborted) {
+        setZipJob((prev) => ({ ...prev, phase: 'cancelled', message: 'The archive is incomplete and should be discarded.' }));
+      } else {
+        console.error('ZIP download error:', error);
+        setZipJob((prev) => ({ ...prev, phase: 'error', message: error.message || 'Failed to build ZIP.' }));
+      }
     } finally {
-      setLoading(false);
+      zipControllerRef.current = null;
+    }
+  };
+
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+  // `changes`: what Undo reverts, as a list of
+  //   { type: 'file', id }                    deleted file, restored from the recycle bin
+  //   { type: 'folder', path }                deleted empty folder, created again
+  //   { type: 'move', source, destination }   moved file, moved back
+  //   { type: 'folderMove', source, destination }  moved folder, moved back as a new folder operation
+  const showUndoToast = (message, changes) => {
+    setUndoToast({ id: Date.now(), message, changes });
+  };
+
+  const undoChanges = async (changes) => {
+    const folderMove = changes.find((change) => change.type === 'folderMove');
+    if (folderMove) {
+      startFolderOperation('move', folderMove.destination, folderMove.source);
+      return;
+    }
+    const results = await runBulk(changes, (change) => {
+      if (change.type === 'folder') return api.createFolder(change.path);
+      if (change.type === 'move') return api.moveItem(change.destination, change.source);
+      return api.restoreDeleted(change.id);
+    });
+    const failed = results.filter((r) => !r.ok);
+    if (failed.length > 0) {
+      setError(`Could not undo ${failed.length} change(s): ${failed[0].error}.`);
     }
+    refreshCurrentFolder();
   };
 
   const handleDelete = async (filename) => {
-    if (!window.confirm(`Delete ${filename}?`)) return;
+    if (!window.confirm(`Move ${filename} to the recycle bin?`)) return;
 
     try {
       setLoading(true);
-      const token = await getAccessToken();
-      await axios.delete(`${API_URL}/api/files/${filename}`, {
-        headers: { Authorization: `Bearer ${token}` },
-      });
-      fetchFiles(token, currentPath === '/' ? '' : currentPath);
+      const path = resolveFilePath(filename);
+      const recycled = await api.deleteFile(path);
+      fetchFiles(currentPath === '/' ? '' : currentPath);
       setError(null);
+      showUndoToast(
+        `Deleted ${path.split('/').pop()}`,
+        recycled?.id ? [{ type: 'file', id: recycled.id }] : []
+      );
     } catch (error) {
       console.error('Delete error:', error);
-      setError('Failed to delete file.');
+      setError(describeError(error, 'Failed to delete file.'));
     } finally {
       setLoading(false);
     }
   };
 
   const handleCreateFolder = async () => {
-    if (!newFolderName.trim()) {
-      setError('Folder name cannot be empty.');
+    const nameProblem = validateFolderName(newFolderName);
+    if (nameProblem) {
+      setError(nameProblem);
       return;
     }
 
     try {
       setLoading(true);
-      const token = await getAccessToken();
       const folderPath = currentPath === '/' 
         ? newFolderName 
         : currentPath + '/' + newFolderName;
       
-      await axios.post(
-        `${API_URL}/api/files/folders/create`,
-        { folderPath },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
+      await api.createFolder(folderPath);
       
       // Optimistically add virtual folder to UI and tree cache
       const newFolder = { name: newFolderName, path: folderPath, type: 'folder', children: 0 };
@@ -429,7 +753,7 @@ const FileManager = () => {
         const existing = prev[key]?.folders || [];
         const already = existing.find((f) => f.path === folderPath);
         const nextFolders = already ? existing : [...existing, newFolder];
-        return { ...prev, [key]: { folders: nextFolders } };
+        return { ...prev, [key]: { ...prev[key], folders: nextFolders } };
       });
       // Ensure current path expanded so the new folder is visible
       setExpandedPaths((prev) => new Set([...Array.from(prev), (currentPath === '/' ? '/' : currentPath)]));
@@ -442,24 +766,16 @@ const FileManager = () => {
       alert(`Folder "${newFolderName}" created successfully!`);
       
       // Refresh to show the newly created folder
-      await fetchFiles(currentPath);
+      await fetchFiles(currentPath === '/' ? '' : currentPath);
     } catch (error) {
       console.error('Create folder error:', error);
-      setError('Failed to create folder.');
+      setError(describeError(error, 'Failed to create folder.'));
     } finally {
       setLoading(false);
     }
   };
 
-  const handleNavigateFolder = async (folderPath) => {
-    try {
-      const token = await getAccessToken();
-      fetchFiles(token, folderPath);
-    } catch (error) {
-      console.error('Navigation error:', error);
-      setError('Failed to navigate folder.');
-    }
-  };
+  const handleNavigateFolder = (folderPath) => navigateToPath(folderPath);
 
   const handleRenameItem = async () => {
     if (!renameName.trim()) {
@@ -467,85 +783,296 @@ const FileManager = () => {
       return;
     }
 
+    if (renameTarget.type === 'folder') {
+      const nameProblem = validateFolderName(renameName);
+      if (nameProblem) {
+        setError(nameProblem);
+        return;
+      }
+      const parent = renameTarget.path.split('/').slice(0, -1).join('/');
+      startFolderOperation('rename', renameTarget.path, [parent, renameName].filter(Boolean).join('/'));
+      setShowRenameDialog(false);
+      setRenameTarget(null);
+      setRenameName('');
+      return;
+    }
+
     try {
       setLoading(true);
-      const token = await getAccessToken();
-      await axios.post(
-        `${API_URL}/api/files/rename`,
-        { 
-          oldPath: renameTarget.fullPath || renameTarget.name, 
-          newName: renameName 
-        },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
+      await api.renameItem(renameTarget.fullPath || renameTarget.name, renameName);
       
       setShowRenameDialog(false);
       setRenameTarget(null);
       setRenameName('');
       setError(null);
-      fetchFiles(token, currentPath === '/' ? '' : currentPath);
+      fetchFiles(currentPath === '/' ? '' : currentPath);
     } catch (error) {
       console.error('Rename error:', error);
-      setError('Failed to rename item.');
+      setError(describeError(error, 'Failed to rename item.'));
     } finally {
       setLoading(false);
     }
   };
 
   const handleMoveFile = async () => {
-    if (!moveDestination.trim()) {
-      setError('Destination folder cannot be empty.');
+    const destinationProblem = folderChoiceProblem(moveDestination, treeCache);
+    if (destinationProblem) {
+      setError(destinationProblem);
+      return;
+    }
+
+    if (bulkMoveItems) {
+      await handleBulkMove();
+      return;
+    }
+
+    if (moveTarget.type === 'folder') {
+      startFolderOperation('move', moveTarget.path, [normalizeFolder(moveDestination), moveTarget.name].filter(Boolean).join('/'));
+      closeMoveDialog();
       return;
     }
 
     try {
       setLoading(true);
-      const token = await getAccessToken();
-      const destPath = normalizePathForClient(moveDestination) + '/' + (moveTarget.name || moveTarget.fullPath.split('/').pop());
-      await axios.post(
-        `${API_URL}/api/files/move`,
-        { sourcePath: moveTarget.fullPath || moveTarget.name, destinationPath: destPath },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
+      await moveFileTo(moveTarget.fullPath || moveTarget.name, moveDestination);
       setShowMoveDialog(false);
       setMoveTarget(null);
       setMoveDestination('');
       setError(null);
-      fetchFiles(token, currentPath === '/' ? '' : currentPath);
+      fetchFiles(currentPath === '/' ? '' : currentPath);
     } catch (error) {
       console.error('Move error:', error);
-      setError('Failed to move file.');
+      setError(describeError(error, 'Failed to move file.'));
     } finally {
       setLoading(false);
     }
   };
 
-  const normalizePathForClient = (p) => {
-    if (!p) return '';
-    return p.replace(/^\/+/,'').replace(/\/+$/,'');
+  const closeMoveDialog = () => {
+    setShowMoveDialog(false);
+    setMoveTarget(null);
+    setBulkMoveItems(null);
+    setMoveDestination('');
+  };
+
+  const listItems = useMemo(() => [
+    ...folders.map((folder) => ({ type: 'folder', key: folder.path, name: folder.name, path: folder.path, folder })),
+    ...files.map((file) => ({ type: 'file', key: file.fullPath || file.name, name: file.name, path: file.fullPath || file.name, file })),
+  ], [folders, files]);
+
+  // Rows as shown: filtered and sorted per the user's saved table preferences
+  const displayItems = useMemo(
+    () => sortItems(filterItems(listItems, tablePrefs.filter), tablePrefs.sort),
+    [listItems, tablePrefs.filter, tablePrefs.sort]
+  );
+  const metadataKeys = useMemo(() => metadataColumns(files), [files]);
+
+  const handleSort = (key) => {
+    setTablePrefs((prev) => ({
+      ...prev,
+      sort: {
+        key,
+        direction: prev.sort.key === key && prev.sort.direction === 'asc' ? 'desc' : 'asc',
+      },
+    }));
   };
 
-  const handleDeleteFolder = async (folderPath) => {
-    if (!window.confirm(`Delete empty folder? (Folder must not contain any files)`)) return;
+  // Selection: keys are folder paths and file paths; ranges follow on-screen order.
+  // Drop selections for rows that are no longer shown (navigation, filtering, deletes, moves).
+  useEffect(() => {
+    const visible = new Set(displayItems.map((item) => item.key));
+    setSelectedKeys((prev) => {
+      const next = new Set([...prev].filter((key) => visible.has(key)));
+      return next.size === prev.size ? prev : next;
+    });
+    lastSelectedIndexRef.current = null;
+  }, [displayItems]);
+
+  const selectedItems = displayItems.filter((item) => selectedKeys.has(item.key));
+
+  // Shift-click selects (or clears) the whole range since the last clicked item
+  const toggleSelection = (index, shiftKey) => {
+    const item = displayItems[index];
+    const select = !selectedKeys.has(item.key);
+    const anchor = lastSelectedIndexRef.current;
+    const next = new Set(selectedKeys);
+    const [from, to] = shiftKey && anchor !== null
+      ? [Math.min(anchor, index), Math.max(anchor, index)]
+      : [index, index];
+    for (let i = from; i <= to; i++) {
+      if (select) next.add(displayItems[i].key);
+      else next.delete(displayItems[i].key);
+    }
+    lastSelectedIndexRef.current = index;
+    setSelectedKeys(next);
+  };
 
+  const toggleSelectAll = () => {
+    setSelectedKeys(selectedItems.length === displayItems.length
+      ? new Set()
+      : new Set(displayItems.map((item) => item.key)));
+    lastSelectedIndexRef.current = null;
+  };
+
+  const runBulkAction = async (title, items, action, options) => {
+    setLoading(true);
+    setBulkProgress({ title, done: 0, total: items.length });
     try {
-      setLoading(true);
-      const token = await getAccessToken();
-      await axios.delete(
-        `${API_URL}/api/files/folders/${encodeURIComponent(folderPath)}`,
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
-      fetchFiles(token, currentPath === '/' ? '' : currentPath);
-      setError(null);
+      const results = await runBulk(items, action, {
+        ...options,
+        onProgress: (done, total) => setBulkProgress({ title, done, total }),
+      });
+      setBulkSummary({ title, results });
+      setSelectedKeys(new Set());
+      return results;
+    } finally {
+      setBulkProgress(null);
+      setLoading(false);
+    }
+  };
+
+  const handleBulkDownload = async () => {
+    await runBulkAction('Download', selectedItems, async (item) => {
+      if (item.type === 'folder') throw new Error('Folders cannot be downloaded directly; use Download as ZIP.');
+      await downloadPath(resolveFilePath(item.path));
+      // Space out anchors; browsers drop downloads triggered in a tight burst
+      await new Promise((resolve) => setTimeout(resolve, 400));
+    }, { concurrency: 1 });
+  };
+
+  const handleBulkDelete = async () => {
+    // Folders need the recursive delete, which previews everything inside first
+    const folderCount = selectedItems.filter((item) => item.type === 'folder').length;
+    if (folderCount === selectedItems.length) {
+      setError('Delete folders one at a time with their 🗑️ button.');
+      return;
+    }
+    const folderNote = folderCount > 0
+      ? ` The ${folderCount} selected folder(s) are skipped; delete them one at a time with their 🗑️ button.`
+      : '';
+    if (!window.confirm(`Move ${selectedItems.length - folderCount} selected file(s) to the recycle bin?${folderNote}`)) return;
+    const deleted = [];
+    try {
+      const results = await runBulkAction('Delete', selectedItems, async (item) => {
+        if (item.type === 'folder') throw new Error('Delete folders one at a time with their 🗑️ button.');
+        if (!itemPermissions(item, folderPerms).delete) throw new Error(permissionDeniedMessage('delete'));
+        const recycled = await api.deleteFile(resolveFilePath(item.path));
+        if (recycled?.id) deleted.push({ type: 'file', id: recycled.id });
+      });
+      fetchFiles(currentPath === '/' ? '' : currentPath);
+      const count = results.filter((r) => r.ok).length;
+      if (count > 0) showUndoToast(`Deleted ${count} item(s)`, deleted);
     } catch (error) {
-      console.error('Delete folder error:', error);
-      const msg = error.response?.data?.error || 'Failed to delete folder.';
-      setError(msg);
+      console.error('Bulk delete error:', error);
+      setError('Failed to delete selection.');
+    }
+  };
+
+  const openBulkMoveDialog = () => {
+    setBulkMoveItems(selectedItems);
+    setMoveDestination(currentPath === '/' ? '' : currentPath);
+    setShowMoveDialog(true);
+  };
+
+  const handleBulkMove = async () => {
+    const items = bulkMoveItems;
+    const destination = moveDestination;
+    closeMoveDialog();
+    try {
+      await runBulkAction('Move', items, (item) => {
+        if (item.type === 'folder') throw new Error('Move folders one at a time with their 📦 button.');
+        if (!itemPermissions(item, folderPerms).write) throw new Error(permissionDeniedMessage('write'));
+        return moveFileTo(resolveFilePath(item.path), destination);
+      });
+      fetchFiles(currentPath === '/' ? '' : currentPath);
+    } catch (error) {
+      console.error('Bulk move error:', error);
+      setError('Failed to move selection.');
+    }
+  };
+
+  // Dragging rows onto a folder row or tree node moves them there. The items
+  // are kept here because browsers hide drag data until the drop.
+  const dragItemsRef = useRef(null);
+
+  const handleItemDragStart = (item, e) => {
+    const dragged = selectedKeys.has(item.key) ? selectedItems : [item];
+    if (dragged.some((i) => !itemPermissions(i, folderPerms).write)) {
+      e.preventDefault();
+      return;
+    }
+    dragItemsRef.current = dragged.map((i) => ({
+      type: i.type,
+      name: i.name,
+      path: i.type === 'folder' ? normalizeFolder(i.path) : resolveFilePath(i.path),
+    }));
+    setItemDragData(e.dataTransfer, dragItemsRef.current);
+  };
+
+  const handleItemDragEnd = () => {
+    dragItemsRef.current = null;
+    setDropTarget(null);
+  };
+
+  // Why the dragged items can't go into `path`, including a destination the
+  // user can't write to, or null
+  const folderDropProblem = (items, path) => dropProblem(items, normalizeFolder(path))
+    || (cachedFolderPermissions(path, treeCache, userRoles).write ? null : permissionDeniedMessage('write'));
+
+  // `path` is as the tree or table knows it ('/' for the root)
+  const handleFolderDragOver = (path, e) => {
+    if (!isItemDrag(e.dataTransfer) || !dragItemsRef.current) return;
+    const valid = !folderDropProblem(dragItemsRef.current, path);
+    if (valid) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    }
+    if (dropTarget?.path !== path || dropTarget.valid !== valid) setDropTarget({ path, valid });
+  };
+
+  const handleFolderDragLeave = (path) => {
+    setDropTarget((prev) => (prev?.path === path ? null : prev));
+  };
+
+  const handleFolderDrop = async (path, e) => {
+    const items = dragItemsRef.current;
+    const target = normalizeFolder(path);
+    handleItemDragEnd();
+    if (!isItemDrag(e.dataTransfer) || folderDropProblem(items, path)) return;
+    e.preventDefault();
+    const destinationOf = (item) => [target, item.name].filter(Boolean).join('/');
+
+    if (items[0].type === 'folder') {
+      startFolderOperation('move', items[0].path, destinationOf(items[0]));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const results = await runBulk(items, (item) => api.moveItem(item.path, destinationOf(item)));
+      const moved = results.filter((r) => r.ok).map((r) => ({
+        type: 'move',
+        source: r.item.path,
+        destination: destinationOf(r.item),
+      }));
+      const failed = results.filter((r) => !r.ok);
+      setError(failed.length > 0 ? `Failed to move ${failed.length} item(s): ${failed[0].error}` : null);
+      if (moved.length > 0) {
+        setSelectedKeys(new Set());
+        showUndoToast(
+          `Moved ${moved.length === 1 ? items[0].name : `${moved.length} items`} to /${target}`,
+          moved
+        );
+      }
     } finally {
       setLoading(false);
+      refreshCurrentFolder();
     }
   };
 
+  // Recursive: the dry run lists everything that will go to the recycle bin
+  const handleDeleteFolder = (folderPath) => startFolderOperation('delete', folderPath);
+
   const handleShowAccessInfo = (file) => {
     setAccessInfoFile(file);
     setShowAccessInfo(true);
@@ -559,10 +1086,170 @@ const FileManager = () => {
     });
   };
 
-  const navigateUp = async () => {
-    if (currentPath === '/') return;
-    const parentPath = currentPath.substring(0, currentPath.lastIndexOf('/')) || '/';
-    await handleNavigateFolder(parentPath === '/' ? '' : parentPath);
+  const openPreview = (file, path = resolveFilePath(file.fullPath || file.name)) => {
+    setPreviewFile({ file, path });
+    navigate({ preview: path });
+  };
+
+  // A pasted link only carries the path, so fall back to the listing (or just
+  // the name) for size and content type. The name-only stand-in depends on the
+  // path alone, so loading more pages does not restart the preview.
+  const previewFallback = useMemo(
+    () => (route.preview ? { name: route.preview.split('/').pop() } : null),
+    [route.preview]
+  );
+  const previewTarget = useMemo(() => {
+    if (!route.preview) return null;
+    if (previewFile?.path === route.preview) return previewFile;
+    const folder = normalizeFolder(currentPath);
+    const listed = files.find((f) => filePathIn(folder, f) === route.preview);
+    return { file: listed || previewFallback, path: route.preview };
+  }, [route.preview, previewFile, previewFallback, files, currentPath]);
+
+  // Other pages replace the file browser; usage is for admins only
+  let activeView = 'files';
+  if (route.view === 'usage' && userRoles.isAdmin) activeView = 'usage';
+  else if (route.view === 'activity' && canRead) activeView = 'activity';
+  else if (route.view === 'shares' && canRead) activeView = 'shares';
+  else if (route.view === 'recycle' && (userRoles.isUploader || userRoles.isAdmin)) activeView = 'recycle';
+
+  // Jump from another page to a file: open its folder with the preview on top
+  const previewFromAdminView = (path) => {
+    navigate({ view: null, folder: path.split('/').slice(0, -1).join('/'), preview: path });
+  };
+
+  // Everywhere a folder is chosen shares the sidebar's tree cache
+  const folderPickerProps = {
+    treeCache,
+    onLoadFolder: loadTreeFolder,
+    onLoadMore: loadMoreTreeChildren,
+    onCreateFolder: canModify ? createFolderAt : undefined,
+  };
+
+  const breadcrumbs = normalizeFolder(currentPath).split('/').filter(Boolean)
+    .map((name, i, parts) => ({ name, path: parts.slice(0, i + 1).join('/') }));
+
+  const renderItemActions = (item) => {
+    const perms = itemPermissions(item, folderPerms);
+    const denied = (kind) => (perms[kind] ? undefined : permissionDeniedMessage(kind));
+
+    if (item.type === 'folder') {
+      const { folder } = item;
+      return (
+        <>
+          <button
+            onClick={() => handleDownloadZip([item], `${folder.name}.zip`)}
+            disabled={loading || !!zipJob}
+            title="Download as ZIP"
+          >
+            🗜️
+          </button>
+          {canModify && (
+            <>
+              <button 
+                onClick={() => {
+                  setRenameTarget({ ...folder, type: 'folder' });
+                  setRenameName(folder.name);
+                  setShowRenameDialog(true);
+                }}
+                disabled={loading || !!folderOperation.job || !perms.write}
+                title={denied('write') || 'Rename'}
+              >
+                ✏️
+              </button>
+              <button
+                onClick={() => {
+                  setMoveTarget({ ...folder, type: 'folder' });
+                  setMoveDestination(currentPath === '/' ? '' : currentPath);
+                  setShowMoveDialog(true);
+                }}
+                disabled={loading || !!folderOperation.job || !perms.write}
+                title={denied('write') || 'Move'}
+              >
+                📦
+              </button>
+              <button 
+                onClick={() => handleDeleteFolder(folder.path)}
+                disabled={loading || !!folderOperation.job || !perms.delete}
+                title={denied('delete') || 'Delete'}
+              >
+                🗑️
+              </button>
+            </>
+          )}
+          <button onClick={() => setHistoryPath(folder.path)} title="History">
+            🕘
+          </button>
+          {userRoles.isAdmin && (
+            <button onClick={() => setPermissionsFolder(folder.path)} title="Permissions">
+              🔐
+            </button>
+          )}
+        </>
+      );
+    }
+
+    const { file } = item;
+    return (
+      <>
+        <button 
+          onClick={() => handleDownload(file.fullPath || file.name)} 
+          disabled={loading}
+          title="Download"
+        >
+          ⬇️
+        </button>
+        <button 
+          onClick={() => handleShowAccessInfo(file)} 
+          disabled={loading}
+          title="Show API Access Info"
+        >
+          🔗
+        </button>
+        <button onClick={() => setHistoryPath(resolveFilePath(file.fullPath || file.name))} title="History">
+          🕘
+        </button>
+        <button
+          onClick={() => setVersionsTarget({ path: resolveFilePath(file.fullPath || file.name), canPromote: perms.write })}
+          title="Versions"
+        >
+          🗂️
+        </button>
+        {canModify && (
+          <>
+            <button 
+              onClick={() => {
+                setRenameTarget(file);
+                setRenameName(file.name);
+                setShowRenameDialog(true);
+              }}
+              disabled={loading || !perms.write}
+              title={denied('write') || 'Rename'}
+            >
+              ✏️
+            </button>
+            <button
+              onClick={() => {
+                setMoveTarget(file);
+                setMoveDestination(currentPath === '/' ? '' : currentPath);
+                setShowMoveDialog(true);
+              }}
+              disabled={loading || !perms.write}
+              title={denied('write') || 'Move'}
+            >
+              📦
+            </button>
+            <button 
+              onClick={() => handleDelete(file.fullPath || file.name)}
+              disabled={loading || !perms.delete}
+              title={denied('delete') || 'Delete'}
+            >
+              🗑️
+            </button>
+          </>
+        )}
+      </>
+    );
   };
 
   return (
@@ -571,29 +1258,31 @@ const FileManager = () => {
         <aside className="sidebar">
           <h3>Folder Tree</h3>
           <div className="quick-path">
-            <input
-              type="text"
+            <FolderPicker
+              {...folderPickerProps}
               value={quickPath}
-              onChange={(e) => setQuickPath(e.target.value)}
+              onChange={setQuickPath}
+              onSubmit={navigateToPath}
               placeholder="Enter folder path"
             />
-            <button onClick={() => navigateToPath(quickPath)}>Go</button>
+            <button
+              onClick={() => navigateToPath(quickPath)}
+              disabled={Boolean(folderChoiceProblem(quickPath, treeCache))}
+            >
+              Go
+            </button>
           </div>
-          <ul className="tree">
-            <TreeNode 
-              path="/" 
-              name="/" 
-              expanded={expandedPaths.has('/')} 
-              onToggle={() => toggleExpand('/')} 
-              onSelect={() => navigateToPath('/')} 
-              childrenFolders={treeCache['/']?.folders || []} 
-              expandedPaths={expandedPaths}
-              onNavigate={navigateToPath}
-              onToggleExpand={toggleExpand}
-              treeCache={treeCache}
-              loadChildren={async () => {}}
-            />
-          </ul>
+          <FolderTree
+            treeCache={treeCache}
+            expandedPaths={expandedPaths}
+            onToggle={toggleExpand}
+            onSelect={navigateToPath}
+            onLoadMore={loadMoreTreeChildren}
+            dropTarget={dropTarget}
+            onFolderDragOver={handleFolderDragOver}
+            onFolderDragLeave={handleFolderDragLeave}
+            onFolderDrop={handleFolderDrop}
+          />
         </aside>
         <main className="content">
           {API_URL && (
@@ -623,37 +1312,141 @@ const FileManager = () => {
           <li>{userRoles.isUploader ? '✓' : '✗'} Uploader</li>
           <li>{userRoles.isAdmin ? '✓' : '✗'} Admin</li>
         </ul>
+        {listingPermissions && (
+          <p className="folder-permissions">
+            In this folder you can:{' '}
+            {PERMISSION_KINDS.filter((kind) => folderPerms[kind]).join(', ') || 'nothing'}
+          </p>
+        )}
       </div>
 
-      {error && <div className="error-message">{error}</div>}
-
-      {uploadProgress && (
-        <div className="upload-progress">
-          <p>Uploading {uploadProgress.filename}...</p>
-          <progress value={uploadProgress.current} max={uploadProgress.total}></progress>
+      {sessionExpired && (
+        <div className="session-banner" role="alert">
           <span>
-            {uploadProgress.current} / {uploadProgress.total} chunks 
-            ({Math.round(uploadProgress.current / uploadProgress.total * 100)}%)
+            Your session has expired. Sign in again to continue; your folder and queued uploads are kept.
           </span>
-          {uploadProgress.committing && <span> - Committing...</span>}
+          <button onClick={() => reauthenticate()}>Sign in again</button>
+          {(loginMode === 'redirect' || reauthError) && (
+            <button
+              className="session-banner-secondary"
+              onClick={() => reauthenticate({ redirect: true })}
+              title="Leaves the page: uploads in progress will need to be started again"
+            >
+              Sign in with redirect
+            </button>
+          )}
+          {reauthError && <div className="session-banner-error">{reauthError}</div>}
         </div>
       )}
 
-      {userRoles.isUploader && (
+      {error && <div className="error-message">{error}</div>}
+
+      {canRead && (
+        <nav className="view-tabs">
+          <button className={activeView === 'files' ? 'active' : ''} onClick={() => navigate({ view: null })}>
+            Files
+          </button>
+          <button
+            className={activeView === 'activity' ? 'active' : ''}
+            onClick={() => navigate({ view: 'activity', preview: null })}
+          >
+            Activity
+          </button>
+          <button
+            className={activeView === 'shares' ? 'active' : ''}
+            onClick={() => navigate({ view: 'shares', preview: null })}
+          >
+            My shared links
+          </button>
+          {(userRoles.isUploader || userRoles.isAdmin) && (
+            <button
+              className={activeView === 'recycle' ? 'active' : ''}
+              onClick={() => navigate({ view: 'recycle', preview: null })}
+            >
+              Recycle bin
+            </button>
+          )}
+          {userRoles.isAdmin && (
+            <button
+              className={activeView === 'usage' ? 'active' : ''}
+              onClick={() => navigate({ view: 'usage', preview: null })}
+            >
+              Usage
+            </button>
+          )}
+        </nav>
+      )}
+
+      {activeView === 'usage' && (
+        <UsageDashboard api={api} onOpenFolder={navigateToPath} onPreview={previewFromAdminView} />
+      )}
+      {activeView === 'activity' && (
+        <AuditLog api={api} onOpenFolder={navigateToPath} onShowHistory={setHistoryPath} />
+      )}
+      {activeView === 'shares' && (
+        <SharedLinks api={api} onCopy={copyToClipboard} onOpenFolder={navigateToPath} />
+      )}
+      {activeView === 'recycle' && (
+        <RecycleBin
+          api={api}
+          canRestore
+          canPurge={userRoles.isAdmin}
+          onRestored={refreshCurrentFolder}
+          folderPickerProps={folderPickerProps}
+        />
+      )}
+      {activeView === 'files' && (
+      <>
+      <SearchPanel
+        listFolder={listFolderData}
+        currentPath={route.folder || '/'}
+        onOpenFolder={handleNavigateFolder}
+        onPreview={openPreview}
+        search={route.search}
+        onSearchChange={(search) => navigate({ search })}
+      />
+
+      {folderPerms.write && (
         <div className="upload-section">
           <div className="upload-controls">
             <div>
-              <h3>Upload File</h3>
-              <input
-                type="file"
-                onChange={(e) => setSelectedFile(e.target.files[0])}
-                disabled={loading}
-              />
-              <button onClick={handleUpload} disabled={loading || !selectedFile}>
-                {loading ? 'Uploading...' : 'Upload'}
-              </button>
+              <h3>Upload Files</h3>
+              <label className="upload-picker">
+                Files:
+                <input type="file" multiple onChange={handleFilesPicked} />
+              </label>
+              <label className="upload-picker">
+                Folder:
+                <input type="file" webkitdirectory="" onChange={handleFilesPicked} />
+              </label>
+              <p className="upload-hint">Or drop files and folders onto the file list.</p>
             </div>
           </div>
+          <UploadQueue
+            queue={uploadQueue}
+            onCancel={cancelUpload}
+            onCancelAll={cancelAllUploads}
+            onRetry={retryUpload}
+            onClearFinished={clearFinished}
+          />
+          {pendingUploads.length > 0 && (
+            <div className="pending-uploads">
+              <h4>Interrupted uploads</h4>
+              <p>Select the same file again to resume.</p>
+              <ul>
+                {pendingUploads.map((p) => (
+                  <li key={p.fingerprint}>
+                    <span>
+                      {p.filename} → {p.folder ? `/${p.folder}` : '/'} ({p.completedChunks.length} / {p.totalChunks} chunks)
+                    </span>
+                    <button onClick={() => handleDiscardPendingUpload(p.fingerprint)} disabled={loading}>
+                      Discard
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       )}
 
@@ -710,154 +1503,171 @@ const FileManager = () => {
         </div>
       )}
 
-      <div className="files-section">
+      <div
+        className={`files-section${dropActive ? ' drop-active' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
         <div className="breadcrumb">
-          <button onClick={navigateUp} disabled={currentPath === '/'} className="breadcrumb-btn">
-            ← Back
-          </button>
-          <span className="breadcrumb-path">
-            {currentPath === '/' ? '/' : currentPath}
-          </span>
-          {userRoles.isUploader && (
+          <nav className="breadcrumb-path" aria-label="Folder path">
+            <span className="breadcrumb-segment" onClick={() => navigateToPath('')}>/</span>
+            {breadcrumbs.map((crumb, i) => (
+              <React.Fragment key={crumb.path}>
+                {i > 0 && <span className="breadcrumb-separator">/</span>}
+                {i === breadcrumbs.length - 1 ? (
+                  <span className="breadcrumb-current">{crumb.name}</span>
+                ) : (
+                  <span className="breadcrumb-segment" onClick={() => navigateToPath(crumb.path)}>{crumb.name}</span>
+                )}
+              </React.Fragment>
+            ))}
+          </nav>
+          {(folderPerms.write || userRoles.isAdmin) && (
             <div className="breadcrumb-actions">
-              <button 
-                onClick={() => setShowCreateFolder(true)} 
-                disabled={loading}
-                className="btn-create-folder"
-              >
-                + New Folder
-              </button>
+              {folderPerms.write && (
+                <button 
+                  onClick={() => setShowCreateFolder(true)} 
+                  disabled={loading}
+                  className="btn-create-folder"
+                >
+                  + New Folder
+                </button>
+              )}
+              {userRoles.isAdmin && (
+                <button
+                  onClick={() => setPermissionsFolder(normalizeFolder(currentPath))}
+                  className="btn-create-folder"
+                >
+                  🔐 Permissions
+                </button>
+              )}
             </div>
           )}
         </div>
 
-        {loading && <p>Loading...</p>}
+        {loading && (
+          <p className="loading-indicator">
+            Loading...
+            {listingPending && <button onClick={cancelListing}>Cancel</button>}
+          </p>
+        )}
         
         {folders.length === 0 && files.length === 0 && !loading && (
           <p>No folders or files yet.</p>
         )}
 
-        {folders.length > 0 && (
-          <div className="folders-section">
-            <h3>Folders</h3>
-            <ul className="item-list">
-              {folders.map((folder) => (
-                <li key={folder.path} className="item folder-item">
-                  <div className="item-info" onClick={() => handleNavigateFolder(folder.path)}>
-                    <span className="item-icon">📁</span>
-                    <span className="item-name">{folder.name}</span>
-                    <span className="item-meta">({folder.children} items)</span>
-                  </div>
-                  {userRoles.isUploader && (
-                    <div className="item-actions">
-                      <button 
-                        onClick={() => {
-                          setRenameTarget(folder);
-                          setRenameName(folder.name);
-                          setShowRenameDialog(true);
-                        }}
-                        disabled={loading}
-                        title="Rename"
-                      >
-                        ✏️
-                      </button>
-                      <button 
-                        onClick={() => handleDeleteFolder(folder.path)}
-                        disabled={loading}
-                        title="Delete"
-                      >
-                        🗑️
-                      </button>
-                    </div>
-                  )}
-                </li>
-              ))}
-            </ul>
-          </div>
+        {zipJob && (
+          <ZipDownloadPanel
+            job={zipJob}
+            onCancel={() => zipControllerRef.current?.abort()}
+            onClose={() => setZipJob(null)}
+          />
         )}
 
-        {files.length > 0 && (
-          <div className="files-list-section">
-            <h3>Files</h3>
-            <ul className="item-list">
-              {files.map((file) => (
-                <li key={file.fullPath || file.name} className="item file-item">
-                  <div className="item-info">
-                    <span className="item-icon">📄</span>
-                    <span className="item-name">{file.name}</span>
-                    <span className="item-meta">({(file.size / 1024 / 1024).toFixed(2)} MB)</span>
-                  </div>
-                  <div className="item-actions">
-                    <button 
-                      onClick={() => handleDownload(file.fullPath || file.name)} 
-                      disabled={loading}
-                      title="Download"
-                    >
-                      ⬇️
-                    </button>
-                    <button 
-                      onClick={() => handleShowAccessInfo(file)} 
-                      disabled={loading}
-                      title="Show API Access Info"
-                    >
-                      🔗
-                    </button>
-                    {userRoles.isUploader && (
-                      <>
-                        <button 
-                          onClick={() => {
-                            setRenameTarget(file);
-                            setRenameName(file.name);
-                            setShowRenameDialog(true);
-                          }}
-                          disabled={loading}
-                          title="Rename"
-                        >
-                          ✏️
-                        </button>
-                        <button
-                          onClick={() => {
-                            setMoveTarget(file);
-                            setMoveDestination(currentPath === '/' ? '' : currentPath);
-                            setShowMoveDialog(true);
-                          }}
-                          disabled={loading}
-                          title="Move"
-                        >
-                          📦
-                        </button>
-                        <button 
-                          onClick={() => handleDelete(file.fullPath || file.name)}
-                          disabled={loading}
-                          title="Delete"
-                        >
-                          🗑️
-                        </button>
-                      </>
-                    )}
-                  </div>
-                </li>
-              ))}
-            </ul>
+        {listItems.length > 0 && (
+          <div className="bulk-toolbar">
+            <label>
+              <input
+                type="checkbox"
+                checked={selectedItems.length > 0 && selectedItems.length === displayItems.length}
+                ref={(el) => {
+                  if (el) el.indeterminate = selectedItems.length > 0 && selectedItems.length < displayItems.length;
+                }}
+                onChange={toggleSelectAll}
+              />
+              {selectedItems.length > 0 ? `${selectedItems.length} selected` : 'Select all'}
+            </label>
+            {selectedItems.length > 0 && (
+              <div className="bulk-actions">
+                <button onClick={handleBulkDownload} disabled={loading}>⬇️ Download</button>
+                <button
+                  onClick={() => handleDownloadZip(selectedItems, `${currentPath === '/' ? 'files' : currentPath.split('/').pop()}.zip`)}
+                  disabled={loading || !!zipJob}
+                >
+                  🗜️ Download as ZIP
+                </button>
+                {canModify && (
+                  <>
+                    <button onClick={openBulkMoveDialog} disabled={loading}>📦 Move</button>
+                    <button onClick={handleBulkDelete} disabled={loading}>🗑️ Delete</button>
+                  </>
+                )}
+                <button onClick={() => setSelectedKeys(new Set())} disabled={loading}>Clear</button>
+              </div>
+            )}
+            {bulkProgress && (
+              <span className="bulk-progress">
+                {bulkProgress.title}: {bulkProgress.done} / {bulkProgress.total}
+              </span>
+            )}
+            <input
+              type="search"
+              className="list-filter"
+              value={tablePrefs.filter}
+              onChange={(e) => setTablePrefs((prev) => ({ ...prev, filter: e.target.value }))}
+              placeholder="Filter this folder"
+            />
           </div>
         )}
 
+        {listItems.length > 0 && displayItems.length === 0 && (
+          <p>
+            No items match "{tablePrefs.filter}"{listingContinuation && ' in the entries loaded so far'}.
+            {listingContinuation && (
+              <button className="link-button" onClick={loadMoreFiles} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </p>
+        )}
+
+        {displayItems.length > 0 && (
+          <FileTable
+            key={currentPath}
+            items={displayItems}
+            metadataKeys={metadataKeys}
+            sort={tablePrefs.sort}
+            onSort={handleSort}
+            selectedKeys={selectedKeys}
+            onToggleSelect={toggleSelection}
+            onOpen={(item) => (item.type === 'folder'
+              ? handleNavigateFolder(item.path)
+              : openPreview(item.file))}
+            renderActions={renderItemActions}
+            hasMore={Boolean(listingContinuation)}
+            loadingMore={loadingMore}
+            autoLoadMore={!tablePrefs.filter.trim()}
+            onLoadMore={loadMoreFiles}
+            onItemDragStart={folderPerms.write ? handleItemDragStart : undefined}
+            onItemDragEnd={handleItemDragEnd}
+            dropTarget={dropTarget}
+            onFolderDragOver={(item, e) => handleFolderDragOver(item.path, e)}
+            onFolderDragLeave={(item) => handleFolderDragLeave(item.path)}
+            onFolderDrop={(item, e) => handleFolderDrop(item.path, e)}
+          />
+        )}
+
           {showMoveDialog && (
             <div className="dialog-overlay">
               <div className="dialog">
-                <h3>Move File</h3>
-                <p>File: {moveTarget?.fullPath || moveTarget?.name}</p>
-                <input
-                  type="text"
+                <h3>{bulkMoveItems ? `Move ${bulkMoveItems.length} Items` : `Move ${moveTarget?.type === 'folder' ? 'Folder' : 'File'}`}</h3>
+                {bulkMoveItems
+                  ? <p>{bulkMoveItems.map((item) => item.name).join(', ')}</p>
+                  : <p>{moveTarget?.type === 'folder' ? `Folder: /${moveTarget.path}` : `File: ${moveTarget?.fullPath || moveTarget?.name}`}</p>}
+                <FolderPicker
+                  {...folderPickerProps}
                   value={moveDestination}
-                  onChange={(e) => setMoveDestination(e.target.value)}
-                  placeholder="Destination folder path"
+                  onChange={setMoveDestination}
+                  onSubmit={handleMoveFile}
+                  placeholder="Destination folder path (empty for root)"
+                  autoFocus
                 />
                 <div className="dialog-actions">
-                  <button onClick={handleMoveFile} disabled={loading || !moveDestination.trim()}>
+                  <button onClick={handleMoveFile} disabled={loading || Boolean(folderChoiceProblem(moveDestination, treeCache))}>
                     Move
                   </button>
-                  <button onClick={() => { setShowMoveDialog(false); setMoveTarget(null); setMoveDestination(''); }}>
+                  <button onClick={closeMoveDialog}>
                     Cancel
                   </button>
                 </div>
@@ -865,6 +1675,29 @@ const FileManager = () => {
             </div>
           )}
 
+          {previewTarget && (
+            <FilePreview
+              file={previewTarget.file}
+              path={previewTarget.path}
+              getDownloadUrl={api.getDownloadUrl}
+              onDownload={handleDownload}
+              onClose={() => navigate({ preview: null })}
+            />
+          )}
+
+          {bulkSummary && (
+            <BulkSummaryDialog summary={bulkSummary} onClose={() => setBulkSummary(null)} />
+          )}
+
+          {permissionsFolder !== null && (
+            <FolderPermissionsPanel
+              api={api}
+              folderPath={permissionsFolder}
+              onSaved={refreshCurrentFolder}
+              onClose={() => setPermissionsFolder(null)}
+            />
+          )}
+
           {/* API Access Info Dialog */}
           {showAccessInfo && accessInfoFile && (
             <div className="dialog-backdrop" onClick={() => setShowAccessInfo(false)}>
@@ -874,134 +1707,77 @@ const FileManager = () => {
                 <div style={{ marginBottom: '20px' }}>
                   <h4>Download URL:</h4>
                   <code style={{ display: 'block', padding: '10px', background: '#f5f5f5', borderRadius: '4px', wordBreak: 'break-all' }}>
-                    {API_URL}/api/files/{encodeURIComponent(accessInfoFile.fullPath || accessInfoFile.name)}
+                    {downloadUrl(API_URL, resolveFilePath(accessInfoFile.fullPath || accessInfoFile.name))}
                   </code>
-                  <button onClick={() => copyToClipboard(`${API_URL}/api/files/${encodeURIComponent(accessInfoFile.fullPath || accessInfoFile.name)}`)}>
+                  <button onClick={() => copyToClipboard(downloadUrl(API_URL, resolveFilePath(accessInfoFile.fullPath || accessInfoFile.name)))}>
                     Copy URL
                   </button>
                 </div>
 
-                <div style={{ marginBottom: '20px' }}>
-                  <h4>PowerShell (VM with Managed Identity):</h4>
-                  <pre style={{ padding: '10px', background: '#f5f5f5', borderRadius: '4px', overflow: 'auto', fontSize: '12px' }}>
-{`# Get token using VM's managed identity
-$response = Invoke-RestMethod -Uri 'http://169.254.169.254/metadata/identity/oauth2/token?api-version=2018-02-01&resource=api://f7c08d7c-21c1-4078-ba83-00291a290457' -Headers @{Metadata="true"}
-$token = $response.access_token
-
-# Download file
-$headers = @{ Authorization = "Bearer $token" }
-Invoke-RestMethod -Uri "${API_URL}/api/files/${encodeURIComponent(accessInfoFile.fullPath || accessInfoFile.name)}" -Headers $headers -OutFile "${accessInfoFile.name}"`}
-                  </pre>
-                  <button onClick={() => copyToClipboard(`# Get token using VM's managed identity\n$response = Invoke-RestMethod -Uri 'http://169.254.169.254/metadata/identity/oauth2/token?api-version=2018-02-01&resource=api://f7c08d7c-21c1-4078-ba83-00291a290457' -Headers @{Metadata="true"}\n$token = $response.access_token\n\n# Download file\n$headers = @{ Authorization = "Bearer $token" }\nInvoke-RestMethod -Uri "${API_URL}/api/files/${encodeURIComponent(accessInfoFile.fullPath || accessInfoFile.name)}" -Headers $headers -OutFile "${accessInfoFile.name}"`)}>
-                    Copy PowerShell
-                  </button>
-                </div>
-
-                <div style={{ marginBottom: '20px' }}>
-                  <h4>Python (VM with Managed Identity):</h4>
-                  <p style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>First, install dependencies: <code>pip install azure-identity requests</code></p>
-                  <pre style={{ padding: '10px', background: '#f5f5f5', borderRadius: '4px', overflow: 'auto', fontSize: '12px' }}>
-{`from azure.identity import DefaultAzureCredential
-import requests
-from urllib.parse import quote
-
-# Get token using VM's managed identity
-credential = DefaultAzureCredential()
-token = credential.get_token("api://f7c08d7c-21c1-4078-ba83-00291a290457/.default")
-
-# Download file with streaming (memory-efficient for large files)
-headers = {"Authorization": f"Bearer {token.token}"}
-file_path = quote("${accessInfoFile.fullPath || accessInfoFile.name}", safe='')
-response = requests.get(f"${API_URL}/api/files/{file_path}", headers=headers, stream=True)
-
-with open("${accessInfoFile.name}", "wb") as f:
-    for chunk in response.iter_content(chunk_size=8192):
-        if chunk:
-            f.write(chunk)`}
-                  </pre>
-                  <button onClick={() => copyToClipboard(`from azure.identity import DefaultAzureCredential\nimport requests\nfrom urllib.parse import quote\n\n# Get token using VM's managed identity\ncredential = DefaultAzureCredential()\ntoken = credential.get_token("api://f7c08d7c-21c1-4078-ba83-00291a290457/.default")\n\n# Download file with streaming (memory-efficient for large files)\nheaders = {"Authorization": f"Bearer {token.token}"}\nfile_path = quote("${accessInfoFile.fullPath || accessInfoFile.name}", safe='')\nresponse = requests.get(f"${API_URL}/api/files/{file_path}", headers=headers, stream=True)\n\nwith open("${accessInfoFile.name}", "wb") as f:\n    for chunk in response.iter_content(chunk_size=8192):\n        if chunk:\n            f.write(chunk)`)}>
-                    Copy Python
-                  </button>
-                </div>
-
-                <div style={{ marginBottom: '20px' }}>
-                  <h4>cURL (VM with Managed Identity):</h4>
-                  <pre style={{ padding: '10px', background: '#f5f5f5', borderRadius: '4px', overflow: 'auto', fontSize: '12px' }}>
-{`# Get token using VM's managed identity
-TOKEN=$(curl -s 'http://169.254.169.254/metadata/identity/oauth2/token?api-version=2018-02-01&resource=api://f7c08d7c-21c1-4078-ba83-00291a290457' -H Metadata:true | grep -Po '"access_token":"\\K[^"]*')
-
-# Download file (using --data-urlencode for special characters)
-curl -G -H "Authorization: Bearer $TOKEN" \\
-  --data-urlencode "path=${accessInfoFile.fullPath || accessInfoFile.name}" \\
-  "${API_URL}/api/files/" \\
-  -o "${accessInfoFile.name}"`}
-                  </pre>
-                  <button onClick={() => copyToClipboard(`# Get token using VM's managed identity\nTOKEN=$(curl -s 'http://169.254.169.254/metadata/identity/oauth2/token?api-version=2018-02-01&resource=api://f7c08d7c-21c1-4078-ba83-00291a290457' -H Metadata:true | grep -Po '"access_token":"\\K[^"]*')\n\n# Download file (URL-encoded path)\ncurl -H "Authorization: Bearer $TOKEN" \\\n  "${API_URL}/api/files/${encodeURIComponent(accessInfoFile.fullPath || accessInfoFile.name)}" \\\n  -o "${accessInfoFile.name}"`)}>
-                    Copy cURL
-                  </button>
-                </div>
+                <ShareLinkForm
+                  api={api}
+                  path={resolveFilePath(accessInfoFile.fullPath || accessInfoFile.name)}
+                  onCopy={copyToClipboard}
+                />
 
-                <div style={{ marginBottom: '20px' }}>
-                  <h4>Azure CLI (VM with Managed Identity):</h4>
-                  <pre style={{ padding: '10px', background: '#f5f5f5', borderRadius: '4px', overflow: 'auto', fontSize: '12px' }}>
-{`# Get token using VM's managed identity
-TOKEN=$(az account get-access-token --resource api://f7c08d7c-21c1-4078-ba83-00291a290457 --query accessToken -o tsv)
-
-# Download file (URL-encoded path)
-curl -H "Authorization: Bearer $TOKEN" \\
-  "${API_URL}/api/files/${encodeURIComponent(accessInfoFile.fullPath || accessInfoFile.name)}" \\
-  -o "${accessInfoFile.name}"`}
-                  </pre>
-                  <button onClick={() => copyToClipboard(`# Get token using VM's managed identity\nTOKEN=$(az account get-access-token --resource api://f7c08d7c-21c1-4078-ba83-00291a290457 --query accessToken -o tsv)\n\n# Download file\ncurl -H "Authorization: Bearer $TOKEN" \\\n  "${API_URL}/api/files/${encodeURIComponent(accessInfoFile.fullPath || accessInfoFile.name)}" \\\n  -o "${accessInfoFile.name}"`)}>
-                    Copy Azure CLI
-                  </button>
-                </div>
+                <AccessSnippets
+                  apiUrl={API_URL}
+                  path={resolveFilePath(accessInfoFile.fullPath || accessInfoFile.name)}
+                  canWrite={folderPerms.write}
+                  onCopy={copyToClipboard}
+                />
 
                 <button onClick={() => setShowAccessInfo(false)}>Close</button>
               </div>
             </div>
           )}
         </div>
+      </>
+      )}
+
+      {folderOperation.job && (
+        <FolderOperationPanel
+          job={folderOperation.job}
+          onConfirm={folderOperation.run}
+          onCancel={folderOperation.cancel}
+          onResume={folderOperation.run}
+          onClose={folderOperation.dismiss}
+        />
+      )}
+
+      {uploadConflict && (
+        <UploadConflictDialog
+          names={uploadConflict.names}
+          onResolve={resolveUploadConflict}
+          onCancel={() => setUploadConflict(null)}
+        />
+      )}
+
+      {versionsTarget && (
+        <VersionsPanel
+          api={api}
+          path={versionsTarget.path}
+          canPromote={versionsTarget.canPromote}
+          onDownloadVersion={downloadPath}
+          onPromoted={refreshCurrentFolder}
+          onClose={() => setVersionsTarget(null)}
+        />
+      )}
+
+      {undoToast && (
+        <UndoToast
+          key={undoToast.id}
+          message={undoToast.message}
+          onUndo={undoToast.changes.length > 0 ? () => undoChanges(undoToast.changes) : null}
+          onDismiss={dismissUndoToast}
+        />
+      )}
+
+      {historyPath && <FileHistoryPanel api={api} path={historyPath} onClose={() => setHistoryPath(null)} />}
         </main>
       </div>
     </div>
   );
 };
 
-// Tree node component
-const TreeNode = ({ path, name, expanded, onToggle, onSelect, childrenFolders, expandedPaths, onNavigate, onToggleExpand, treeCache, loadChildren }) => {
-  return (
-    <li className="tree-node">
-      <div className="tree-node-header">
-        <button className="toggle-btn" onClick={onToggle}>
-          {expanded ? '▾' : '▸'}
-        </button>
-        <span className="tree-node-name" onClick={onSelect}>{name}</span>
-      </div>
-      {expanded && childrenFolders && childrenFolders.length > 0 && (
-        <ul className="tree-children">
-          {childrenFolders.map((f) => (
-            <TreeNode
-              key={f.path}
-              path={f.path}
-              name={f.name}
-              expanded={expandedPaths.has(f.path)}
-              onToggle={async () => {
-                await onToggleExpand(f.path);
-              }}
-              onSelect={() => onNavigate(f.path)}
-              childrenFolders={(treeCache[f.path] && treeCache[f.path].folders) || []}
-              expandedPaths={expandedPaths}
-              onNavigate={onNavigate}
-              onToggleExpand={onToggleExpand}
-              treeCache={treeCache}
-              loadChildren={loadChildren}
-            />
-          ))}
-        </ul>
-      )}
-    </li>
-  );
-};
-
 export default FileManager;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import go from 'highlight.js/lib/languages/go';
+import ini from 'highlight.js/lib/languages/ini';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import markdown from 'highlight.js/lib/languages/markdown';
+import plaintext from 'highlight.js/lib/languages/plaintext';
+import powershell from 'highlight.js/lib/languages/powershell';
+import python from 'highlight.js/lib/languages/python';
+import ruby from 'highlight.js/lib/languages/ruby';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+import 'highlight.js/styles/github.css';
+import { parseCsv, detectDelimiter } from '../utils/csv';
+import { formatBytes } from '../utils/format';
+import {
+  PREVIEW_TEXT_BYTES,
+  PREVIEW_MAX_BINARY_BYTES,
+  fetchHead,
+  highlightLanguage,
+  previewKind,
+} from '../utils/preview';
+import './FilePreview.css';
+
+Object.entries({
+  bash, csharp, css, go, ini, java, javascript, json, markdown, plaintext,
+  powershell, python, ruby, sql, typescript, xml, yaml,
+}).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+const CSV_PAGE_SIZE = 50;
+
+const highlight = (text, language) => {
+  const lang = language && hljs.getLanguage(language) ? language : 'plaintext';
+  return hljs.highlight(text, { language: lang, ignoreIllegals: true }).value;
+};
+
+const CsvTable = ({ rows, truncated }) => {
+  const [page, setPage] = useState(0);
+  const [header, ...body] = rows;
+  const pageCount = Math.max(1, Math.ceil(body.length / CSV_PAGE_SIZE));
+  const pageRows = body.slice(page * CSV_PAGE_SIZE, (page + 1) * CSV_PAGE_SIZE);
+
+  return (
+    <div className="preview-csv">
+      <div className="preview-csv-scroll">
+        <table>
+          <thead>
+            <tr>{(header || []).map((cell, i) => <th key={i}>{cell}</th>)}</tr>
+          </thead>
+          <tbody>
+            {pageRows.map((row, r) => (
+              <tr key={r}>{row.map((cell, i) => <td key={i}>{cell}</td>)}</tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="preview-pager">
+        <button onClick={() => setPage((p) => p - 1)} disabled={page === 0}>‹ Prev</button>
+        <span>
+          Page {page + 1} / {pageCount} · {body.length} rows{truncated && ' loaded'}
+        </span>
+        <button onClick={() => setPage((p) => p + 1)} disabled={page >= pageCount - 1}>Next ›</button>
+      </div>
+    </div>
+  );
+};
+
+// Side panel previewing a file. Text-like files only fetch their first
+// PREVIEW_TEXT_BYTES via a Range request; images and PDFs are fetched whole up
+// to PREVIEW_MAX_BINARY_BYTES. A file without a known size (a deep link to a
+// file outside the loaded listing) has it probed first, and is treated as too
+// large if the server will not say.
+const FilePreview = ({ file, path, getDownloadUrl, onDownload, onClose }) => {
+  const [preview, setPreview] = useState({ status: 'loading' });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    let objectUrl = null;
+    setPreview({ status: 'loading' });
+
+    (async () => {
+      const kind = previewKind(file);
+      if (!kind) {
+        setPreview({ status: 'unsupported' });
+        return;
+      }
+      const binary = kind === 'image' || kind === 'pdf';
+      if (binary && file.size > PREVIEW_MAX_BINARY_BYTES) {
+        setPreview({ status: 'too-large' });
+        return;
+      }
+
+      try {
+        const url = await getDownloadUrl(path);
+
+        if (binary) {
+          if (!Number.isFinite(file.size)) {
+            const { totalBytes } = await fetchHead(url, 1, signal);
+            if (totalBytes === null || totalBytes > PREVIEW_MAX_BINARY_BYTES) {
+              setPreview({ status: 'too-large' });
+              return;
+            }
+          }
+          const response = await fetch(url, { signal });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const blob = await response.blob();
+          // The API may serve PDFs as octet-stream; the viewer needs the right type
+          objectUrl = URL.createObjectURL(kind === 'pdf' ? new Blob([blob], { type: 'application/pdf' }) : blob);
+          setPreview({ status: 'ready', kind, objectUrl });
+          return;
+        }
+
+        const { bytes, truncated } = await fetchHead(url, PREVIEW_TEXT_BYTES, signal);
+        const text = new TextDecoder().decode(bytes);
+
+        if (kind === 'csv') {
+          // Drop the partial last line of a truncated file
+          const body = truncated ? text.slice(0, text.lastIndexOf('\n')) : text;
+          setPreview({ status: 'ready', kind, truncated, rows: parseCsv(body, detectDelimiter(body)) });
+          return;
+        }
+
+        let content = text;
+        if (kind === 'json' && !truncated) {
+          try {
+            content = JSON.stringify(JSON.parse(text), null, 2);
+          } catch (e) {
+            // Not a single JSON document (e.g. JSON Lines); show as-is
+          }
+        }
+        const language = kind === 'json' ? 'json' : highlightLanguage(file);
+        setPreview({ status: 'ready', kind, truncated, html: highlight(content, language) });
+      } catch (error) {
+        if (signal.aborted) return;
+        console.error('Preview error:', error);
+        setPreview({ status: 'error', message: 'Failed to load preview.' });
+      }
+    })();
+
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [file, path, getDownloadUrl]);
+
+  return (
+    <div className="preview-backdrop" onClick={onClose}>
+      <aside className="preview-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="preview-header">
+          <div>
+            <h3 title={path}>{file.name}</h3>
+            <span className="preview-meta">{formatBytes(file.size)}{file.contentType && ` · ${file.contentType}`}</span>
+          </div>
+          <div className="preview-header-actions">
+            <button onClick={() => onDownload(path)} title="Download">⬇️</button>
+            <button onClick={onClose} title="Close">✕</button>
+          </div>
+        </div>
+
+        <div className="preview-body">
+          {preview.status === 'loading' && <p>Loading preview...</p>}
+          {preview.status === 'unsupported' && <p>No preview available for this file type.</p>}
+          {preview.status === 'too-large' && (
+            <p>
+              {Number.isFinite(file.size)
+                ? `This file is too large to preview (${formatBytes(file.size)}).`
+                : 'This file may be too large to preview.'}
+              {' '}Download it instead.
+            </p>
+          )}
+          {preview.status === 'error' && <div className="error-message">{preview.message}</div>}
+          {preview.status === 'ready' && (
+            <>
+              {preview.truncated && (
+                <p className="preview-truncated">
+                  Showing the first {formatBytes(PREVIEW_TEXT_BYTES)} of {formatBytes(file.size)}.
+                </p>
+              )}
+              {preview.kind === 'image' && <img src={preview.objectUrl} alt={file.name} className="preview-image" />}
+              {preview.kind === 'pdf' && <iframe src={preview.objectUrl} title={file.name} className="preview-pdf" />}
+              {preview.kind === 'csv' && <CsvTable key={path} rows={preview.rows} truncated={preview.truncated} />}
+              {(preview.kind === 'json' || preview.kind === 'text') && (
+                <pre className="preview-code hljs">
+                  <code dangerouslySetInnerHTML={{ __html: preview.html }} />
+                </pre>
+              )}
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default FilePreview;
@@ -0,0 +1,168 @@
+import React, { useEffect, useRef } from 'react';
+import useWindowedRows from '../hooks/useWindowedRows';
+import { formatBytes } from '../utils/format';
+import { columnValue } from '../utils/listing';
+import './FileTable.css';
+
+// Must match the row height in FileTable.css
+const ROW_HEIGHT = 48;
+
+const formatDate = (time) => (time === null || time === undefined ? '' : new Date(time).toLocaleString());
+
+const formatMetadata = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// Folder listing as a sortable table. Row actions come from `renderActions(item)`
+// so the owner keeps control of what each role may do. Only the rows in view are
+// mounted; scrolling to the end asks for the next page via `onLoadMore`, but
+// only while `autoLoadMore` says the rows are the whole listing. A filtered
+// view stays short however many pages exist, so it pages by button instead.
+// With `onItemDragStart`, rows can be dragged and folder rows accept drops;
+// `dropTarget` ({ path, valid }) highlights the folder under the pointer.
+const FileTable = ({
+  items,
+  metadataKeys,
+  sort,
+  onSort,
+  selectedKeys,
+  onToggleSelect,
+  onOpen,
+  renderActions,
+  hasMore = false,
+  loadingMore = false,
+  autoLoadMore = true,
+  onLoadMore,
+  onItemDragStart,
+  onItemDragEnd,
+  dropTarget = null,
+  onFolderDragOver,
+  onFolderDragLeave,
+  onFolderDrop,
+}) => {
+  const scrollRef = useRef(null);
+  const { start, end, visibleEnd, offsetTop, offsetBottom } = useWindowedRows(scrollRef, items.length, ROW_HEIGHT);
+  const columnCount = metadataKeys.length + 6;
+
+  // Infinite scroll: fetch the next page once the last loaded row is on screen
+  useEffect(() => {
+    if (autoLoadMore && hasMore && !loadingMore && items.length > 0 && visibleEnd >= items.length) onLoadMore?.();
+  }, [autoLoadMore, visibleEnd, items.length, hasMore, loadingMore, onLoadMore]);
+
+  const columns = [
+    { key: 'name', label: 'Name' },
+    { key: 'size', label: 'Size' },
+    { key: 'lastModified', label: 'Last modified' },
+    { key: 'contentType', label: 'Content type' },
+    ...metadataKeys.map((key) => ({ key, label: key })),
+  ];
+
+  const rowClassName = (item) => {
+    let className = `${item.type}-row`;
+    if (selectedKeys.has(item.key)) className += ' selected';
+    if (item.type === 'folder' && dropTarget?.path === item.path) {
+      className += dropTarget.valid ? ' drop-target' : ' drop-invalid';
+    }
+    return className;
+  };
+
+  const dropHandlers = (item) => (item.type === 'folder' && onFolderDrop
+    ? {
+      onDragOver: (e) => onFolderDragOver(item, e),
+      onDragLeave: (e) => onFolderDragLeave(item, e),
+      onDrop: (e) => onFolderDrop(item, e),
+    }
+    : {});
+
+  const renderCell = (item, key) => {
+    const value = columnValue(item, key);
+    switch (key) {
+      case 'name':
+        return (
+          <span
+            className="file-table-name"
+            onClick={() => onOpen(item)}
+            title={item.type === 'folder' ? 'Open folder' : 'Preview'}
+          >
+            <span className="item-icon">{item.type === 'folder' ? '📁' : '📄'}</span>
+            {item.name}
+          </span>
+        );
+      case 'size':
+        if (item.type === 'folder') return value === undefined ? '' : `${value} items`;
+        return formatBytes(value);
+      case 'lastModified':
+        return formatDate(value);
+      default:
+        return formatMetadata(value);
+    }
+  };
+
+  return (
+    <div className="file-table-wrapper" ref={scrollRef}>
+      <table className="file-table">
+        <thead>
+          <tr>
+            <th className="col-select"></th>
+            {columns.map((column) => (
+              <th
+                key={column.key}
+                className={`sortable${sort.key === column.key ? ' sorted' : ''}`}
+                onClick={() => onSort(column.key)}
+                aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+              >
+                {column.label}
+                {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+              </th>
+            ))}
+            <th className="col-actions"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {offsetTop > 0 && <tr className="spacer-row" style={{ height: offsetTop }}><td colSpan={columnCount} /></tr>}
+          {items.slice(start, end).map((item, i) => (
+            <tr
+              key={item.key}
+              className={rowClassName(item)}
+              draggable={Boolean(onItemDragStart)}
+              onDragStart={onItemDragStart ? (e) => onItemDragStart(item, e) : undefined}
+              onDragEnd={onItemDragEnd}
+              {...dropHandlers(item)}
+            >
+              <td className="col-select">
+                <input
+                  type="checkbox"
+                  checked={selectedKeys.has(item.key)}
+                  onChange={(e) => onToggleSelect(start + i, e.nativeEvent.shiftKey)}
+                  aria-label={`Select ${item.name}`}
+                />
+              </td>
+              {columns.map((column) => (
+                <td key={column.key} className={`col-${column.key}`}>
+                  {renderCell(item, column.key)}
+                </td>
+              ))}
+              <td className="col-actions">
+                <div className="item-actions">{renderActions(item)}</div>
+              </td>
+            </tr>
+          ))}
+          {offsetBottom > 0 && <tr className="spacer-row" style={{ height: offsetBottom }}><td colSpan={columnCount} /></tr>}
+        </tbody>
+      </table>
+      {(hasMore || loadingMore) && (
+        <div className="file-table-more">
+          {loadingMore ? (
+            'Loading more...'
+          ) : (
+            <button onClick={onLoadMore}>Load more</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileTable;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { FOLDER_OPERATION_LABELS } from '../utils/folderOps';
+
+// How many affected paths the dry run lists before summarising the rest
+const PREVIEW_LIMIT = 200;
+
+const STEP_LABELS = {
+  createFolder: 'Create',
+  moveFile: 'Move',
+  deleteFile: 'Delete',
+  deleteFolder: 'Remove folder',
+};
+
+const describeStep = (step) => (step.destination ? `${step.source} → ${step.destination}` : step.source);
+
+// Dry-run preview, progress and resume for a folder move/rename/delete
+// (see hooks/useFolderOperation)
+const FolderOperationPanel = ({ job, onConfirm, onCancel, onResume, onClose }) => {
+  const title = `${FOLDER_OPERATION_LABELS[job.kind]}: /${job.source}${job.destination !== null && job.kind !== 'delete' ? ` → /${job.destination}` : ''}`;
+  const blobSteps = (job.steps || []).filter((s) => s.type === 'moveFile' || s.type === 'deleteFile');
+  const collisions = blobSteps.filter((s) => s.collision);
+
+  return (
+    <div className="dialog-overlay">
+      <div className="dialog folder-operation">
+        <h3>{title}</h3>
+
+        {job.phase === 'planning' && (
+          <>
+            <p>Listing everything under /{job.source}...</p>
+            <p className="folder-operation-stats">
+              {job.scanned.folders} folders, {job.scanned.files} files found so far
+            </p>
+            <div className="dialog-actions">
+              <button onClick={onClose}>Cancel</button>
+            </div>
+          </>
+        )}
+
+        {job.phase === 'preview' && (
+          <>
+            <p>
+              This will {job.kind === 'delete' ? 'move to the recycle bin' : 'move'} {blobSteps.length} file(s)
+              {' '}in {job.steps.filter((s) => s.type === 'deleteFolder').length} folder(s).
+              Nothing has been changed yet.
+            </p>
+            {collisions.length > 0 && (
+              <details className="folder-operation-collisions" open>
+                <summary>
+                  {collisions.length} file(s) already exist in /{job.destination} and will be overwritten
+                </summary>
+                <ul>
+                  {collisions.slice(0, PREVIEW_LIMIT).map((step) => <li key={step.id}>{step.destination}</li>)}
+                </ul>
+              </details>
+            )}
+            <ul className="folder-operation-list">
+              {job.steps.slice(0, PREVIEW_LIMIT).map((step) => (
+                <li key={step.id} className={step.collision ? 'folder-operation-collision' : undefined}>
+                  <span className="folder-operation-type">{step.collision ? 'Overwrite' : STEP_LABELS[step.type]}</span>
+                  <span>{describeStep(step)}</span>
+                </li>
+              ))}
+            </ul>
+            {job.steps.length > PREVIEW_LIMIT && (
+              <p className="folder-operation-stats">...and {job.steps.length - PREVIEW_LIMIT} more</p>
+            )}
+            <div className="dialog-actions">
+              <button onClick={onConfirm}>{job.kind === 'delete' ? 'Delete' : 'Move'} {blobSteps.length} file(s)</button>
+              <button onClick={onClose}>Cancel</button>
+            </div>
+          </>
+        )}
+
+        {(job.phase === 'running' || job.phase === 'done' || job.phase === 'failed' || job.phase === 'cancelled') && (
+          <>
+            {job.total > 0 && (
+              <>
+                <progress value={job.done} max={job.total}></progress>
+                <p className="folder-operation-stats">{job.done} / {job.total} steps</p>
+              </>
+            )}
+            {job.phase === 'done' && <p>Finished.</p>}
+            {job.phase === 'cancelled' && <p>Stopped. Steps already done are kept; resume to finish the rest.</p>}
+            {job.message && <div className="error-message">{job.message}</div>}
+            {job.failed.length > 0 && (
+              <details className="folder-operation-errors" open={job.phase === 'failed'}>
+                <summary>{job.failed.length} step(s) failed</summary>
+                <ul>
+                  {job.failed.map((step) => (
+                    <li key={step.id}>{describeStep(step)}: {step.error}</li>
+                  ))}
+                </ul>
+              </details>
+            )}
+            <div className="dialog-actions">
+              {job.phase === 'running' && <button onClick={onCancel}>Stop</button>}
+              {(job.phase === 'failed' || job.phase === 'cancelled') && job.total > 0 && (
+                <button onClick={onResume}>Resume</button>
+              )}
+              {job.phase !== 'running' && <button onClick={onClose}>Close</button>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FolderOperationPanel;
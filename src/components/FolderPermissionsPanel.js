@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { describeError, isCancelled } from '../api/storageClient';
+import { PERMISSION_KINDS } from '../utils/permissions';
+import './FolderPermissionsPanel.css';
+
+const emptyEntry = { principalId: '', displayName: '', read: true, write: false, delete: false };
+
+// Admin dialog for the groups allowed to read, write and delete in a folder.
+// Entries inherited from a parent folder are shown read-only; edit them there.
+const FolderPermissionsPanel = ({ api, folderPath, onSaved, onClose }) => {
+  const [status, setStatus] = useState('loading');
+  const [entries, setEntries] = useState([]);
+  const [inherited, setInherited] = useState([]);
+  const [newEntry, setNewEntry] = useState(emptyEntry);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const data = await api.getFolderPermissions(folderPath, { signal: controller.signal });
+        const all = data?.entries || [];
+        setEntries(all.filter((entry) => !entry.inheritedFrom));
+        setInherited(all.filter((entry) => entry.inheritedFrom));
+        setStatus('ready');
+      } catch (e) {
+        if (isCancelled(e)) return;
+        console.error('Load permissions error:', e);
+        setError(describeError(e, 'Failed to load permissions.'));
+        setStatus('error');
+      }
+    })();
+    return () => controller.abort();
+  }, [api, folderPath]);
+
+  const toggle = (index, kind) => {
+    setEntries((prev) => prev.map((entry, i) => (i === index ? { ...entry, [kind]: !entry[kind] } : entry)));
+  };
+
+  const removeEntry = (index) => setEntries((prev) => prev.filter((_, i) => i !== index));
+
+  const addEntry = () => {
+    const principalId = newEntry.principalId.trim();
+    if (!principalId) {
+      setError('Enter the group object ID to add.');
+      return;
+    }
+    if (entries.some((entry) => entry.principalId === principalId)) {
+      setError('That group already has an entry on this folder.');
+      return;
+    }
+    setEntries((prev) => [...prev, { ...newEntry, principalId, displayName: newEntry.displayName.trim() }]);
+    setNewEntry(emptyEntry);
+    setError(null);
+  };
+
+  const save = async () => {
+    setStatus('saving');
+    setError(null);
+    try {
+      await api.setFolderPermissions(folderPath, entries);
+      onSaved?.();
+      onClose();
+    } catch (e) {
+      console.error('Save permissions error:', e);
+      setError(describeError(e, 'Failed to save permissions.'));
+      setStatus('ready');
+    }
+  };
+
+  const label = (entry) => entry.displayName || entry.principalId;
+
+  return (
+    <div className="dialog-overlay">
+      <div className="dialog permissions-panel">
+        <h3>Permissions for /{folderPath}</h3>
+        {status === 'loading' && <p>Loading permissions...</p>}
+        {error && <div className="error-message">{error}</div>}
+
+        {status !== 'loading' && status !== 'error' && (
+          <>
+            <table className="permissions-table">
+              <thead>
+                <tr>
+                  <th>Group</th>
+                  {PERMISSION_KINDS.map((kind) => <th key={kind}>{kind}</th>)}
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {inherited.map((entry) => (
+                  <tr key={`inherited:${entry.principalId}:${entry.inheritedFrom}`} className="inherited">
+                    <td title={entry.principalId}>
+                      {label(entry)}
+                      <span className="permissions-inherited">from /{entry.inheritedFrom}</span>
+                    </td>
+                    {PERMISSION_KINDS.map((kind) => (
+                      <td key={kind}><input type="checkbox" checked={Boolean(entry[kind])} disabled /></td>
+                    ))}
+                    <td></td>
+                  </tr>
+                ))}
+                {entries.map((entry, index) => (
+                  <tr key={entry.principalId}>
+                    <td title={entry.principalId}>{label(entry)}</td>
+                    {PERMISSION_KINDS.map((kind) => (
+                      <td key={kind}>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(entry[kind])}
+                          onChange={() => toggle(index, kind)}
+                          aria-label={`${label(entry)} ${kind}`}
+                        />
+                      </td>
+                    ))}
+                    <td>
+                      <button className="link-button" onClick={() => removeEntry(index)}>Remove</button>
+                    </td>
+                  </tr>
+                ))}
+                {entries.length === 0 && inherited.length === 0 && (
+                  <tr>
+                    <td colSpan={PERMISSION_KINDS.length + 2}>No folder-specific entries; container roles apply.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+
+            <div className="permissions-add">
+              <input
+                type="text"
+                value={newEntry.principalId}
+                onChange={(e) => setNewEntry((prev) => ({ ...prev, principalId: e.target.value }))}
+                placeholder="Group object ID"
+              />
+              <input
+                type="text"
+                value={newEntry.displayName}
+                onChange={(e) => setNewEntry((prev) => ({ ...prev, displayName: e.target.value }))}
+                placeholder="Display name (optional)"
+              />
+              {PERMISSION_KINDS.map((kind) => (
+                <label key={kind}>
+                  <input
+                    type="checkbox"
+                    checked={newEntry[kind]}
+                    onChange={() => setNewEntry((prev) => ({ ...prev, [kind]: !prev[kind] }))}
+                  />
+                  {kind}
+                </label>
+              ))}
+              <button onClick={addEntry}>Add</button>
+            </div>
+          </>
+        )}
+
+        <div className="dialog-actions">
+          <button onClick={save} disabled={status !== 'ready'}>
+            {status === 'saving' ? 'Saving...' : 'Save'}
+          </button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FolderPermissionsPanel;
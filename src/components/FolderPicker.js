@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useId, useRef } from 'react';
+import FolderTree from './FolderTree';
+import { describeError } from '../api/storageClient';
+import { normalizeFolder } from '../utils/route';
+import {
+  folderChoiceProblem,
+  folderStatus,
+  folderSuggestions,
+  nextUnlistedFolder,
+  splitTyped,
+  treeKey,
+  validateFolderPath,
+} from '../utils/folderPath';
+import './FolderPicker.css';
+
+// Wait this long after typing stops before listing an unknown folder
+const LOOKUP_DELAY_MS = 250;
+
+// Type-ahead folder path field. Suggestions come from the shared tree cache;
+// folders it has not seen yet are listed through `onLoadFolder(path)` as the
+// path is typed. 'Browse' opens a small tree to pick from instead. Paths that
+// do not exist are flagged, and can be created on the spot when
+// `onCreateFolder(path)` is given. `value` is the text as typed; callers
+// normalize it and check it with folderChoiceProblem before using it.
+const FolderPicker = ({
+  value,
+  onChange,
+  onSubmit,
+  treeCache,
+  onLoadFolder,
+  onLoadMore,
+  onCreateFolder,
+  placeholder = 'Folder path',
+  autoFocus = false,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(-1);
+  const [browsing, setBrowsing] = useState(false);
+  const [expandedPaths, setExpandedPaths] = useState(() => new Set(['/']));
+  const [creating, setCreating] = useState(false);
+  const [createError, setCreateError] = useState(null);
+  const requestedRef = useRef(new Set());
+  const inputRef = useRef(null);
+  const listId = useId();
+
+  const folder = normalizeFolder(value);
+  const { parent } = splitTyped(value);
+  const suggestions = open ? folderSuggestions(value, treeCache) : [];
+  const status = folderStatus(folder, treeCache);
+  const problem = folderChoiceProblem(folder, treeCache);
+  const canCreate = Boolean(onCreateFolder) && status === 'missing' && !validateFolderPath(folder);
+  const options = [...suggestions.map((f) => ({ type: 'folder', folder: f })), ...(canCreate ? [{ type: 'create' }] : [])];
+
+  // List the folders needed to complete and check what has been typed, one
+  // level at a time; each answer lands in the cache and moves this along
+  useEffect(() => {
+    const next = nextUnlistedFolder(parent, treeCache);
+    if (next === null || requestedRef.current.has(treeKey(next))) return undefined;
+    const timer = setTimeout(() => {
+      requestedRef.current.add(treeKey(next));
+      onLoadFolder(treeKey(next));
+    }, LOOKUP_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [parent, treeCache, onLoadFolder]);
+
+  useEffect(() => {
+    setHighlight(-1);
+    setCreateError(null);
+  }, [value]);
+
+  const choose = (path) => {
+    onChange(path);
+    setOpen(false);
+    inputRef.current?.focus();
+  };
+
+  const create = async () => {
+    setCreating(true);
+    setCreateError(null);
+    try {
+      await onCreateFolder(folder);
+      setOpen(false);
+    } catch (e) {
+      console.error('Create folder error:', e);
+      setCreateError(describeError(e, 'Failed to create folder.'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const pick = (option) => {
+    if (option.type === 'create') {
+      create();
+    } else {
+      choose(option.folder.path);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setOpen(true);
+      if (options.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // -1 is the typed text itself, between the last option and the first
+      setHighlight((prev) => {
+        const next = prev + step;
+        if (next >= options.length) return -1;
+        return next < -1 ? options.length - 1 : next;
+      });
+    } else if (e.key === 'Tab' && open && suggestions.length > 0 && !e.shiftKey) {
+      e.preventDefault();
+      choose(`${suggestions[Math.max(highlight, 0)].path}/`);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (open && options[highlight]) {
+        pick(options[highlight]);
+      } else if (onSubmit && !problem) {
+        setOpen(false);
+        onSubmit(folder);
+      }
+    } else if (e.key === 'Escape' && open) {
+      e.stopPropagation();
+      setOpen(false);
+    }
+  };
+
+  const toggleBrowseNode = (path) => {
+    setExpandedPaths((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+    if (!treeCache[path]) onLoadFolder(path);
+  };
+
+  const selectBrowseNode = (path) => choose(path === '/' ? '' : path);
+
+  return (
+    <div className="folder-picker">
+      <div className="folder-picker-field">
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          autoFocus={autoFocus}
+          role="combobox"
+          aria-controls={listId}
+          aria-expanded={options.length > 0}
+          aria-autocomplete="list"
+          aria-invalid={Boolean(problem)}
+          spellCheck={false}
+        />
+        <button
+          type="button"
+          className={`folder-picker-browse${browsing ? ' active' : ''}`}
+          onClick={() => setBrowsing((prev) => !prev)}
+          title="Browse folders"
+        >
+          📁
+        </button>
+        {open && options.length > 0 && (
+          <ul id={listId} className="folder-picker-options" role="listbox">
+            {options.map((option, index) => (
+              <li
+                key={option.type === 'create' ? ':create' : option.folder.path}
+                role="option"
+                aria-selected={index === highlight}
+                className={`${index === highlight ? 'highlighted' : ''}${option.type === 'create' ? ' folder-picker-create' : ''}`}
+                // Before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(option);
+                }}
+              >
+                {option.type === 'create'
+                  ? `＋ Create folder /${folder}`
+                  : <>📁 /{option.folder.path}</>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {browsing && (
+        <div className="folder-picker-tree">
+          <FolderTree
+            treeCache={treeCache}
+            expandedPaths={expandedPaths}
+            onToggle={toggleBrowseNode}
+            onSelect={selectBrowseNode}
+            onLoadMore={onLoadMore}
+          />
+        </div>
+      )}
+
+      <div className="folder-picker-status">
+        {creating && <span>Creating /{folder}...</span>}
+        {!creating && createError && <span className="folder-picker-problem">{createError}</span>}
+        {!creating && !createError && problem && (
+          <span className="folder-picker-problem">
+            {problem}
+            {canCreate && <button type="button" className="link-button" onClick={create}>Create it</button>}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FolderPicker;
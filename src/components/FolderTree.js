@@ -0,0 +1,151 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import useWindowedRows from '../hooks/useWindowedRows';
+import { isItemDrag } from '../utils/itemDrag';
+
+// Must match the .tree-node height in FileManager.css
+const ROW_HEIGHT = 28;
+const INDENT = 18;
+// Hovering a collapsed folder this long while dragging opens it
+const AUTO_EXPAND_MS = 700;
+
+// Flatten the expanded part of the tree into rows so it can be windowed like a
+// list. A folder whose subfolders are only partly loaded gets a trailing
+// 'more' row.
+const flattenTree = (treeCache, expandedPaths) => {
+  const rows = [{ type: 'folder', path: '/', name: '/', depth: 0 }];
+  const visit = (path, depth) => {
+    if (!expandedPaths.has(path)) return;
+    const node = treeCache[path];
+    (node?.folders || []).forEach((f) => {
+      rows.push({ type: 'folder', path: f.path, name: f.name, depth: depth + 1 });
+      visit(f.path, depth + 1);
+    });
+    if (node?.continuationToken) rows.push({ type: 'more', path, depth: depth + 1 });
+  };
+  visit('/', 0);
+  return rows;
+};
+
+const TreeNode = ({ row, expanded, onToggle, onSelect, dropState, dropHandlers }) => (
+  <li
+    className={`tree-node${dropState ? ` ${dropState}` : ''}`}
+    style={{ paddingLeft: row.depth * INDENT }}
+    {...dropHandlers}
+  >
+    <div className="tree-node-header">
+      <button className="toggle-btn" onClick={() => onToggle(row.path)}>
+        {expanded ? '▾' : '▸'}
+      </button>
+      <span className="tree-node-name" onClick={() => onSelect(row.path)}>{row.name}</span>
+    </div>
+  </li>
+);
+
+// Sidebar folder tree. Only the rows in view are mounted, so folders with
+// thousands of subfolders stay responsive. Passing `onFolderDrop` makes every
+// folder a drop target; `dropTarget` ({ path, valid }) highlights the hovered one.
+const FolderTree = ({
+  treeCache,
+  expandedPaths,
+  onToggle,
+  onSelect,
+  onLoadMore,
+  dropTarget = null,
+  onFolderDragOver,
+  onFolderDragLeave,
+  onFolderDrop,
+}) => {
+  const scrollRef = useRef(null);
+  // { path, timer } for the folder waiting to auto-expand
+  const hoverRef = useRef(null);
+  const expandedRef = useRef(expandedPaths);
+  const [loadingMore, setLoadingMore] = useState(() => new Set());
+  const rows = useMemo(() => flattenTree(treeCache, expandedPaths), [treeCache, expandedPaths]);
+  const { start, end, offsetTop, offsetBottom } = useWindowedRows(scrollRef, rows.length, ROW_HEIGHT);
+
+  useEffect(() => {
+    expandedRef.current = expandedPaths;
+  }, [expandedPaths]);
+
+  const clearHover = () => {
+    if (hoverRef.current) clearTimeout(hoverRef.current.timer);
+    hoverRef.current = null;
+  };
+
+  useEffect(() => clearHover, []);
+
+  const dropHandlersFor = (path) => {
+    if (!onFolderDrop) return {};
+    return {
+      onDragOver: (e) => {
+        // Desktop files and other outside drags don't open folders
+        if (!isItemDrag(e.dataTransfer)) return;
+        if (hoverRef.current?.path !== path) {
+          clearHover();
+          const timer = setTimeout(() => {
+            if (!expandedRef.current.has(path)) onToggle(path);
+          }, AUTO_EXPAND_MS);
+          hoverRef.current = { path, timer };
+        }
+        onFolderDragOver(path, e);
+      },
+      onDragLeave: (e) => {
+        if (e.currentTarget.contains(e.relatedTarget)) return;
+        clearHover();
+        onFolderDragLeave(path, e);
+      },
+      onDrop: (e) => {
+        clearHover();
+        onFolderDrop(path, e);
+      },
+    };
+  };
+
+  const dropStateFor = (path) => {
+    if (dropTarget?.path !== path) return null;
+    return dropTarget.valid ? 'drop-target' : 'drop-invalid';
+  };
+
+  const loadMore = async (path) => {
+    setLoadingMore((prev) => new Set(prev).add(path));
+    try {
+      await onLoadMore(path);
+    } finally {
+      setLoadingMore((prev) => {
+        const next = new Set(prev);
+        next.delete(path);
+        return next;
+      });
+    }
+  };
+
+  return (
+    <ul className="tree" ref={scrollRef}>
+      {offsetTop > 0 && <li aria-hidden="true" style={{ height: offsetTop }} />}
+      {rows.slice(start, end).map((row) => (row.type === 'more' ? (
+        <li
+          key={`more:${row.path}`}
+          className="tree-node tree-more"
+          style={{ paddingLeft: row.depth * INDENT + 30 }}
+        >
+          <button className="link-button" onClick={() => loadMore(row.path)} disabled={loadingMore.has(row.path)}>
+            {loadingMore.has(row.path) ? 'Loading...' : 'Load more folders'}
+          </button>
+        </li>
+      ) : (
+        <TreeNode
+          key={row.path}
+          row={row}
+          expanded={expandedPaths.has(row.path)}
+          onToggle={onToggle}
+          onSelect={onSelect}
+          dropState={dropStateFor(row.path)}
+          dropHandlers={dropHandlersFor(row.path)}
+        />
+      )))}
+      {offsetBottom > 0 && <li aria-hidden="true" style={{ height: offsetBottom }} />}
+    </ul>
+  );
+};
+
+export default FolderTree;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { describeError, isCancelled } from '../api/storageClient';
+import { formatBytes } from '../utils/format';
+import { normalizeFolder } from '../utils/route';
+import { folderChoiceProblem } from '../utils/folderPath';
+import FolderPicker from './FolderPicker';
+import './RecycleBin.css';
+
+const parentFolder = (path) => path.split('/').slice(0, -1).join('/');
+const baseName = (path) => path.split('/').pop();
+
+// Deleted files with where they came from, who deleted them and when.
+// Uploaders restore (in place or elsewhere); admins can also purge for good.
+// `folderPickerProps` feeds the FolderPicker used for "Restore to...".
+const RecycleBin = ({ api, canRestore, canPurge, onRestored, folderPickerProps }) => {
+  const [items, setItems] = useState([]);
+  const [continuationToken, setContinuationToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  // { id, folder } while choosing where to restore an item
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const fetchPage = useCallback(async (token) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setLoading(true);
+    try {
+      const data = await api.listRecycleBin({ continuationToken: token, signal: controller.signal });
+      setItems((prev) => (token ? [...prev, ...(data?.items || [])] : data?.items || []));
+      setContinuationToken(data?.continuationToken || null);
+      setError(null);
+    } catch (e) {
+      if (isCancelled(e)) return;
+      console.error('Load recycle bin error:', e);
+      setError(describeError(e, 'Failed to load the recycle bin.'));
+    } finally {
+      if (controllerRef.current === controller) setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchPage(null);
+    return () => controllerRef.current?.abort();
+  }, [fetchPage]);
+
+  const removeItem = (id) => setItems((prev) => prev.filter((item) => item.id !== id));
+
+  const restore = async (item, folder) => {
+    const destinationPath = folder === undefined
+      ? undefined
+      : [normalizeFolder(folder), baseName(item.originalPath)].filter(Boolean).join('/');
+    setBusyId(item.id);
+    setError(null);
+    try {
+      const restored = await api.restoreDeleted(item.id, destinationPath);
+      const path = restored?.path || destinationPath || item.originalPath;
+      removeItem(item.id);
+      setRestoreTarget(null);
+      setMessage(`Restored ${path}`);
+      onRestored?.(path);
+    } catch (e) {
+      console.error('Restore error:', e);
+      setError(describeError(e, `Failed to restore ${item.name || baseName(item.originalPath)}.`));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const purge = async (item) => {
+    if (!window.confirm(`Permanently delete ${item.originalPath}? This cannot be undone.`)) return;
+    setBusyId(item.id);
+    setError(null);
+    try {
+      await api.purgeDeleted(item.id);
+      removeItem(item.id);
+      setMessage(`Permanently deleted ${item.originalPath}`);
+    } catch (e) {
+      console.error('Purge error:', e);
+      setError(describeError(e, 'Failed to purge item.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="recycle-bin">
+      <div className="recycle-bin-header">
+        <span>Deleted files can be restored until they are purged.</span>
+        <button onClick={() => fetchPage(null)} disabled={loading}>Refresh</button>
+      </div>
+      {message && <div className="recycle-message">{message}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <table className="recycle-table">
+        <thead>
+          <tr>
+            <th>Original path</th>
+            <th>Size</th>
+            <th>Deleted by</th>
+            <th>Deleted</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((item) => (
+            <tr key={item.id}>
+              <td className="recycle-path">{item.originalPath}</td>
+              <td>{formatBytes(item.size)}</td>
+              <td>{item.deletedBy || 'Unknown'}</td>
+              <td className="recycle-time">{item.deletedAt ? new Date(item.deletedAt).toLocaleString() : ''}</td>
+              <td className="recycle-actions">
+                {restoreTarget?.id === item.id ? (
+                  <form onSubmit={(e) => { e.preventDefault(); restore(item, restoreTarget.folder); }}>
+                    <FolderPicker
+                      {...folderPickerProps}
+                      value={restoreTarget.folder}
+                      onChange={(folder) => setRestoreTarget({ id: item.id, folder })}
+                      onSubmit={(folder) => restore(item, folder)}
+                      placeholder="Destination folder"
+                      autoFocus
+                    />
+                    <button
+                      type="submit"
+                      disabled={busyId === item.id || Boolean(folderChoiceProblem(restoreTarget.folder, folderPickerProps.treeCache))}
+                    >
+                      Restore
+                    </button>
+                    <button type="button" onClick={() => setRestoreTarget(null)}>Cancel</button>
+                  </form>
+                ) : (
+                  <>
+                    {canRestore && (
+                      <>
+                        <button onClick={() => restore(item)} disabled={busyId === item.id}>Restore</button>
+                        <button
+                          onClick={() => setRestoreTarget({ id: item.id, folder: parentFolder(item.originalPath) })}
+                          disabled={busyId === item.id}
+                        >
+                          Restore to...
+                        </button>
+                      </>
+                    )}
+                    {canPurge && (
+                      <button className="recycle-purge" onClick={() => purge(item)} disabled={busyId === item.id}>
+                        Purge
+                      </button>
+                    )}
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!loading && !error && items.length === 0 && <p className="recycle-empty">The recycle bin is empty.</p>}
+      {(continuationToken || loading) && (
+        <div className="recycle-more">
+          <button onClick={() => fetchPage(continuationToken)} disabled={loading}>
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecycleBin;
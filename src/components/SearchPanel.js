@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { walkFolder, filePathIn } from '../utils/folderWalk';
+import { buildFileMatcher, isEmptySearch } from '../utils/search';
+import { formatBytes } from '../utils/format';
+import './SearchPanel.css';
+
+const MAX_RESULTS = 1000;
+const MB = 1024 * 1024;
+
+const EMPTY_FORM = {
+  query: '',
+  extensions: '',
+  minSizeMb: '',
+  maxSizeMb: '',
+  modifiedAfter: '',
+  modifiedBefore: '',
+  scope: 'all',
+};
+
+const toBytes = (mb) => (!mb ? null : Number(mb) * MB);
+
+const criteriaFor = (form) => ({
+  query: form.query,
+  extensions: form.extensions,
+  minSize: toBytes(form.minSizeMb),
+  maxSize: toBytes(form.maxSizeMb),
+  modifiedAfter: form.modifiedAfter,
+  modifiedBefore: form.modifiedBefore,
+});
+
+// Non-default form fields, as kept in the URL (null for an empty form)
+const toRouteSearch = (form) => {
+  const fields = Object.entries(form).filter(([field, value]) => value && value !== EMPTY_FORM[field]);
+  return fields.length > 0 ? Object.fromEntries(fields) : null;
+};
+
+// Container-wide file search built on the folder listing API. Walks folders
+// breadth-first, streaming matches in as each listing arrives. The active search
+// is mirrored to the owner via `search`/`onSearchChange` so it can live in the URL.
+const SearchPanel = ({ listFolder, currentPath, onOpenFolder, onPreview, search, onSearchChange }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showFilters, setShowFilters] = useState(false);
+  const [status, setStatus] = useState('idle');
+  const [results, setResults] = useState([]);
+  const [foldersScanned, setFoldersScanned] = useState(0);
+  const [message, setMessage] = useState(null);
+  const controllerRef = useRef(null);
+  // URL form of the search last started or cleared here, so echoes of our own
+  // `onSearchChange` don't restart it
+  const lastSearchKeyRef = useRef('null');
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const updateForm = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const startSearch = useCallback(async (values) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    lastSearchKeyRef.current = JSON.stringify(toRouteSearch(values));
+    const matches = buildFileMatcher(criteriaFor(values));
+    const root = values.scope === 'current' ? currentPath : '/';
+
+    setResults([]);
+    setFoldersScanned(0);
+    setMessage(null);
+    setStatus('running');
+
+    let found = 0;
+    let scanned = 0;
+    try {
+      for await (const { folder, page, files } of walkFolder(root, listFolder, { signal: controller.signal })) {
+        if (page === 0) scanned += 1;
+        const hits = files
+          .filter(matches)
+          .slice(0, MAX_RESULTS - found)
+          .map((file) => ({ file, folder, path: filePathIn(folder, file) }));
+        found += hits.length;
+        if (hits.length > 0) setResults((prev) => [...prev, ...hits]);
+        setFoldersScanned(scanned);
+        if (found >= MAX_RESULTS) {
+          setMessage(`Stopped after ${MAX_RESULTS} results; refine the search to narrow it down.`);
+          break;
+        }
+      }
+      setStatus('done');
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // A reset or newer search owns the status now
+        if (controllerRef.current === controller) setStatus('cancelled');
+      } else {
+        console.error('Search error:', error);
+        setStatus('error');
+        setMessage('Search failed part-way; results so far are shown.');
+      }
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  }, [listFolder, currentPath]);
+
+  const runSearch = (e) => {
+    e.preventDefault();
+    if (isEmptySearch(criteriaFor(form))) {
+      setMessage('Enter a name, pattern or filter to search for.');
+      return;
+    }
+    startSearch(form);
+    onSearchChange?.(toRouteSearch(form));
+  };
+
+  const cancelSearch = () => controllerRef.current?.abort();
+
+  const resetSearch = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    lastSearchKeyRef.current = 'null';
+    setResults([]);
+    setStatus('idle');
+    setMessage(null);
+    setForm(EMPTY_FORM);
+  }, []);
+
+  const clearSearch = () => {
+    resetSearch();
+    onSearchChange?.(null);
+  };
+
+  // Follow the URL: run a linked search, or drop it when history moves away
+  const searchKey = JSON.stringify(search || null);
+  useEffect(() => {
+    if (searchKey === lastSearchKeyRef.current) return;
+    const next = JSON.parse(searchKey);
+    if (!next) {
+      resetSearch();
+      return;
+    }
+    const values = { ...EMPTY_FORM, ...next };
+    setForm(values);
+    setShowFilters(Object.keys(next).some((field) => field !== 'query'));
+    startSearch(values);
+  }, [searchKey, startSearch, resetSearch]);
+
+  return (
+    <div className="search-panel">
+      <form className="search-form" onSubmit={runSearch}>
+        <input
+          type="search"
+          value={form.query}
+          onChange={updateForm('query')}
+          placeholder="Search all files (e.g. report or *.csv)"
+        />
+        <button type="submit">Search</button>
+        {status === 'running' && <button type="button" onClick={cancelSearch}>Cancel</button>}
+        <button type="button" className="search-toggle" onClick={() => setShowFilters((v) => !v)}>
+          {showFilters ? 'Hide filters' : 'Filters'}
+        </button>
+      </form>
+
+      {showFilters && (
+        <div className="search-filters">
+          <label>
+            Extensions
+            <input type="text" value={form.extensions} onChange={updateForm('extensions')} placeholder="csv, json" />
+          </label>
+          <label>
+            Min size (MB)
+            <input type="number" min="0" step="any" value={form.minSizeMb} onChange={updateForm('minSizeMb')} />
+          </label>
+          <label>
+            Max size (MB)
+            <input type="number" min="0" step="any" value={form.maxSizeMb} onChange={updateForm('maxSizeMb')} />
+          </label>
+          <label>
+            Modified after
+            <input type="date" value={form.modifiedAfter} onChange={updateForm('modifiedAfter')} />
+          </label>
+          <label>
+            Modified before
+            <input type="date" value={form.modifiedBefore} onChange={updateForm('modifiedBefore')} />
+          </label>
+          <label>
+            Look in
+            <select value={form.scope} onChange={updateForm('scope')}>
+              <option value="all">Whole container</option>
+              <option value="current">Current folder and below</option>
+            </select>
+          </label>
+        </div>
+      )}
+
+      {status !== 'idle' && (
+        <div className="search-results">
+          <div className="search-status">
+            <span>
+              {status === 'running' && 'Searching... '}
+              {status === 'cancelled' && 'Search cancelled. '}
+              {results.length} match{results.length === 1 ? '' : 'es'} · {foldersScanned} folder{foldersScanned === 1 ? '' : 's'} scanned
+            </span>
+            <button type="button" onClick={clearSearch}>Close</button>
+          </div>
+          {message && <div className="search-message">{message}</div>}
+          {results.length > 0 && (
+            <ul>
+              {results.map((result) => (
+                <li key={result.path}>
+                  <span
+                    className="search-result-name"
+                    onClick={() => onPreview(result.file, result.path)}
+                    title="Preview"
+                  >
+                    📄 {result.file.name}
+                  </span>
+                  <span
+                    className="search-result-folder"
+                    onClick={() => onOpenFolder(result.folder)}
+                    title="Open containing folder"
+                  >
+                    📁 /{result.folder}
+                  </span>
+                  <span className="search-result-meta">{formatBytes(result.file.size)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {status === 'idle' && message && <div className="search-message">{message}</div>}
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { describeError } from '../api/storageClient';
+import { DEFAULT_SHARE_EXPIRY_HOURS, SHARE_EXPIRY_OPTIONS, SHARE_LINK_PASSWORDS } from '../utils/shareLinks';
+import './SharedLinks.css';
+
+// "Create share link" section of the API access dialog: a download link for
+// someone without an account, limited by expiry, password (where the API
+// supports it) and download count
+const ShareLinkForm = ({ api, path, onCopy }) => {
+  const [expiresInHours, setExpiresInHours] = useState(DEFAULT_SHARE_EXPIRY_HOURS);
+  const [password, setPassword] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [link, setLink] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const max = maxDownloads === '' ? null : Number(maxDownloads);
+    if (max !== null && (!Number.isInteger(max) || max < 1)) {
+      setError('Maximum downloads must be a whole number of at least 1.');
+      return;
+    }
+    setCreating(true);
+    setError(null);
+    try {
+      const created = await api.createShareLink({ path, expiresInHours, password, maxDownloads: max });
+      setLink({ ...created, hasPassword: created.hasPassword ?? Boolean(password) });
+      setPassword('');
+    } catch (err) {
+      console.error('Create share link error:', err);
+      setError(describeError(err, 'Failed to create share link.'));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="share-link-form">
+      <h4>Create share link</h4>
+      <form onSubmit={handleSubmit}>
+        <label>
+          Expires after
+          <select value={expiresInHours} onChange={(e) => setExpiresInHours(Number(e.target.value))}>
+            {SHARE_EXPIRY_OPTIONS.map((option) => (
+              <option key={option.hours} value={option.hours}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        {SHARE_LINK_PASSWORDS && (
+          <label>
+            Password (optional)
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="new-password" />
+          </label>
+        )}
+        <label>
+          Max downloads (optional)
+          <input type="number" min="1" value={maxDownloads} onChange={(e) => setMaxDownloads(e.target.value)} />
+        </label>
+        <button type="submit" disabled={creating}>{creating ? 'Creating...' : 'Create link'}</button>
+      </form>
+      {error && <div className="error-message">{error}</div>}
+      {link && (
+        <div className="share-link-result">
+          <code>{api.shareLinkUrl(link)}</code>
+          <button onClick={() => onCopy(api.shareLinkUrl(link))}>Copy link</button>
+          <span className="share-link-meta">
+            {link.expiresAt && `Expires ${new Date(link.expiresAt).toLocaleString()}`}
+            {link.hasPassword && ' · password protected (share the password separately)'}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareLinkForm;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { describeError, isCancelled } from '../api/storageClient';
+import { describeDownloads, isLinkActive } from '../utils/shareLinks';
+import './SharedLinks.css';
+
+// "My shared links": the caller's links that still work, to copy or revoke
+const SharedLinks = ({ api, onCopy, onOpenFolder }) => {
+  const [links, setLinks] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (signal) => {
+    setStatus('loading');
+    try {
+      const data = await api.listShareLinks({ signal });
+      setLinks((data?.links || []).filter((link) => isLinkActive(link)));
+      setError(null);
+      setStatus('ready');
+    } catch (e) {
+      if (isCancelled(e)) return;
+      console.error('Load share links error:', e);
+      setError(describeError(e, 'Failed to load shared links.'));
+      setStatus('error');
+    }
+  }, [api]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    load(controller.signal);
+    return () => controller.abort();
+  }, [load]);
+
+  const revoke = async (link) => {
+    if (!window.confirm(`Revoke the link to ${link.path}? Anyone using it will lose access.`)) return;
+    setRevokingId(link.id);
+    try {
+      await api.revokeShareLink(link.id);
+      setLinks((prev) => prev.filter((l) => l.id !== link.id));
+      setError(null);
+    } catch (e) {
+      console.error('Revoke share link error:', e);
+      setError(describeError(e, 'Failed to revoke link.'));
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="shared-links">
+      <div className="shared-links-header">
+        <span>Links you created that can still be used.</span>
+        <button onClick={() => load()} disabled={status === 'loading'}>Refresh</button>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+      {status === 'loading' && <p>Loading shared links...</p>}
+      {status === 'ready' && links.length === 0 && (
+        <p className="shared-links-empty">No active links. Create one from a file's 🔗 dialog.</p>
+      )}
+      {links.length > 0 && (
+        <table className="shared-links-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Created</th>
+              <th>Expires</th>
+              <th>Downloads</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {links.map((link) => (
+              <tr key={link.id}>
+                <td className="shared-links-path">
+                  <span
+                    className="shared-links-link"
+                    onClick={() => onOpenFolder(link.path.split('/').slice(0, -1).join('/'))}
+                    title="Open containing folder"
+                  >
+                    {link.path}
+                  </span>
+                  {link.hasPassword && <span title="Password protected"> 🔒</span>}
+                </td>
+                <td>{link.createdAt ? new Date(link.createdAt).toLocaleString() : ''}</td>
+                <td>{link.expiresAt ? new Date(link.expiresAt).toLocaleString() : ''}</td>
+                <td>{describeDownloads(link)}</td>
+                <td className="shared-links-actions">
+                  <button
+                    onClick={() => onCopy(api.shareLinkUrl(link))}
+                    disabled={!api.shareLinkUrl(link)}
+                    title={api.shareLinkUrl(link) ? undefined : 'No password page for this link; revoke it and create a new one'}
+                  >
+                    Copy
+                  </button>
+                  <button onClick={() => revoke(link)} disabled={revokingId === link.id}>
+                    {revokingId === link.id ? 'Revoking...' : 'Revoke'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SharedLinks;
@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from 'react';
+import './UndoToast.css';
+
+export const UNDO_TOAST_MS = 8000;
+
+// Bottom-of-screen notice after a reversible action. `onUndo` is optional;
+// without it the toast is just a confirmation. Hovering pauses the timer so
+// the button doesn't vanish under the pointer.
+const UndoToast = ({ message, onUndo, onDismiss, duration = UNDO_TOAST_MS }) => {
+  const [paused, setPaused] = useState(false);
+  const [undoing, setUndoing] = useState(false);
+
+  useEffect(() => {
+    if (paused || undoing) return undefined;
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [paused, undoing, duration, onDismiss]);
+
+  const handleUndo = async () => {
+    setUndoing(true);
+    try {
+      await onUndo();
+    } finally {
+      onDismiss();
+    }
+  };
+
+  return (
+    <div
+      className="undo-toast"
+      role="status"
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+    >
+      <span>{message}</span>
+      {onUndo && (
+        <button onClick={handleUndo} disabled={undoing}>{undoing ? 'Undoing...' : 'Undo'}</button>
+      )}
+      <button className="undo-toast-close" onClick={onDismiss} aria-label="Dismiss">×</button>
+    </div>
+  );
+};
+
+export default UndoToast;
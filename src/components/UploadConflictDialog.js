@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { CONFLICT_CHOICES } from '../utils/uploadConflicts';
+
+// Asks what to do with uploads whose names already exist in the folder.
+// `names`: the clashing file names. Resolves with { [name]: choice }.
+const UploadConflictDialog = ({ names, onResolve, onCancel }) => {
+  const [choices, setChoices] = useState(() => Object.fromEntries(names.map((name) => [name, 'keepBoth'])));
+
+  const setAll = (choice) => setChoices(Object.fromEntries(names.map((name) => [name, choice])));
+
+  return (
+    <div className="dialog-overlay">
+      <div className="dialog upload-conflicts">
+        <h3>{names.length === 1 ? 'A file with this name already exists' : `${names.length} files already exist`}</h3>
+        <div className="upload-conflicts-all">
+          Apply to all:
+          {Object.entries(CONFLICT_CHOICES).map(([choice, label]) => (
+            <button key={choice} onClick={() => setAll(choice)}>{label}</button>
+          ))}
+        </div>
+        <ul className="upload-conflicts-list">
+          {names.map((name) => (
+            <li key={name}>
+              <span>{name}</span>
+              <select
+                value={choices[name]}
+                onChange={(e) => setChoices((prev) => ({ ...prev, [name]: e.target.value }))}
+              >
+                {Object.entries(CONFLICT_CHOICES).map(([choice, label]) => (
+                  <option key={choice} value={choice}>{label}</option>
+                ))}
+              </select>
+            </li>
+          ))}
+        </ul>
+        <p className="upload-conflicts-note">
+          Overwritten files keep their earlier content as a version you can restore.
+        </p>
+        <div className="dialog-actions">
+          <button onClick={() => onResolve(choices)}>Upload</button>
+          <button onClick={onCancel}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadConflictDialog;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { formatBytes, formatDuration } from '../utils/format';
+import './UploadQueue.css';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading',
+  processing: 'Processing on server',
+  done: 'Done',
+  timeout: 'Processing timed out',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const FINISHED_STATUSES = ['done', 'timeout', 'error', 'cancelled'];
+
+const QueueProgress = ({ entry }) => {
+  const { progress } = entry;
+
+  if (entry.status === 'processing') {
+    return (
+      <div className="queue-progress">
+        <progress></progress>
+        <span>Upload complete, waiting for the file to appear...</span>
+      </div>
+    );
+  }
+  if (entry.status !== 'uploading' || !progress) return null;
+
+  const total = progress.totalBytes || entry.file.size;
+  const percent = total > 0 ? Math.round((progress.loadedBytes / total) * 100) : 0;
+  return (
+    <div className="queue-progress">
+      <progress value={progress.loadedBytes || 0} max={total}></progress>
+      <span>
+        {formatBytes(progress.loadedBytes || 0)} / {formatBytes(total)} ({percent}%)
+        {progress.bytesPerSecond > 0 && ` · ${formatBytes(progress.bytesPerSecond)}/s`}
+        {progress.etaSeconds !== null && progress.etaSeconds !== undefined && ` · ${formatDuration(progress.etaSeconds)} left`}
+      </span>
+      {progress.total > 0 && (
+        <span className="queue-progress-chunks">
+          {progress.current} / {progress.total} chunks
+          {progress.resumedFrom > 0 && ` (resumed from chunk ${progress.resumedFrom + 1})`}
+          {progress.committing && ' - Committing...'}
+        </span>
+      )}
+    </div>
+  );
+};
+
+const UploadQueue = ({ queue, onCancel, onCancelAll, onRetry, onClearFinished }) => {
+  if (queue.length === 0) return null;
+
+  const finished = queue.filter((e) => FINISHED_STATUSES.includes(e.status)).length;
+  const active = queue.length - finished;
+
+  return (
+    <div className="upload-queue">
+      <div className="upload-queue-header">
+        <h4>Upload queue ({finished} / {queue.length} finished)</h4>
+        <div className="upload-queue-header-actions">
+          <button onClick={onCancelAll} disabled={active === 0}>
+            Cancel all
+          </button>
+          <button onClick={onClearFinished} disabled={finished === 0}>
+            Clear finished
+          </button>
+        </div>
+      </div>
+      <ul>
+        {queue.map((entry) => (
+          <li key={entry.id} className={`queue-entry queue-${entry.status}`}>
+            <div className="queue-entry-info">
+              <span className="queue-entry-name" title={entry.relativePath}>{entry.relativePath}</span>
+              <span className="queue-entry-target">→ /{entry.progress?.folder ?? entry.folder}</span>
+              <span className="queue-entry-status">{STATUS_LABELS[entry.status]}</span>
+            </div>
+            <QueueProgress entry={entry} />
+            {entry.error && <div className="queue-entry-error">{entry.error}</div>}
+            {entry.note && <div className="queue-entry-note">{entry.note}</div>}
+            <div className="queue-entry-actions">
+              {!FINISHED_STATUSES.includes(entry.status) && (
+                <button onClick={() => onCancel(entry.id)}>Cancel</button>
+              )}
+              {(entry.status === 'error' || entry.status === 'cancelled') && (
+                <button onClick={() => onRetry(entry.id)}>Retry</button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UploadQueue;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { formatBytes } from '../utils/format';
+import { downloadCsv } from '../utils/csv';
+import { walkFolder } from '../utils/folderWalk';
+import { createUsageAccumulator, usageCsvRows, ROOT_LABEL } from '../utils/usage';
+import { describeError, isCancelled } from '../api/storageClient';
+import './UsageDashboard.css';
+
+// Redraw at most this often while a recursive scan streams in
+const SCAN_REFRESH_MS = 300;
+
+// Statuses meaning the summary endpoint is not deployed, so scan instead
+const NO_SUMMARY_STATUSES = new Set([404, 405, 501]);
+
+const Bar = ({ value, max }) => (
+  <div className="usage-bar">
+    <div className="usage-bar-fill" style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }} />
+  </div>
+);
+
+const Section = ({ title, onExport, disabled, children }) => (
+  <section className="usage-section">
+    <div className="usage-section-header">
+      <h3>{title}</h3>
+      <button onClick={onExport} disabled={disabled}>Export CSV</button>
+    </div>
+    {children}
+  </section>
+);
+
+// Admin-only storage usage: per top-level folder totals, the largest blobs,
+// recent upload volume and uploaders ranked by bytes. Uses the usage summary
+// API when the backend has one, otherwise walks the whole container.
+const UsageDashboard = ({ api, onOpenFolder, onPreview }) => {
+  const [usage, setUsage] = useState(null);
+  // { source: 'summary' | 'scan', running, foldersScanned, filesScanned, cancelled }
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const scan = useCallback(async (signal) => {
+    const accumulator = createUsageAccumulator();
+    let foldersScanned = 0;
+    let filesScanned = 0;
+    let lastRefresh = 0;
+    const listFolder = (path, listSignal, continuationToken) => api.listFolder(path, { continuationToken, signal: listSignal });
+
+    for await (const { folder, page, files } of walkFolder('', listFolder, { signal })) {
+      files.forEach((file) => accumulator.add(folder, file));
+      if (page === 0) foldersScanned += 1;
+      filesScanned += files.length;
+      if (Date.now() - lastRefresh > SCAN_REFRESH_MS) {
+        lastRefresh = Date.now();
+        setUsage(accumulator.snapshot());
+        setStatus({ source: 'scan', running: true, foldersScanned, filesScanned });
+      }
+    }
+    setUsage(accumulator.snapshot());
+    setStatus({ source: 'scan', running: false, foldersScanned, filesScanned });
+  }, [api]);
+
+  const load = useCallback(async ({ forceScan = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setUsage(null);
+
+    try {
+      if (!forceScan) {
+        setStatus({ source: 'summary', running: true });
+        try {
+          const summary = await api.getUsageSummary({ signal: controller.signal });
+          setUsage(summary);
+          setStatus({ source: 'summary', running: false });
+          return;
+        } catch (err) {
+          if (!NO_SUMMARY_STATUSES.has(err.status)) throw err;
+        }
+      }
+      setStatus({ source: 'scan', running: true, foldersScanned: 0, filesScanned: 0 });
+      await scan(controller.signal);
+    } catch (err) {
+      if (isCancelled(err)) {
+        if (controllerRef.current === controller) {
+          setStatus((prev) => ({ ...prev, running: false, cancelled: true }));
+        }
+        return;
+      }
+      console.error('Error loading usage:', err);
+      setError(describeError(err, 'Failed to load storage usage.'));
+      setStatus((prev) => ({ ...prev, running: false }));
+    }
+  }, [api, scan]);
+
+  useEffect(() => {
+    load();
+    return () => controllerRef.current?.abort();
+  }, [load]);
+
+  const exportSection = (section) => downloadCsv(`usage-${section}.csv`, usageCsvRows[section](usage));
+
+  const running = status?.running;
+  const folders = usage?.folders || [];
+  const largestFiles = usage?.largestFiles || [];
+  const uploadsByDay = usage?.uploadsByDay || [];
+  const uploaders = usage?.uploaders || [];
+  const totalSize = folders.reduce((sum, f) => sum + f.size, 0);
+  const totalCount = folders.reduce((sum, f) => sum + f.count, 0);
+  const maxFolder = Math.max(0, ...folders.map((f) => f.size));
+  const maxDay = Math.max(0, ...uploadsByDay.map((d) => d.size));
+  const maxUploader = Math.max(0, ...uploaders.map((u) => u.size));
+
+  return (
+    <div className="usage-dashboard">
+      <div className="usage-status">
+        <span>
+          {status?.source === 'summary' && (running ? 'Loading usage summary...' : 'From the usage summary')}
+          {status?.source === 'scan' && (
+            <>
+              {running ? 'Scanning' : 'Scanned'} {status.foldersScanned} folders, {status.filesScanned} blobs
+              {status.cancelled && ' (cancelled, figures are partial)'}
+            </>
+          )}
+          {usage && ` · ${formatBytes(totalSize)} in ${totalCount} blobs`}
+        </span>
+        {running
+          ? <button onClick={() => controllerRef.current?.abort()}>Cancel</button>
+          : (
+            <>
+              <button onClick={() => load()}>Refresh</button>
+              {status?.source === 'summary' && (
+                <button onClick={() => load({ forceScan: true })} title="Walk every folder instead of using the summary">
+                  Full scan
+                </button>
+              )}
+            </>
+          )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {usage && (
+        <div className="usage-grid">
+          <Section title="Storage by top-level folder" onExport={() => exportSection('folders')} disabled={running}>
+            <table className="usage-table">
+              <tbody>
+                {folders.map((f) => (
+                  <tr key={f.path}>
+                    <td className="usage-name">
+                      {f.path === ROOT_LABEL
+                        ? f.path
+                        : <span className="usage-link" onClick={() => onOpenFolder(f.path)}>{f.path}</span>}
+                    </td>
+                    <td className="usage-bar-cell"><Bar value={f.size} max={maxFolder} /></td>
+                    <td className="usage-num">{formatBytes(f.size)}</td>
+                    <td className="usage-num">{f.count} blobs</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Section>
+
+          <Section title="Largest files" onExport={() => exportSection('largestFiles')} disabled={running}>
+            <table className="usage-table">
+              <tbody>
+                {largestFiles.map((f) => (
+                  <tr key={f.path}>
+                    <td className="usage-name">
+                      <span className="usage-link" onClick={() => onPreview(f.path)}>{f.path}</span>
+                    </td>
+                    <td className="usage-num">{formatBytes(f.size)}</td>
+                    <td className="usage-num">{f.lastModified ? new Date(f.lastModified).toLocaleDateString() : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Section>
+
+          <Section title="Uploads per day" onExport={() => exportSection('uploadsByDay')} disabled={running}>
+            <div className="usage-chart">
+              {uploadsByDay.map((d) => (
+                <div
+                  key={d.date}
+                  className="usage-chart-col"
+                  title={`${d.date}: ${formatBytes(d.size)} in ${d.count} blobs`}
+                >
+                  <div className="usage-chart-fill" style={{ height: `${maxDay > 0 ? (d.size / maxDay) * 100 : 0}%` }} />
+                </div>
+              ))}
+            </div>
+            {uploadsByDay.length > 0 && (
+              <div className="usage-chart-axis">
+                <span>{uploadsByDay[0].date}</span>
+                <span>{uploadsByDay[uploadsByDay.length - 1].date}</span>
+              </div>
+            )}
+          </Section>
+
+          <Section title="Top uploaders" onExport={() => exportSection('uploaders')} disabled={running}>
+            <table className="usage-table">
+              <tbody>
+                {uploaders.map((u) => (
+                  <tr key={u.uploader}>
+                    <td className="usage-name">{u.uploader}</td>
+                    <td className="usage-bar-cell"><Bar value={u.size} max={maxUploader} /></td>
+                    <td className="usage-num">{formatBytes(u.size)}</td>
+                    <td className="usage-num">{u.count} blobs</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UsageDashboard;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { describeError, isCancelled } from '../api/storageClient';
+import { formatBytes } from '../utils/format';
+
+// Earlier versions of one file. Any of them can be downloaded or promoted back
+// to current; promoting keeps the replaced content as a version too.
+const VersionsPanel = ({ api, path, canPromote, onDownloadVersion, onPromoted, onClose }) => {
+  const [versions, setVersions] = useState([]);
+  const [status, setStatus] = useState('loading');
+  // { versionId, action } while a download or promote is in flight
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (signal) => {
+    try {
+      const data = await api.listVersions(path, { signal });
+      setVersions(data?.versions || []);
+      setStatus('ready');
+    } catch (e) {
+      if (isCancelled(e)) return;
+      console.error('Load versions error:', e);
+      setError(describeError(e, 'Failed to load versions.'));
+      setStatus('error');
+    }
+  }, [api, path]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    load(controller.signal);
+    return () => controller.abort();
+  }, [load]);
+
+  const download = async (version) => {
+    setBusy({ versionId: version.versionId, action: 'download' });
+    setError(null);
+    try {
+      await onDownloadVersion(path, version.versionId);
+    } catch (e) {
+      console.error('Download version error:', e);
+      setError(describeError(e, 'Failed to download version.'));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const promote = async (version) => {
+    const when = new Date(version.lastModified).toLocaleString();
+    if (!window.confirm(`Make the version from ${when} the current ${path.split('/').pop()}?`)) return;
+    setBusy({ versionId: version.versionId, action: 'promote' });
+    setError(null);
+    try {
+      await api.promoteVersion(path, version.versionId);
+      onPromoted?.();
+      await load();
+    } catch (e) {
+      console.error('Promote version error:', e);
+      setError(describeError(e, 'Failed to restore version.'));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div className="dialog versions-panel" onClick={(e) => e.stopPropagation()}>
+        <h3>Versions: {path}</h3>
+        {status === 'loading' && <p>Loading versions...</p>}
+        {error && <div className="error-message">{error}</div>}
+        {status === 'ready' && versions.length === 0 && <p>No earlier versions of this file.</p>}
+        {versions.length > 0 && (
+          <table className="versions-table">
+            <thead>
+              <tr>
+                <th>Modified</th>
+                <th>Size</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map((version) => (
+                <tr key={version.versionId} className={version.isCurrent ? 'versions-current' : ''}>
+                  <td>
+                    {version.lastModified ? new Date(version.lastModified).toLocaleString() : ''}
+                    {version.isCurrent && ' (current)'}
+                  </td>
+                  <td>{formatBytes(version.size)}</td>
+                  <td className="versions-actions">
+                    <button onClick={() => download(version)} disabled={busy !== null} title="Download">⬇️</button>
+                    {canPromote && !version.isCurrent && (
+                      <button onClick={() => promote(version)} disabled={busy !== null}>
+                        {busy?.versionId === version.versionId && busy.action === 'promote' ? 'Restoring...' : 'Make current'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="dialog-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersionsPanel;
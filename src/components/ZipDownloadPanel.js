@@ -0,0 +1,54 @@
+import React from 'react';
+import { formatBytes } from '../utils/format';
+
+const PHASE_LABELS = {
+  listing: 'Listing files...',
+  zipping: 'Downloading and zipping...',
+  done: 'Finished',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+// Progress for a client-side ZIP download (see utils/zipDownload)
+const ZipDownloadPanel = ({ job, onCancel, onClose }) => {
+  const running = job.phase === 'listing' || job.phase === 'zipping';
+
+  return (
+    <div className={`zip-panel zip-${job.phase}`}>
+      <div className="zip-panel-header">
+        <strong>{job.archiveName}</strong>
+        <span>{PHASE_LABELS[job.phase]}</span>
+        {running
+          ? <button onClick={onCancel}>Cancel</button>
+          : <button onClick={onClose}>Close</button>}
+      </div>
+      {job.filesTotal > 0 && (
+        <>
+          <progress value={job.bytesDone} max={job.bytesTotal || 1}></progress>
+          <div className="zip-panel-stats">
+            {job.filesDone} / {job.filesTotal} files · {formatBytes(job.bytesDone)} / {formatBytes(job.bytesTotal)}
+          </div>
+        </>
+      )}
+      {job.phase === 'listing' && <div className="zip-panel-stats">{job.filesTotal} files found so far</div>}
+      {!job.streaming && running && job.phase === 'zipping' && (
+        <div className="zip-panel-note">
+          Your browser cannot write files directly, so the archive is assembled in memory before saving.
+        </div>
+      )}
+      {job.message && <div className="zip-panel-note">{job.message}</div>}
+      {job.errors.length > 0 && (
+        <details className="zip-panel-errors">
+          <summary>{job.errors.length} file(s) skipped (listed in download-errors.txt)</summary>
+          <ul>
+            {job.errors.map((e) => (
+              <li key={e.path}>{e.path}: {e.error}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default ZipDownloadPanel;
@@ -0,0 +1,105 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useMsal } from '@azure/msal-react';
+import { InteractionRequiredAuthError } from '@azure/msal-browser';
+import { loginRequest } from '../msalConfig';
+import { isPopupBlocked, isUserCancelled } from '../utils/auth';
+
+// Access tokens for the storage API. Silent acquisition is tried first; when
+// Entra ID needs the user (consent change, expired refresh token) a popup is
+// attempted, and if the browser blocks it callers wait while a session banner
+// asks the user to sign in again. Nothing is torn down meanwhile, so the open
+// folder and queued uploads carry on once a token arrives. Waiters are
+// rejected if the component unmounts or the account changes underneath them.
+const useAccessToken = (account) => {
+  const { instance } = useMsal();
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [reauthError, setReauthError] = useState(null);
+  // Shared by every request waiting on the user: { promise, resolve, reject }
+  const waitingRef = useRef(null);
+  const popupRef = useRef(null);
+
+  const waitForSignIn = useCallback(() => {
+    if (!waitingRef.current) {
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      waitingRef.current = { promise, resolve, reject };
+      setSessionExpired(true);
+    }
+    return waitingRef.current.promise;
+  }, []);
+
+  // Tokens for this account are no use to whoever comes next
+  useEffect(() => () => {
+    if (!waitingRef.current) return;
+    waitingRef.current.reject(new Error('Sign-in was abandoned.'));
+    waitingRef.current = null;
+    setSessionExpired(false);
+    setReauthError(null);
+  }, [account]);
+
+  const signedIn = useCallback((accessToken) => {
+    waitingRef.current?.resolve(accessToken);
+    waitingRef.current = null;
+    setSessionExpired(false);
+    setReauthError(null);
+  }, []);
+
+  // One popup at a time; concurrent requests share it
+  const acquirePopup = useCallback(() => {
+    if (!popupRef.current) {
+      popupRef.current = instance.acquireTokenPopup({ ...loginRequest, account })
+        .finally(() => { popupRef.current = null; });
+    }
+    return popupRef.current;
+  }, [instance, account]);
+
+  const getAccessToken = useCallback(async ({ forceRefresh = false } = {}) => {
+    try {
+      const response = await instance.acquireTokenSilent({ ...loginRequest, account, forceRefresh });
+      // Signed in again elsewhere (another tab, the banner): release anyone waiting
+      if (waitingRef.current) signedIn(response.accessToken);
+      return response.accessToken;
+    } catch (error) {
+      if (!(error instanceof InteractionRequiredAuthError)) {
+        console.error('Error acquiring token:', error);
+        throw error;
+      }
+    }
+
+    if (waitingRef.current) return waitingRef.current.promise;
+    try {
+      const response = await acquirePopup();
+      return response.accessToken;
+    } catch (error) {
+      if (!isPopupBlocked(error) && !isUserCancelled(error)) console.error('Interactive sign-in error:', error);
+      return waitForSignIn();
+    }
+  }, [instance, account, acquirePopup, waitForSignIn, signedIn]);
+
+  // Called from the session banner. A click lets the popup through blockers;
+  // `redirect` leaves the page, so only the URL state (folder, preview) survives.
+  const reauthenticate = async ({ redirect = false } = {}) => {
+    setReauthError(null);
+    try {
+      if (redirect) {
+        await instance.acquireTokenRedirect({ ...loginRequest, account });
+        return;
+      }
+      const response = await acquirePopup();
+      signedIn(response.accessToken);
+    } catch (error) {
+      console.error('Re-authentication error:', error);
+      setReauthError(isPopupBlocked(error)
+        ? 'The sign-in window was blocked. Allow popups for this site, or sign in with a redirect.'
+        : 'Sign-in did not complete. Please try again.');
+    }
+  };
+
+  return { getAccessToken, sessionExpired, reauthError, reauthenticate };
+};
+
+export default useAccessToken;
@@ -0,0 +1,69 @@
+import { act, renderHook } from '@testing-library/react';
+import { useMsal } from '@azure/msal-react';
+import { BrowserAuthError, InteractionRequiredAuthError } from '@azure/msal-browser';
+import useAccessToken from './useAccessToken';
+
+jest.mock('@azure/msal-react', () => ({ useMsal: jest.fn() }));
+jest.mock('../msalConfig', () => ({ loginRequest: { scopes: [] } }));
+
+const alice = { homeAccountId: 'a.t', tenantId: 't' };
+const bob = { homeAccountId: 'b.t', tenantId: 't' };
+
+// Silent renewal needs the user and the popup is blocked, so callers wait
+const blockedInstance = () => ({
+  acquireTokenSilent: jest.fn(async () => { throw new InteractionRequiredAuthError('interaction_required'); }),
+  acquireTokenPopup: jest.fn(async () => { throw new BrowserAuthError('popup_window_error'); }),
+});
+
+describe('useAccessToken', () => {
+  let instance;
+
+  beforeEach(() => {
+    instance = blockedInstance();
+    useMsal.mockReturnValue({ instance });
+  });
+
+  it('returns silently acquired tokens', async () => {
+    instance.acquireTokenSilent.mockResolvedValue({ accessToken: 'silent' });
+    const { result } = renderHook(() => useAccessToken(alice));
+    await expect(result.current.getAccessToken({ forceRefresh: true })).resolves.toBe('silent');
+    expect(instance.acquireTokenSilent).toHaveBeenCalledWith(expect.objectContaining({ account: alice, forceRefresh: true }));
+  });
+
+  it('holds requests until the user signs in again', async () => {
+    const { result } = renderHook(() => useAccessToken(alice));
+    let pending;
+    await act(async () => {
+      pending = result.current.getAccessToken();
+    });
+    expect(result.current.sessionExpired).toBe(true);
+
+    instance.acquireTokenPopup.mockResolvedValue({ accessToken: 'after-sign-in' });
+    await act(async () => {
+      await result.current.reauthenticate();
+    });
+    await expect(pending).resolves.toBe('after-sign-in');
+    expect(result.current.sessionExpired).toBe(false);
+  });
+
+  it('rejects waiting requests when the account changes', async () => {
+    const { result, rerender } = renderHook(({ account }) => useAccessToken(account), { initialProps: { account: alice } });
+    let pending;
+    await act(async () => {
+      pending = result.current.getAccessToken();
+    });
+    rerender({ account: bob });
+    await expect(pending).rejects.toThrow(/abandoned/);
+    expect(result.current.sessionExpired).toBe(false);
+  });
+
+  it('rejects waiting requests on unmount', async () => {
+    const { result, unmount } = renderHook(() => useAccessToken(alice));
+    let pending;
+    await act(async () => {
+      pending = result.current.getAccessToken();
+    });
+    unmount();
+    await expect(pending).rejects.toThrow(/abandoned/);
+  });
+});
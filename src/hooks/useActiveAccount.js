@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+import { useMsal } from '@azure/msal-react';
+import { EventType } from '@azure/msal-browser';
+import { sameAccount } from '../utils/auth';
+
+// The MSAL active account, falling back to the first signed-in account until
+// one is chosen (or after the active one signs out). Re-renders on switches.
+const useActiveAccount = () => {
+  const { instance, accounts } = useMsal();
+  const [active, setActive] = useState(() => instance.getActiveAccount());
+
+  useEffect(() => {
+    const callbackId = instance.addEventCallback((event) => {
+      if (event.eventType === EventType.ACTIVE_ACCOUNT_CHANGED) setActive(instance.getActiveAccount());
+    });
+    return () => {
+      if (callbackId) instance.removeEventCallback(callbackId);
+    };
+  }, [instance]);
+
+  return accounts.find((account) => sameAccount(account, active)) || accounts[0] || null;
+};
+
+export default useActiveAccount;
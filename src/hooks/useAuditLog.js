@@ -0,0 +1,47 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { describeError, isCancelled } from '../api/storageClient';
+import { auditQuery } from '../utils/audit';
+
+// Paged audit entries for `filters`. Changing the filters starts over from the
+// newest entry; `loadMore` follows the continuation token.
+const useAuditLog = (api, filters) => {
+  const [entries, setEntries] = useState([]);
+  const [continuationToken, setContinuationToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const queryKey = JSON.stringify(auditQuery(filters));
+
+  const fetchPage = useCallback(async (token) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await api.getAuditLog(JSON.parse(queryKey), { continuationToken: token, signal: controller.signal });
+      setEntries((prev) => (token ? [...prev, ...(data?.entries || [])] : data?.entries || []));
+      setContinuationToken(data?.continuationToken || null);
+    } catch (e) {
+      if (isCancelled(e)) return;
+      console.error('Load audit log error:', e);
+      setError(describeError(e, 'Failed to load activity.'));
+    } finally {
+      if (controllerRef.current === controller) setLoading(false);
+    }
+  }, [api, queryKey]);
+
+  useEffect(() => {
+    setEntries([]);
+    fetchPage(null);
+    return () => controllerRef.current?.abort();
+  }, [fetchPage]);
+
+  const loadMore = () => {
+    if (continuationToken && !loading) fetchPage(continuationToken);
+  };
+
+  return { entries, loading, error, hasMore: Boolean(continuationToken), loadMore, reload: () => fetchPage(null) };
+};
+
+export default useAuditLog;
@@ -0,0 +1,132 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isCancelled } from '../api/storageClient';
+import { planFolderOperation, runFolderSteps, summarizeSteps } from '../utils/folderOps';
+
+const REDRAW_MS = 250;
+
+// A tracked folder move/rename/delete (see utils/folderOps). Phases:
+// 'planning' -> 'preview' (dry run, waiting for confirmation) -> 'running' ->
+// 'done' | 'failed' | 'cancelled'. Failed and cancelled jobs can be resumed.
+// `onFinished({ kind, source, destination, phase, steps })` runs after each pass.
+// Cancelling aborts the requests in flight; unmounting cancels the job. Only
+// one pass runs at a time.
+const useFolderOperation = (api, listFolder, onFinished) => {
+  const [job, setJob] = useState(null);
+  const stepsRef = useRef([]);
+  const operationRef = useRef(null);
+  const controllerRef = useRef(null);
+  // Controller of the pass in progress, so a second confirm is ignored
+  const runningRef = useRef(null);
+
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+  }, []);
+
+  const redraw = useCallback((patch) => {
+    setJob((prev) => prev && ({ ...prev, ...summarizeSteps(stepsRef.current), ...patch }));
+  }, []);
+
+  const execute = useCallback((step, signal) => {
+    switch (step.type) {
+      case 'createFolder':
+        return api.createFolder(step.destination, { signal }).catch((error) => {
+          if (error.status !== 409) throw error;
+        });
+      case 'moveFile':
+        // A 404 on resume may mean an earlier attempt went through but its
+        // answer was lost: done if the file is already at the destination
+        return api.moveItem(step.source, step.destination, { signal }).catch(async (error) => {
+          if (error.status !== 404 || !(await api.fileExists(step.destination, { signal }))) throw error;
+        });
+      case 'deleteFile':
+        // Keep the recycle bin id so the whole delete can be undone
+        return api.deleteFile(step.source, { signal }).then((recycled) => {
+          step.recycleId = recycled?.id || null;
+        });
+      case 'deleteFolder':
+        // Virtual folders vanish with their last blob
+        return api.deleteFolder(step.source, { signal }).catch((error) => {
+          if (error.status !== 404) throw error;
+        });
+      default:
+        throw new Error(`Unknown step ${step.type}`);
+    }
+  }, [api]);
+
+  // kind: 'move' | 'rename' | 'delete'; paths are full folder paths
+  const plan = useCallback(async (kind, source, destination) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    stepsRef.current = [];
+    operationRef.current = { kind, source, destination };
+    setJob({ kind, source, destination, phase: 'planning', scanned: { folders: 0, files: 0 }, total: 0, done: 0, failed: [] });
+    try {
+      stepsRef.current = await planFolderOperation({
+        kind,
+        source,
+        destination,
+        listFolder,
+        signal: controller.signal,
+        onProgress: (scanned) => setJob((prev) => prev && { ...prev, scanned }),
+      });
+      if (controllerRef.current !== controller) return;
+      redraw({ phase: 'preview', steps: stepsRef.current });
+    } catch (error) {
+      if (isCancelled(error)) {
+        setJob(null);
+        return;
+      }
+      console.error('Folder operation planning error:', error);
+      redraw({ phase: 'failed', message: error.serverMessage || error.message || 'Failed to list the folder.' });
+    }
+  }, [listFolder, redraw]);
+
+  // Confirm the preview, or resume after a failure or cancel
+  const run = useCallback(async () => {
+    if (runningRef.current) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    runningRef.current = controller;
+    stepsRef.current.forEach((step) => {
+      if (step.status === 'failed') step.status = 'pending';
+    });
+    redraw({ phase: 'running', message: null });
+
+    let lastRedraw = 0;
+    try {
+      await runFolderSteps(stepsRef.current, execute, {
+        signal: controller.signal,
+        onStep: () => {
+          if (Date.now() - lastRedraw < REDRAW_MS) return;
+          lastRedraw = Date.now();
+          redraw();
+        },
+      });
+    } finally {
+      if (runningRef.current === controller) runningRef.current = null;
+    }
+    // Unmounted or superseded while running: nothing left to report to
+    if (controllerRef.current !== controller) return;
+
+    const { done, total } = summarizeSteps(stepsRef.current);
+    let phase = 'failed';
+    if (controller.signal.aborted) phase = 'cancelled';
+    else if (done === total) phase = 'done';
+    redraw({ phase });
+    onFinished?.({ ...operationRef.current, phase, steps: stepsRef.current });
+  }, [execute, redraw, onFinished]);
+
+  const cancel = useCallback(() => controllerRef.current?.abort(), []);
+
+  const dismiss = useCallback(() => {
+    controllerRef.current?.abort();
+    stepsRef.current = [];
+    setJob(null);
+  }, []);
+
+  return { job, plan, run, cancel, dismiss };
+};
+
+export default useFolderOperation;
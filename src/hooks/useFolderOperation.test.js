@@ -0,0 +1,71 @@
+import { act, renderHook } from '@testing-library/react';
+import useFolderOperation from './useFolderOperation';
+
+// src/ holds a.txt and b.txt; the destination is empty
+const listFolder = async (path) => (path === 'src'
+  ? { files: [{ name: 'a.txt' }, { name: 'b.txt' }], folders: [] }
+  : { files: [], folders: [] });
+
+const notFound = () => Object.assign(new Error('Not found'), { status: 404 });
+
+const fakeApi = (overrides = {}) => ({
+  createFolder: jest.fn(async () => {}),
+  moveItem: jest.fn(async () => {}),
+  deleteFile: jest.fn(async () => null),
+  deleteFolder: jest.fn(async () => {}),
+  fileExists: jest.fn(async () => false),
+  ...overrides,
+});
+
+const planMove = async (api) => {
+  const onFinished = jest.fn();
+  const { result } = renderHook(() => useFolderOperation(api, listFolder, onFinished));
+  await act(async () => {
+    await result.current.plan('move', 'src', 'dest');
+  });
+  return { result, onFinished };
+};
+
+describe('useFolderOperation', () => {
+  it('previews, then runs once even when confirmed twice', async () => {
+    const api = fakeApi();
+    const { result, onFinished } = await planMove(api);
+    expect(result.current.job).toMatchObject({ phase: 'preview', total: 3 });
+
+    await act(async () => {
+      await Promise.all([result.current.run(), result.current.run()]);
+    });
+    expect(api.moveItem).toHaveBeenCalledTimes(2);
+    expect(result.current.job).toMatchObject({ phase: 'done', done: 3 });
+    expect(onFinished).toHaveBeenCalledTimes(1);
+  });
+
+  it('counts a move whose source is gone but destination exists as done', async () => {
+    const api = fakeApi({
+      moveItem: jest.fn(async (source) => {
+        if (source === 'src/a.txt') throw notFound();
+      }),
+      fileExists: jest.fn(async (path) => path === 'dest/a.txt'),
+    });
+    const { result } = await planMove(api);
+    await act(async () => {
+      await result.current.run();
+    });
+    expect(api.fileExists).toHaveBeenCalledWith('dest/a.txt', expect.anything());
+    expect(result.current.job).toMatchObject({ phase: 'done', failed: [] });
+  });
+
+  it('still fails a move whose file is missing at both ends', async () => {
+    const api = fakeApi({
+      moveItem: jest.fn(async (source) => {
+        if (source === 'src/a.txt') throw notFound();
+      }),
+    });
+    const { result } = await planMove(api);
+    await act(async () => {
+      await result.current.run();
+    });
+    expect(result.current.job.phase).toBe('failed');
+    expect(result.current.job.failed.map((s) => s.source)).toEqual(['src/a.txt']);
+  });
+});
@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import { buildHash, parseRoute } from '../utils/route';
+
+// Current route from the URL hash, plus `navigate(patch, { replace })` which
+// merges `patch` into the route and pushes (or replaces) a history entry.
+// Back/forward come for free via `hashchange`.
+const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const navigate = useCallback((patch, { replace = false } = {}) => {
+    const hash = buildHash({ ...parseRoute(window.location.hash), ...patch });
+    if (hash === window.location.hash) return;
+    if (replace) {
+      // replaceState does not fire hashchange
+      window.history.replaceState(null, '', hash);
+      setRoute(parseRoute(hash));
+    } else {
+      window.location.hash = hash;
+    }
+  }, []);
+
+  return [route, navigate];
+};
+
+export default useHashRoute;
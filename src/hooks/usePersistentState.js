@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+
+const readStored = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// useState backed by localStorage. Changing `key` (e.g. a different signed-in
+// user) loads that key's stored value.
+const usePersistentState = (key, initialValue) => {
+  const [value, setValue] = useState(() => readStored(key, initialValue));
+  const [loadedKey, setLoadedKey] = useState(key);
+
+  if (loadedKey !== key) {
+    setLoadedKey(key);
+    setValue(readStored(key, initialValue));
+  }
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn('Failed to persist setting:', e?.message || e);
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+};
+
+export default usePersistentState;
@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createTransferMeter } from '../utils/transferMeter';
+
+let nextEntryId = 1;
+
+const PROGRESS_THROTTLE_MS = 250;
+const BUSY_STATUSES = ['queued', 'uploading', 'processing'];
+
+// Upload queue: runs one file at a time through `uploadFile(entry, { signal, onProgress })`
+// and tracks per-entry status ('queued' | 'uploading' | 'processing' | 'done' | 'timeout' |
+// 'error' | 'cancelled'). If `uploadFile` resolves to `{ processing }`, the entry stays in
+// 'processing' until that promise settles (true = visible, false = timed out) while the
+// next file starts. `onDrained` is called whenever the queue goes idle.
+const useUploadQueue = (uploadFile, onDrained) => {
+  const [queue, setQueue] = useState([]);
+  const activeId = useRef(null);
+  const wasBusy = useRef(false);
+  const controllers = useRef(new Map());
+  const uploadFileRef = useRef(uploadFile);
+  const onDrainedRef = useRef(onDrained);
+
+  useEffect(() => {
+    uploadFileRef.current = uploadFile;
+    onDrainedRef.current = onDrained;
+  }, [uploadFile, onDrained]);
+
+  const updateEntry = useCallback((id, patch) => {
+    setQueue((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry)));
+  }, []);
+
+  // items: [{ file, relativePath, folder }]
+  const enqueue = useCallback((items) => {
+    setQueue((prev) => [
+      ...prev,
+      ...items.map((item) => ({
+        ...item,
+        id: nextEntryId++,
+        status: 'queued',
+        progress: null,
+        error: null,
+        note: null,
+      })),
+    ]);
+  }, []);
+
+  useEffect(() => {
+    if (activeId.current !== null) return;
+    const next = queue.find((entry) => entry.status === 'queued');
+    if (!next) return;
+
+    activeId.current = next.id;
+    const controller = new AbortController();
+    controllers.current.set(next.id, controller);
+    updateEntry(next.id, { status: 'uploading', error: null, note: null, progress: null });
+
+    const meter = createTransferMeter();
+    let lastUpdate = 0;
+    const onProgress = (progress) => {
+      const now = Date.now();
+      const stats = progress.loadedBytes !== undefined
+        ? meter(progress.loadedBytes, progress.totalBytes)
+        : {};
+      // Byte events fire many times a second; only re-render a few times a second
+      if (now - lastUpdate < PROGRESS_THROTTLE_MS && !progress.committing) return;
+      lastUpdate = now;
+      updateEntry(next.id, { progress: { ...progress, ...stats } });
+    };
+
+    const release = () => controllers.current.delete(next.id);
+
+    (async () => {
+      let patch;
+      try {
+        const result = await uploadFileRef.current(next, { signal: controller.signal, onProgress });
+        if (result?.processing) {
+          // Keep the controller so the exists-polling can still be cancelled
+          patch = { status: 'processing' };
+          result.processing
+            .then((visible) => updateEntry(next.id, visible
+              ? { status: 'done' }
+              : { status: 'timeout', error: 'Uploaded, but the server has not finished processing it yet. Refresh later to check.' }))
+            .catch(() => updateEntry(next.id, {
+              status: 'cancelled',
+              note: 'Upload finished; stopped waiting for server processing. The file may still appear.',
+            }))
+            .finally(release);
+        } else {
+          patch = { status: 'done' };
+          release();
+        }
+      } catch (error) {
+        release();
+        if (controller.signal.aborted) {
+          patch = { status: 'cancelled', note: error.cancelled ? error.message : null };
+        } else {
+          console.error(`Upload error for ${next.relativePath}:`, error);
+          patch = { status: 'error', error: error.response?.data?.error || error.message || 'Upload failed.' };
+        }
+      }
+      activeId.current = null;
+      updateEntry(next.id, patch);
+    })();
+  }, [queue, updateEntry]);
+
+  // Abort uploads and exists-polling when the queue's owner unmounts
+  useEffect(() => {
+    const active = controllers.current;
+    return () => active.forEach((controller) => controller.abort());
+  }, []);
+
+  // Notify once the queue goes from busy to idle
+  useEffect(() => {
+    const busy = queue.some((entry) => BUSY_STATUSES.includes(entry.status));
+    if (wasBusy.current && !busy) onDrainedRef.current?.();
+    wasBusy.current = busy;
+  }, [queue]);
+
+  const cancel = useCallback((id) => {
+    const controller = controllers.current.get(id);
+    if (controller) {
+      controller.abort();
+    } else {
+      setQueue((prev) => prev.map((entry) => (
+        entry.id === id && entry.status === 'queued' ? { ...entry, status: 'cancelled' } : entry
+      )));
+    }
+  }, []);
+
+  const cancelAll = useCallback(() => {
+    controllers.current.forEach((controller) => controller.abort());
+    setQueue((prev) => prev.map((entry) => (
+      entry.status === 'queued' ? { ...entry, status: 'cancelled' } : entry
+    )));
+  }, []);
+
+  const retry = useCallback((id) => {
+    setQueue((prev) => prev.map((entry) => (
+      entry.id === id && (entry.status === 'error' || entry.status === 'cancelled')
+        ? { ...entry, status: 'queued', error: null, note: null, progress: null }
+        : entry
+    )));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setQueue((prev) => prev.filter((entry) => BUSY_STATUSES.includes(entry.status)));
+  }, []);
+
+  return { queue, enqueue, cancel, cancelAll, retry, clearFinished };
+};
+
+export default useUploadQueue;
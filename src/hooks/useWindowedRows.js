@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+
+// Windowing for long lists of fixed-height rows. `containerRef` is the
+// scrolling element; callers mount only rows in [start, end) and pad the
+// rest with `offsetTop`/`offsetBottom` spacers so the scrollbar stays honest.
+// `visibleEnd` is one past the last row actually on screen (no overscan).
+const useWindowedRows = (containerRef, count, rowHeight, overscan = 10) => {
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return undefined;
+
+    let frame = null;
+    const measure = () => {
+      frame = null;
+      setViewport({ scrollTop: el.scrollTop, height: el.clientHeight });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(measure);
+    };
+
+    measure();
+    el.addEventListener('scroll', schedule, { passive: true });
+    const observer = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(schedule);
+    observer?.observe(el);
+    return () => {
+      el.removeEventListener('scroll', schedule);
+      observer?.disconnect();
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [containerRef]);
+
+  const start = Math.min(count, Math.max(0, Math.floor(viewport.scrollTop / rowHeight) - overscan));
+  const visibleEnd = Math.min(count, Math.ceil((viewport.scrollTop + viewport.height) / rowHeight));
+  const end = Math.min(count, visibleEnd + overscan);
+  return {
+    start,
+    end,
+    visibleEnd,
+    offsetTop: start * rowHeight,
+    offsetBottom: Math.max(0, count - end) * rowHeight,
+  };
+};
+
+export default useWindowedRows;
@@ -0,0 +1,46 @@
+import { act, renderHook } from '@testing-library/react';
+import useWindowedRows from './useWindowedRows';
+
+// A scroll container 100px tall over rows 20px high
+const container = (scrollTop = 0) => {
+  const el = document.createElement('div');
+  Object.defineProperty(el, 'clientHeight', { value: 100 });
+  el.scrollTop = scrollTop;
+  return { current: el };
+};
+
+describe('useWindowedRows', () => {
+  beforeEach(() => {
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation((callback) => {
+      callback();
+      return 1;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('mounts the rows on screen plus overscan and pads the rest', () => {
+    const ref = container(400);
+    const { result } = renderHook(() => useWindowedRows(ref, 1000, 20, 5));
+    expect(result.current).toEqual({ start: 15, end: 30, visibleEnd: 25, offsetTop: 300, offsetBottom: 970 * 20 });
+  });
+
+  it('follows scrolling', () => {
+    const ref = container(0);
+    const { result } = renderHook(() => useWindowedRows(ref, 1000, 20, 5));
+    expect(result.current).toMatchObject({ start: 0, visibleEnd: 5, end: 10 });
+    act(() => {
+      ref.current.scrollTop = 1000;
+      ref.current.dispatchEvent(new Event('scroll'));
+    });
+    expect(result.current).toMatchObject({ start: 45, visibleEnd: 55, end: 60 });
+  });
+
+  it('clamps to the number of rows', () => {
+    const ref = container(0);
+    const { result } = renderHook(() => useWindowedRows(ref, 3, 20, 5));
+    expect(result.current).toEqual({ start: 0, end: 3, visibleEnd: 3, offsetTop: 0, offsetBottom: 0 });
+  });
+});
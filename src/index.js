@@ -6,10 +6,21 @@ import App from './App';
 import './index.css';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <MsalProvider instance={msalInstance}>
-      <App />
-    </MsalProvider>
-  </React.StrictMode>
-);
+
+// Finish any redirect sign-in before rendering so the app starts signed in,
+// back on the page (and hash route) the redirect began from
+msalInstance.initialize()
+  .then(() => msalInstance.handleRedirectPromise())
+  .then((result) => {
+    if (result?.account) msalInstance.setActiveAccount(result.account);
+  })
+  .catch((error) => console.error('Redirect sign-in error:', error))
+  .finally(() => {
+    root.render(
+      <React.StrictMode>
+        <MsalProvider instance={msalInstance}>
+          <App />
+        </MsalProvider>
+      </React.StrictMode>
+    );
+  });
@@ -14,6 +14,10 @@ const msalConfig = {
 
 export const msalInstance = new PublicClientApplication(msalConfig);
 
+// 'popup' keeps the page (and any uploads) alive during sign-in; 'redirect'
+// works where popups are blocked
+export const loginMode = process.env.REACT_APP_LOGIN_MODE === 'redirect' ? 'redirect' : 'popup';
+
 export const loginRequest = {
   scopes: [
     `api://${process.env.REACT_APP_API_CLIENT_ID}/Files.Access`,
@@ -3,3 +3,36 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no TextEncoder/TextDecoder; client-zip needs them when imported
+import { TextDecoder, TextEncoder as NodeTextEncoder } from 'util';
+
+// Node's encoder returns Node's Uint8Array, which fails `instanceof Uint8Array`
+// inside jsdom; hand back one from this realm instead
+class TextEncoder extends NodeTextEncoder {
+  encode(input) {
+    return new Uint8Array(super.encode(input));
+  }
+}
+
+Object.assign(global, { TextDecoder, TextEncoder });
+
+// jsdom's AbortSignal predates `reason` and `throwIfAborted`, which the
+// request, upload and walk code rely on as browsers provide them
+if (!('reason' in AbortSignal.prototype)) {
+  const { abort } = AbortController.prototype;
+  AbortController.prototype.abort = function abortWithReason(reason) {
+    if (this.signal.aborted) return;
+    // Set before aborting: listeners read it while abort() runs
+    Object.defineProperty(this.signal, 'reason', {
+      value: reason ?? new DOMException('This operation was aborted', 'AbortError'),
+      configurable: true,
+    });
+    abort.call(this);
+  };
+}
+if (!AbortSignal.prototype.throwIfAborted) {
+  AbortSignal.prototype.throwIfAborted = function throwIfAborted() {
+    if (this.aborted) throw this.reason;
+  };
+}
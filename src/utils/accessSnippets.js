@@ -0,0 +1,342 @@
+import { CHUNK_SIZE } from './chunkedUpload';
+
+// Code samples for calling the storage API from outside the browser, shown in
+// the API access dialog. Every sample is rendered from one template, so what
+// is displayed is exactly what gets copied. The token audience comes from
+// REACT_APP_API_CLIENT_ID, the same app the SPA requests tokens for.
+
+export const API_RESOURCE = `api://${process.env.REACT_APP_API_CLIENT_ID || '<api-client-id>'}`;
+
+export const SNIPPET_OPERATIONS = [
+  { id: 'download', label: 'Download' },
+  { id: 'list', label: 'List folder' },
+  { id: 'upload', label: 'Upload' },
+  { id: 'chunked', label: 'Chunked upload' },
+];
+
+// Operations that change the folder; only offered to users who can write there
+export const WRITE_OPERATIONS = new Set(['upload', 'chunked']);
+
+const CHUNK_MB = CHUNK_SIZE / (1024 * 1024);
+const IMDS_TOKEN_URL = 'http://169.254.169.254/metadata/identity/oauth2/token?api-version=2018-02-01';
+
+// Quoting for values embedded in generated code
+const shQuote = (text) => `'${text.replace(/'/g, "'\\''")}'`;
+const psQuote = (text) => `'${text.replace(/'/g, "''")}'`;
+const jsonQuote = (text) => JSON.stringify(text);
+
+export const downloadUrl = (apiUrl, path) => `${apiUrl}/api/files/${encodeURIComponent(path)}`;
+
+const folderQuery = (folder) => (folder ? `?folder=${encodeURIComponent(folder)}` : '');
+
+// --- Shell (cURL); expects $TOKEN ---
+
+const shellActions = {
+  download: ({ apiUrl, path, fileName }) => [
+    `curl -f -H "Authorization: Bearer $TOKEN" \\`,
+    `  "${downloadUrl(apiUrl, path)}" \\`,
+    `  -o ${shQuote(fileName)}`,
+  ],
+  list: ({ apiUrl, folder }) => [
+    '# Large folders are paged: pass the returned continuationToken to get the next page',
+    `curl -f -H "Authorization: Bearer $TOKEN" \\`,
+    `  "${apiUrl}/api/files${folderQuery(folder)}"`,
+  ],
+  upload: ({ apiUrl, folder, fileName }) => [
+    `curl -f -H "Authorization: Bearer $TOKEN" \\`,
+    `  -F ${shQuote(`file=@${fileName}`)} \\`,
+    `  "${apiUrl}/api/files${folderQuery(folder)}"`,
+  ],
+  chunked: ({ apiUrl, folder, fileName }) => {
+    const params = `filename=${encodeURIComponent(fileName)}&folder=${encodeURIComponent(folder)}`;
+    const commitPrefix = `${JSON.stringify({ filename: fileName, folder }).slice(0, -1)},"totalChunks":`;
+    return [
+      `# Split into ${CHUNK_MB} MB parts, send each, then ask the API to assemble them`,
+      `split -b ${CHUNK_MB}M -d -a 5 ${shQuote(fileName)} chunk_`,
+      'set -- chunk_*',
+      'TOTAL=$#',
+      'i=0',
+      'for CHUNK in "$@"; do',
+      `  curl -f -H "Authorization: Bearer $TOKEN" \\`,
+      '    -F "file=@$CHUNK" \\',
+      `    "${apiUrl}/api/files/chunked?${params}&chunkIndex=$i&totalChunks=$TOTAL" || exit 1`,
+      '  i=$((i + 1))',
+      'done',
+      `curl -f -H "Authorization: Bearer $TOKEN" -H "Content-Type: application/json" \\`,
+      `  -d ${shQuote(commitPrefix)}"$TOTAL"'}' \\`,
+      `  "${apiUrl}/api/files/chunked/commit"`,
+      'rm -f chunk_*',
+    ];
+  },
+};
+
+// --- PowerShell; expects $headers ---
+
+const powershellActions = {
+  download: ({ apiUrl, path, fileName }) => [
+    `Invoke-RestMethod -Uri ${psQuote(downloadUrl(apiUrl, path))} -Headers $headers -OutFile ${psQuote(fileName)}`,
+  ],
+  list: ({ apiUrl, folder }) => [
+    `$folder = ${psQuote(folder)}`,
+    '$next = $null',
+    'do {',
+    '  $query = "folder=$([uri]::EscapeDataString($folder))"',
+    '  if ($next) { $query += "&continuationToken=$([uri]::EscapeDataString($next))" }',
+    `  $page = Invoke-RestMethod -Uri "${apiUrl}/api/files?$query" -Headers $headers`,
+    '  $page.folders | ForEach-Object { "$($_.path)/" }',
+    '  $page.files | ForEach-Object { "$($_.name)`t$($_.size)" }',
+    '  $next = $page.continuationToken',
+    '} while ($next)',
+  ],
+  upload: ({ apiUrl, folder, fileName }) => [
+    '# -Form needs PowerShell 7 or later',
+    `Invoke-RestMethod -Uri ${psQuote(`${apiUrl}/api/files${folderQuery(folder)}`)} -Method Post -Headers $headers \``,
+    `  -Form @{ file = Get-Item ${psQuote(fileName)} }`,
+  ],
+};
+
+// --- Python; expects API_URL and headers ---
+
+const pythonActions = {
+  download: ({ path, fileName }) => ({
+    imports: ['from urllib.parse import quote'],
+    lines: [
+      `FILE_PATH = ${jsonQuote(path)}`,
+      '',
+      '# Stream to disk so large files are not held in memory',
+      'response = requests.get(f"{API_URL}/api/files/{quote(FILE_PATH, safe=\'\')}", headers=headers, stream=True)',
+      'response.raise_for_status()',
+      `with open(${jsonQuote(fileName)}, "wb") as f:`,
+      '    for chunk in response.iter_content(chunk_size=8192):',
+      '        f.write(chunk)',
+    ],
+  }),
+  list: ({ folder }) => ({
+    lines: [
+      `params = {"folder": ${jsonQuote(folder)}}`,
+      'while True:',
+      '    response = requests.get(f"{API_URL}/api/files", params=params, headers=headers)',
+      '    response.raise_for_status()',
+      '    page = response.json()',
+      '    for folder in page.get("folders", []):',
+      '        print(folder["path"] + "/")',
+      '    for file in page.get("files", []):',
+      '        print(file["name"], file.get("size"))',
+      '    if not page.get("continuationToken"):',
+      '        break',
+      '    params["continuationToken"] = page["continuationToken"]',
+    ],
+  }),
+  upload: ({ folder, fileName }) => ({
+    lines: [
+      `FILE_NAME = ${jsonQuote(fileName)}`,
+      '',
+      'with open(FILE_NAME, "rb") as f:',
+      '    response = requests.post(',
+      '        f"{API_URL}/api/files",',
+      `        params={"folder": ${jsonQuote(folder)}},`,
+      '        headers=headers,',
+      '        files={"file": (FILE_NAME, f)},',
+      '    )',
+      'response.raise_for_status()',
+    ],
+  }),
+  chunked: ({ folder, fileName }) => ({
+    imports: ['import math', 'import os'],
+    lines: [
+      `FILE_NAME = ${jsonQuote(fileName)}`,
+      `FOLDER = ${jsonQuote(folder)}`,
+      `CHUNK_SIZE = ${CHUNK_MB} * 1024 * 1024`,
+      '',
+      'total = max(1, math.ceil(os.path.getsize(FILE_NAME) / CHUNK_SIZE))',
+      'with open(FILE_NAME, "rb") as f:',
+      '    for index in range(total):',
+      '        params = {"filename": FILE_NAME, "chunkIndex": index, "totalChunks": total, "folder": FOLDER}',
+      '        requests.post(f"{API_URL}/api/files/chunked", params=params, headers=headers,',
+      '                      files={"file": (FILE_NAME, f.read(CHUNK_SIZE))}).raise_for_status()',
+      '',
+      'requests.post(f"{API_URL}/api/files/chunked/commit", headers=headers,',
+      '              json={"filename": FILE_NAME, "totalChunks": total, "folder": FOLDER}).raise_for_status()',
+    ],
+  }),
+};
+
+// --- Node.js 20+ (ES module); expects API_URL and headers ---
+
+const nodeActions = {
+  download: ({ path, fileName }) => ({
+    imports: [
+      "import { createWriteStream } from 'node:fs';",
+      "import { Readable } from 'node:stream';",
+      "import { pipeline } from 'node:stream/promises';",
+    ],
+    lines: [
+      `const FILE_PATH = ${jsonQuote(path)};`,
+      '',
+      "const response = await fetch(API_URL + '/api/files/' + encodeURIComponent(FILE_PATH), { headers });",
+      "if (!response.ok) throw new Error('Download failed: ' + response.status);",
+      `await pipeline(Readable.fromWeb(response.body), createWriteStream(${jsonQuote(fileName)}));`,
+    ],
+  }),
+  list: ({ folder }) => ({
+    lines: [
+      `const params = new URLSearchParams({ folder: ${jsonQuote(folder)} });`,
+      'do {',
+      "  const response = await fetch(API_URL + '/api/files?' + params, { headers });",
+      "  if (!response.ok) throw new Error('List failed: ' + response.status);",
+      '  const page = await response.json();',
+      "  (page.folders || []).forEach((f) => console.log(f.path + '/'));",
+      '  (page.files || []).forEach((f) => console.log(f.name, f.size));',
+      "  params.set('continuationToken', page.continuationToken || '');",
+      "} while (params.get('continuationToken'));",
+    ],
+  }),
+  upload: ({ folder, fileName }) => ({
+    imports: ["import { openAsBlob } from 'node:fs';"],
+    lines: [
+      `const FILE_NAME = ${jsonQuote(fileName)};`,
+      '',
+      'const form = new FormData();',
+      "form.append('file', await openAsBlob(FILE_NAME), FILE_NAME);",
+      `const params = new URLSearchParams({ folder: ${jsonQuote(folder)} });`,
+      "const response = await fetch(API_URL + '/api/files?' + params, { method: 'POST', headers, body: form });",
+      "if (!response.ok) throw new Error('Upload failed: ' + response.status);",
+    ],
+  }),
+  chunked: ({ folder, fileName }) => ({
+    imports: ["import { openAsBlob } from 'node:fs';"],
+    lines: [
+      `const FILE_NAME = ${jsonQuote(fileName)};`,
+      `const FOLDER = ${jsonQuote(folder)};`,
+      `const CHUNK_SIZE = ${CHUNK_MB} * 1024 * 1024;`,
+      '',
+      'const blob = await openAsBlob(FILE_NAME);',
+      'const totalChunks = Math.max(1, Math.ceil(blob.size / CHUNK_SIZE));',
+      'for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex += 1) {',
+      '  const form = new FormData();',
+      "  form.append('file', blob.slice(chunkIndex * CHUNK_SIZE, (chunkIndex + 1) * CHUNK_SIZE), FILE_NAME);",
+      '  const params = new URLSearchParams({ filename: FILE_NAME, chunkIndex, totalChunks, folder: FOLDER });',
+      "  const response = await fetch(API_URL + '/api/files/chunked?' + params, { method: 'POST', headers, body: form });",
+      "  if (!response.ok) throw new Error('Chunk ' + chunkIndex + ' failed: ' + response.status);",
+      '}',
+      '',
+      "const commit = await fetch(API_URL + '/api/files/chunked/commit', {",
+      "  method: 'POST',",
+      "  headers: { ...headers, 'Content-Type': 'application/json' },",
+      '  body: JSON.stringify({ filename: FILE_NAME, totalChunks, folder: FOLDER }),',
+      '});',
+      "if (!commit.ok) throw new Error('Commit failed: ' + commit.status);",
+    ],
+  }),
+};
+
+// Each variant pairs a way of getting a token with a language's actions
+const VARIANTS = [
+  {
+    id: 'powershell',
+    label: 'PowerShell (VM with Managed Identity)',
+    actions: powershellActions,
+    render: (action) => [
+      "# Get token using the VM's managed identity",
+      `$response = Invoke-RestMethod -Uri '${IMDS_TOKEN_URL}&resource=${API_RESOURCE}' -Headers @{Metadata="true"}`,
+      '$headers = @{ Authorization = "Bearer $($response.access_token)" }',
+      '',
+      ...action,
+    ],
+  },
+  {
+    id: 'curl',
+    label: 'cURL (VM with Managed Identity)',
+    actions: shellActions,
+    render: (action) => [
+      "# Get token using the VM's managed identity",
+      `TOKEN=$(curl -s '${IMDS_TOKEN_URL}&resource=${API_RESOURCE}' -H Metadata:true | grep -Po '"access_token":"\\K[^"]*')`,
+      '',
+      ...action,
+    ],
+  },
+  {
+    id: 'azcli',
+    label: 'Azure CLI (VM with Managed Identity)',
+    actions: shellActions,
+    render: (action) => [
+      "# Sign in as the VM's managed identity and get a token",
+      'az login --identity --output none',
+      `TOKEN=$(az account get-access-token --resource ${API_RESOURCE} --query accessToken -o tsv)`,
+      '',
+      ...action,
+    ],
+  },
+  {
+    id: 'bash',
+    label: 'Bash (az login as yourself)',
+    note: 'Signs in with your own account; needs the Azure CLI.',
+    actions: shellActions,
+    render: (action) => [
+      '# Sign in interactively (once), then get a token for the API',
+      'az login --output none',
+      `TOKEN=$(az account get-access-token --resource ${API_RESOURCE} --query accessToken -o tsv)`,
+      '',
+      ...action,
+    ],
+  },
+  {
+    id: 'python',
+    label: 'Python (Managed Identity or az login)',
+    note: 'First, install dependencies: pip install azure-identity requests',
+    actions: pythonActions,
+    render: ({ imports = [], lines }, { apiUrl }) => [
+      'from azure.identity import DefaultAzureCredential',
+      'import requests',
+      ...imports,
+      '',
+      `API_URL = ${jsonQuote(apiUrl)}`,
+      '',
+      '# Uses the managed identity on Azure, or your az login locally',
+      'credential = DefaultAzureCredential()',
+      `token = credential.get_token(${jsonQuote(`${API_RESOURCE}/.default`)})`,
+      'headers = {"Authorization": f"Bearer {token.token}"}',
+      '',
+      ...lines,
+    ],
+  },
+  {
+    id: 'node',
+    label: 'Node.js (Managed Identity or az login)',
+    note: 'Node.js 20 or later. Install with npm install @azure/identity and save as an .mjs file.',
+    actions: nodeActions,
+    render: ({ imports = [], lines }, { apiUrl }) => [
+      "import { DefaultAzureCredential } from '@azure/identity';",
+      ...imports,
+      '',
+      `const API_URL = ${jsonQuote(apiUrl)};`,
+      '',
+      '// Uses the managed identity on Azure, or your az login locally',
+      'const credential = new DefaultAzureCredential();',
+      `const { token } = await credential.getToken(${jsonQuote(`${API_RESOURCE}/.default`)});`,
+      "const headers = { Authorization: 'Bearer ' + token };",
+      '',
+      ...lines,
+    ],
+  },
+];
+
+// Samples for one operation on `path` (a file's full blob path):
+// [{ id, label, note, code }]. Variants without that operation are left out.
+export const buildSnippets = (operation, { apiUrl, path }) => {
+  const parts = path.split('/');
+  const context = {
+    apiUrl,
+    path,
+    fileName: parts[parts.length - 1],
+    folder: parts.slice(0, -1).join('/'),
+  };
+  return VARIANTS
+    .filter((variant) => variant.actions[operation])
+    .map((variant) => ({
+      id: variant.id,
+      label: variant.label,
+      note: variant.note || null,
+      code: variant.render(variant.actions[operation](context), context).join('\n'),
+    }));
+};
@@ -0,0 +1,46 @@
+import { API_RESOURCE, SNIPPET_OPERATIONS, WRITE_OPERATIONS, buildSnippets, downloadUrl } from './accessSnippets';
+
+const API_URL = 'https://api.test';
+
+describe('downloadUrl', () => {
+  it('encodes the whole blob path', () => {
+    expect(downloadUrl(API_URL, 'docs/a b.txt')).toBe('https://api.test/api/files/docs%2Fa%20b.txt');
+  });
+});
+
+describe('buildSnippets', () => {
+  it('offers every variant for downloads, each for the API audience', () => {
+    const snippets = buildSnippets('download', { apiUrl: API_URL, path: 'docs/report.pdf' });
+    expect(snippets.map((s) => s.id)).toEqual(['powershell', 'curl', 'azcli', 'bash', 'python', 'node']);
+    snippets.forEach((snippet) => {
+      expect(snippet.code).toContain(API_RESOURCE);
+      expect(snippet.code).toContain('report.pdf');
+    });
+  });
+
+  it('has a sample for every operation', () => {
+    SNIPPET_OPERATIONS.forEach(({ id }) => {
+      expect(buildSnippets(id, { apiUrl: API_URL, path: 'a/b.txt' }).length).toBeGreaterThan(0);
+    });
+    expect([...WRITE_OPERATIONS].every((op) => SNIPPET_OPERATIONS.some((o) => o.id === op))).toBe(true);
+  });
+
+  it('quotes awkward file names for each shell', () => {
+    const path = "docs/it's here.txt";
+    const byId = Object.fromEntries(buildSnippets('download', { apiUrl: API_URL, path }).map((s) => [s.id, s.code]));
+    expect(byId.curl).toContain("-o 'it'\\''s here.txt'");
+    expect(byId.powershell).toContain("-OutFile 'it''s here.txt'");
+  });
+
+  it('lists the folder the file is in', () => {
+    const [curl] = buildSnippets('list', { apiUrl: API_URL, path: 'docs/sub/a.txt' }).filter((s) => s.id === 'curl');
+    expect(curl.code).toContain('"https://api.test/api/files?folder=docs%2Fsub"');
+  });
+
+  it('sends chunked uploads to the chunk and commit endpoints', () => {
+    buildSnippets('chunked', { apiUrl: API_URL, path: 'big.iso' }).forEach((snippet) => {
+      expect(snippet.code).toMatch(/chunked/);
+      expect(snippet.code).toMatch(/chunked\/commit/);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// Activity log helpers. The API records every change it makes; the client only
+// reads the log, so entries can't be forged or skipped from the browser.
+// filters: { user, action, pathPrefix, from, to } ('YYYY-MM-DD', inclusive)
+// or { path } for the history of a single file.
+
+export const AUDIT_ACTIONS = {
+  upload: 'Uploaded',
+  delete: 'Deleted',
+  rename: 'Renamed',
+  move: 'Moved',
+  createFolder: 'Created folder',
+  deleteFolder: 'Deleted folder',
+};
+
+export const EMPTY_AUDIT_FILTERS = { user: '', action: '', pathPrefix: '', from: '', to: '' };
+
+export const auditActionLabel = (action) => AUDIT_ACTIONS[action] || action;
+
+// Query parameters for the audit endpoint; day bounds are sent as local-time
+// instants so "to" covers the whole day
+export const auditQuery = (filters) => {
+  const query = {};
+  ['user', 'action', 'path'].forEach((key) => {
+    if (filters[key]?.trim()) query[key] = filters[key].trim();
+  });
+  const prefix = (filters.pathPrefix || '').trim().replace(/^\/+/, '');
+  if (prefix) query.pathPrefix = prefix;
+  if (filters.from) query.from = new Date(`${filters.from}T00:00:00`).toISOString();
+  if (filters.to) query.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+  return query;
+};
+
+// "a/b.txt" or "a/b.txt → c/b.txt" for renames and moves
+export const auditTarget = (entry) => (entry.destinationPath && entry.destinationPath !== entry.path
+  ? `${entry.path} → ${entry.destinationPath}`
+  : entry.path);
+
+export const formatAuditTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
@@ -0,0 +1,31 @@
+import { auditActionLabel, auditQuery, auditTarget, formatAuditTime } from './audit';
+
+describe('auditQuery', () => {
+  it('sends only the filters that are set, trimmed', () => {
+    expect(auditQuery({ user: ' ann ', action: '', pathPrefix: '//docs/', from: '', to: '' }))
+      .toEqual({ user: 'ann', pathPrefix: 'docs/' });
+    expect(auditQuery({ path: 'docs/a.txt' })).toEqual({ path: 'docs/a.txt' });
+  });
+
+  it('turns day bounds into instants covering whole local days', () => {
+    const query = auditQuery({ from: '2024-03-01', to: '2024-03-02' });
+    expect(query.from).toBe(new Date(2024, 2, 1, 0, 0, 0).toISOString());
+    expect(query.to).toBe(new Date(2024, 2, 2, 23, 59, 59, 999).toISOString());
+  });
+});
+
+describe('auditTarget', () => {
+  it('shows both ends of a move or rename', () => {
+    expect(auditTarget({ path: 'a.txt', destinationPath: 'b/a.txt' })).toBe('a.txt → b/a.txt');
+    expect(auditTarget({ path: 'a.txt', destinationPath: 'a.txt' })).toBe('a.txt');
+    expect(auditTarget({ path: 'a.txt' })).toBe('a.txt');
+  });
+});
+
+describe('auditActionLabel and formatAuditTime', () => {
+  it('label known actions and pass others through', () => {
+    expect(auditActionLabel('createFolder')).toBe('Created folder');
+    expect(auditActionLabel('restore')).toBe('restore');
+    expect(formatAuditTime(null)).toBe('');
+  });
+});
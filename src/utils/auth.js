@@ -0,0 +1,18 @@
+import { BrowserAuthError } from '@azure/msal-browser';
+
+// Popup sign-in failed because the browser blocked or lost the window
+const POPUP_FAILURES = new Set(['popup_window_error', 'empty_window_error', 'block_nested_popups']);
+
+export const isPopupBlocked = (error) => error instanceof BrowserAuthError && POPUP_FAILURES.has(error.errorCode);
+
+export const isUserCancelled = (error) => error instanceof BrowserAuthError && error.errorCode === 'user_cancelled';
+
+// An MSAL account is one identity in one tenant; guests share a homeAccountId
+// with their home-tenant profile
+export const accountKey = (account) => (account ? `${account.homeAccountId}|${account.tenantId}` : '');
+
+export const sameAccount = (a, b) => Boolean(a && b) && accountKey(a) === accountKey(b);
+
+// homeAccountId is "<objectId>.<homeTenantId>"; any other tenant means a guest profile
+export const isGuestAccount = (account) => Boolean(account?.tenantId)
+  && !account.homeAccountId?.endsWith(`.${account.tenantId}`);
@@ -0,0 +1,30 @@
+import { BrowserAuthError } from '@azure/msal-browser';
+import { accountKey, isGuestAccount, isPopupBlocked, isUserCancelled, sameAccount } from './auth';
+
+describe('isPopupBlocked and isUserCancelled', () => {
+  it('tell blocked popups from a closed sign-in window', () => {
+    expect(isPopupBlocked(new BrowserAuthError('popup_window_error'))).toBe(true);
+    expect(isPopupBlocked(new BrowserAuthError('user_cancelled'))).toBe(false);
+    expect(isUserCancelled(new BrowserAuthError('user_cancelled'))).toBe(true);
+    expect(isPopupBlocked(Object.assign(new Error('x'), { errorCode: 'popup_window_error' }))).toBe(false);
+  });
+});
+
+describe('accounts', () => {
+  const home = { homeAccountId: 'oid.home-tenant', tenantId: 'home-tenant' };
+  const guest = { homeAccountId: 'oid.home-tenant', tenantId: 'other-tenant' };
+
+  it('keys an account by identity and tenant', () => {
+    expect(accountKey(home)).toBe('oid.home-tenant|home-tenant');
+    expect(accountKey(null)).toBe('');
+    expect(sameAccount(home, { ...home })).toBe(true);
+    expect(sameAccount(home, guest)).toBe(false);
+    expect(sameAccount(null, null)).toBe(false);
+  });
+
+  it('spots guest profiles', () => {
+    expect(isGuestAccount(home)).toBe(false);
+    expect(isGuestAccount(guest)).toBe(true);
+    expect(isGuestAccount({ homeAccountId: 'oid.x' })).toBe(false);
+  });
+});
@@ -0,0 +1,29 @@
+// Run `action(item)` over many items with a small concurrency limit and collect
+// a per-item outcome instead of stopping at the first failure.
+export const runBulk = async (items, action, { concurrency = 4, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+      try {
+        await action(item);
+        results[index] = { item, ok: true };
+      } catch (error) {
+        results[index] = {
+          item,
+          ok: false,
+          error: error.response?.data?.error || error.message || 'Unknown error',
+        };
+      }
+      done += 1;
+      onProgress?.(done, items.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
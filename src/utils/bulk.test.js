@@ -0,0 +1,36 @@
+import { runBulk } from './bulk';
+
+describe('runBulk', () => {
+  it('keeps going after failures and reports each outcome in order', async () => {
+    const action = async (n) => {
+      if (n === 2) throw Object.assign(new Error('boom'), { response: { data: { error: 'Locked' } } });
+      if (n === 3) throw new Error('gone');
+    };
+    const progress = [];
+    const results = await runBulk([1, 2, 3, 4], action, { onProgress: (done, total) => progress.push([done, total]) });
+    expect(results).toEqual([
+      { item: 1, ok: true },
+      { item: 2, ok: false, error: 'Locked' },
+      { item: 3, ok: false, error: 'gone' },
+      { item: 4, ok: true },
+    ]);
+    expect(progress).toEqual([[1, 4], [2, 4], [3, 4], [4, 4]]);
+  });
+
+  it('never runs more than `concurrency` actions at once', async () => {
+    let running = 0;
+    let peak = 0;
+    const action = async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      running -= 1;
+    };
+    await runBulk(Array.from({ length: 10 }, (_, i) => i), action, { concurrency: 3 });
+    expect(peak).toBe(3);
+  });
+
+  it('resolves to nothing for no items', async () => {
+    expect(await runBulk([], jest.fn())).toEqual([]);
+  });
+});
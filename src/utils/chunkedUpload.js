@@ -0,0 +1,159 @@
+import {
+  fingerprintFile,
+  getUploadState,
+  saveUploadState,
+  deleteUploadState,
+} from './uploadStore';
+import { isRetryable, retryDelay, sleep } from './retry';
+
+export const CHUNK_SIZE = 50 * 1024 * 1024; // 50 MB chunks (good balance: not too large, not too many)
+export const UPLOAD_CONCURRENCY = Number(process.env.REACT_APP_UPLOAD_CONCURRENCY) || 3;
+export const MAX_CHUNK_RETRIES = Number(process.env.REACT_APP_UPLOAD_MAX_RETRIES) || 5;
+
+const withRetry = async (operation, label, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (signal?.aborted || attempt >= MAX_CHUNK_RETRIES || !isRetryable(error)) throw error;
+      const delay = retryDelay(error, attempt);
+      console.warn(`${label} failed (attempt ${attempt + 1}), retrying in ${Math.round(delay)}ms:`, error?.message || error);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+const uploadChunks = async ({ api, file, folder, onProgress, signal }) => {
+  const fingerprint = await fingerprintFile(file);
+  const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+
+  let state = null;
+  try {
+    state = await getUploadState(fingerprint);
+  } catch (e) {
+    console.warn('Upload state unavailable, progress will not survive a reload:', e?.message || e);
+  }
+  if (!state || state.chunkSize !== CHUNK_SIZE || state.totalChunks !== totalChunks) {
+    state = {
+      fingerprint,
+      filename: file.name,
+      fileSize: file.size,
+      chunkSize: CHUNK_SIZE,
+      totalChunks,
+      folder,
+      completedChunks: [],
+    };
+  }
+
+  const targetFolder = state.folder;
+  const completed = new Set(state.completedChunks);
+  const persist = () => saveUploadState({ ...state, completedChunks: Array.from(completed) })
+    .catch((e) => console.warn('Failed to save upload state:', e?.message || e));
+  await persist();
+
+  const chunkBytes = (chunkIndex) => Math.min(CHUNK_SIZE, file.size - chunkIndex * CHUNK_SIZE);
+  // Bytes sent so far for chunks still in flight, keyed by chunk index
+  const inFlight = new Map();
+
+  const report = (extra = {}) => {
+    let loadedBytes = 0;
+    completed.forEach((chunkIndex) => { loadedBytes += chunkBytes(chunkIndex); });
+    inFlight.forEach((bytes) => { loadedBytes += bytes; });
+    onProgress?.({
+      current: completed.size,
+      total: totalChunks,
+      loadedBytes,
+      totalBytes: file.size,
+      filename: file.name,
+      folder: targetFolder,
+      ...extra,
+    });
+  };
+
+  const resumedFrom = completed.size;
+  report({ resumedFrom });
+
+  const pending = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!completed.has(i)) pending.push(i);
+  }
+
+  const uploadChunk = async (chunkIndex) => {
+    const start = chunkIndex * CHUNK_SIZE;
+    const chunk = file.slice(start, Math.min(start + CHUNK_SIZE, file.size));
+
+    await withRetry(async () => {
+      inFlight.set(chunkIndex, 0);
+      await api.uploadChunk({
+        chunk,
+        filename: file.name,
+        chunkIndex,
+        totalChunks,
+        folder: targetFolder,
+      }, {
+        signal,
+        onUploadProgress: (e) => {
+          // e.loaded includes multipart overhead; cap at the chunk's payload
+          inFlight.set(chunkIndex, Math.min(e.loaded, chunk.size));
+          report({ resumedFrom });
+        },
+      });
+    }, `Chunk ${chunkIndex + 1}/${totalChunks}`, signal).finally(() => inFlight.delete(chunkIndex));
+
+    completed.add(chunkIndex);
+    await persist();
+    report({ resumedFrom });
+  };
+
+  // Worker pool: each worker pulls the next pending chunk until the queue is empty
+  // or another worker has failed for good.
+  let failure = null;
+  const worker = async () => {
+    while (pending.length > 0 && !failure && !signal?.aborted) {
+      const chunkIndex = pending.shift();
+      try {
+        await uploadChunk(chunkIndex);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+  const workerCount = Math.min(UPLOAD_CONCURRENCY, pending.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  if (failure) throw failure;
+  signal?.throwIfAborted();
+
+  report({ committing: true });
+  await withRetry(async () => {
+    signal?.throwIfAborted();
+    await api.commitChunkedUpload({
+      filename: file.name,
+      totalChunks,
+      contentType: file.type || 'application/octet-stream',
+      folder: targetFolder,
+    }, { signal });
+  }, 'Commit', signal).catch((error) => {
+    error.committing = true;
+    throw error;
+  });
+
+  await deleteUploadState(fingerprint).catch((e) => console.warn('Failed to clear upload state:', e?.message || e));
+  return { folder: targetFolder };
+};
+
+// Upload a file as parallel chunks, retrying each chunk independently and
+// recording confirmed chunks in IndexedDB. A saved upload always resumes into
+// the folder it was started in.
+export const uploadFileInChunks = async (options) => {
+  try {
+    return await uploadChunks(options);
+  } catch (error) {
+    if (!options.signal?.aborted) throw error;
+    // Surface what cancelling left behind on the server
+    const cancelled = new Error(error.committing
+      ? 'Cancelled while committing. The file may still have been created; refresh to check.'
+      : 'Cancelled before commit, so no file was created. Uploaded chunks are kept: select the same file again to resume.');
+    cancelled.cancelled = true;
+    throw cancelled;
+  }
+};
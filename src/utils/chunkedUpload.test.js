@@ -0,0 +1,121 @@
+import { CHUNK_SIZE, uploadFileInChunks } from './chunkedUpload';
+import { sleep } from './retry';
+import { deleteUploadState, fingerprintFile, getUploadState, saveUploadState } from './uploadStore';
+
+jest.mock('./uploadStore');
+jest.mock('./retry', () => ({ ...jest.requireActual('./retry'), sleep: jest.fn() }));
+
+// Only size and slice are used, so a 2.5-chunk file costs nothing
+const fakeFile = (size = CHUNK_SIZE * 2.5) => ({
+  name: 'big.bin',
+  size,
+  type: '',
+  slice: (start, end) => ({ size: end - start }),
+});
+
+const fakeApi = (overrides = {}) => ({
+  uploadChunk: jest.fn(async () => {}),
+  commitChunkedUpload: jest.fn(async () => {}),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  // No waiting between retries
+  sleep.mockResolvedValue(undefined);
+  fingerprintFile.mockImplementation(async (file) => `fp:${file.name}`);
+  getUploadState.mockResolvedValue(undefined);
+  saveUploadState.mockResolvedValue(undefined);
+  deleteUploadState.mockResolvedValue(undefined);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('uploadFileInChunks', () => {
+  it('sends every chunk, commits, and forgets the saved progress', async () => {
+    const api = fakeApi();
+    const progress = [];
+    const result = await uploadFileInChunks({ api, file: fakeFile(), folder: 'docs', onProgress: (p) => progress.push(p) });
+
+    expect(result).toEqual({ folder: 'docs' });
+    expect(api.uploadChunk.mock.calls.map(([c]) => c.chunkIndex).sort()).toEqual([0, 1, 2]);
+    expect(api.uploadChunk.mock.calls[0][0]).toMatchObject({ filename: 'big.bin', totalChunks: 3, folder: 'docs' });
+    expect(api.commitChunkedUpload).toHaveBeenCalledWith(
+      { filename: 'big.bin', totalChunks: 3, contentType: 'application/octet-stream', folder: 'docs' },
+      expect.anything()
+    );
+    expect(deleteUploadState).toHaveBeenCalledWith('fp:big.bin');
+    expect(progress[progress.length - 1]).toMatchObject({ committing: true, current: 3, loadedBytes: CHUNK_SIZE * 2.5 });
+  });
+
+  it('resumes into the saved folder, skipping confirmed chunks', async () => {
+    getUploadState.mockResolvedValue({
+      fingerprint: 'fp:big.bin',
+      chunkSize: CHUNK_SIZE,
+      totalChunks: 3,
+      folder: 'started-here',
+      completedChunks: [0, 2],
+    });
+    const api = fakeApi();
+    const progress = [];
+    const result = await uploadFileInChunks({ api, file: fakeFile(), folder: 'elsewhere', onProgress: (p) => progress.push(p) });
+
+    expect(result).toEqual({ folder: 'started-here' });
+    expect(api.uploadChunk.mock.calls.map(([c]) => c.chunkIndex)).toEqual([1]);
+    expect(progress[0]).toMatchObject({ resumedFrom: 2, current: 2 });
+  });
+
+  it('starts over when the saved progress used a different chunking', async () => {
+    getUploadState.mockResolvedValue({ chunkSize: CHUNK_SIZE / 2, totalChunks: 5, folder: 'old', completedChunks: [0, 1] });
+    const api = fakeApi();
+    await uploadFileInChunks({ api, file: fakeFile(), folder: 'new' });
+    expect(api.uploadChunk).toHaveBeenCalledTimes(3);
+    expect(api.uploadChunk.mock.calls[0][0].folder).toBe('new');
+  });
+
+  it('retries a chunk after a server error but not after a client error', async () => {
+    let failures = 1;
+    const api = fakeApi({
+      uploadChunk: jest.fn(async ({ chunkIndex }) => {
+        if (chunkIndex === 1 && failures-- > 0) throw Object.assign(new Error('busy'), { status: 503 });
+      }),
+    });
+    await uploadFileInChunks({ api, file: fakeFile(), folder: '' });
+    expect(api.uploadChunk).toHaveBeenCalledTimes(4);
+
+    const forbidden = fakeApi({
+      uploadChunk: jest.fn(async () => { throw Object.assign(new Error('no'), { status: 403 }); }),
+    });
+    await expect(uploadFileInChunks({ api: forbidden, file: fakeFile(CHUNK_SIZE), folder: '' })).rejects.toMatchObject({ status: 403 });
+    expect(forbidden.uploadChunk).toHaveBeenCalledTimes(1);
+    expect(forbidden.commitChunkedUpload).not.toHaveBeenCalled();
+  });
+
+  it('reports a cancel before commit as resumable', async () => {
+    const controller = new AbortController();
+    const api = fakeApi({
+      uploadChunk: jest.fn(async () => {
+        controller.abort();
+        throw new DOMException('Aborted', 'AbortError');
+      }),
+    });
+    await expect(uploadFileInChunks({ api, file: fakeFile(), folder: '', signal: controller.signal }))
+      .rejects.toMatchObject({ cancelled: true, message: expect.stringMatching(/before commit/) });
+    expect(api.commitChunkedUpload).not.toHaveBeenCalled();
+    expect(deleteUploadState).not.toHaveBeenCalled();
+  });
+
+  it('warns that a cancel during commit may still have created the file', async () => {
+    const controller = new AbortController();
+    const api = fakeApi({
+      commitChunkedUpload: jest.fn(async () => {
+        controller.abort();
+        throw new DOMException('Aborted', 'AbortError');
+      }),
+    });
+    await expect(uploadFileInChunks({ api, file: fakeFile(), folder: '', signal: controller.signal }))
+      .rejects.toMatchObject({ cancelled: true, message: expect.stringMatching(/while committing/) });
+  });
+});
@@ -0,0 +1,77 @@
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines
+// inside quotes. Good enough for previews; not a general-purpose CSV library.
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Guess the delimiter from the first line (comma, semicolon or tab)
+export const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+};
+
+// Spreadsheets run text starting with these as a formula. Blob and user
+// names end up in exports, so such cells are defused with a leading quote.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsvField = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const formula = typeof value !== 'number' && FORMULA_START.test(raw);
+  const text = formula ? `'${raw}` : raw;
+  return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (arrays of cells) to RFC 4180 text
+export const formatCsv = (rows) => rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n');
+
+// Save rows as a .csv file via a temporary object URL
+export const downloadCsv = (filename, rows) => {
+  const url = URL.createObjectURL(new Blob([formatCsv(rows)], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
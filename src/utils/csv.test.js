@@ -0,0 +1,53 @@
+import { detectDelimiter, formatCsv, parseCsv } from './csv';
+
+describe('formatCsv', () => {
+  it('joins cells and rows', () => {
+    expect(formatCsv([['a', 'b'], [1, 2]])).toBe('a,b\r\n1,2');
+  });
+
+  it('quotes cells with delimiters, quotes and line breaks', () => {
+    expect(formatCsv([['a,b', 'say "hi"', 'two\nlines']])).toBe('"a,b","say ""hi""","two\nlines"');
+  });
+
+  it('writes empty cells for null and undefined', () => {
+    expect(formatCsv([[null, undefined, 0]])).toBe(',,0');
+  });
+
+  it.each(['=cmd', '+1', '-1', '@SUM(A1)', '\tx', '\rx'])('defuses formula-like text %j', (cell) => {
+    expect(formatCsv([[cell, 'x']])).toBe(`"'${cell}",x`);
+  });
+
+  it('leaves numbers alone, including negative ones', () => {
+    expect(formatCsv([[-5, 3]])).toBe('-5,3');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [['name', 'note'], ['a "b"', 'x,y'], ['multi\nline', '']];
+    expect(parseCsv(formatCsv(rows))).toEqual(rows);
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted delimiters, escaped quotes and line breaks inside quotes', () => {
+    expect(parseCsv('a,"b,c","say ""hi"""\r\n"x\ny",z')).toEqual([
+      ['a', 'b,c', 'say "hi"'],
+      ['x\ny', 'z'],
+    ]);
+  });
+
+  it('keeps empty fields and ignores a trailing newline', () => {
+    expect(parseCsv('a,,c\n,b,\n')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+  });
+
+  it('splits on the given delimiter', () => {
+    expect(parseCsv('a;b\tc', ';')).toEqual([['a', 'b\tc']]);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('picks the most frequent candidate on the first line', () => {
+    expect(detectDelimiter('a;b;c\n1,2,3,4,5')).toBe(';');
+    expect(detectDelimiter('a\tb')).toBe('\t');
+    expect(detectDelimiter('single')).toBe(',');
+  });
+});
@@ -0,0 +1,72 @@
+// Helpers for turning file pickers and drag-and-drop into upload queue items.
+// Each item is { file, relativePath } where relativePath keeps any sub-folders
+// the user picked or dropped (e.g. "photos/2024/img.jpg").
+
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const entries = [];
+  // readEntries returns results in batches (~100 in Chrome) until it yields an empty array
+  const readBatch = () => {
+    reader.readEntries((batch) => {
+      if (batch.length === 0) {
+        resolve(entries);
+      } else {
+        entries.push(...batch);
+        readBatch();
+      }
+    }, reject);
+  };
+  readBatch();
+});
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, items) => {
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    items.push({ file, relativePath: entry.fullPath.replace(/^\/+/, '') });
+  } else if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    for (const child of children) {
+      await walkEntry(child, items);
+    }
+  }
+};
+
+// Files from <input type="file" multiple> or <input webkitdirectory>
+export const filesFromInput = (fileList) =>
+  Array.from(fileList || []).map((file) => ({
+    file,
+    relativePath: file.webkitRelativePath || file.name,
+  }));
+
+// Whether a drag carries files from the OS (as opposed to in-page drags)
+export const isFileDrag = (dataTransfer) =>
+  Array.from(dataTransfer?.types || []).includes('Files');
+
+// Read every file from a drop, descending into dropped folders
+export const collectDroppedFiles = async (dataTransfer) => {
+  // Entries must be grabbed synchronously; the DataTransfer is emptied once the handler yields
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  if (entries.length === 0 || entries.some((entry) => !entry)) {
+    // No directory support: fall back to the flat file list
+    return filesFromInput(dataTransfer.files);
+  }
+
+  const items = [];
+  for (const entry of entries) {
+    await walkEntry(entry, items);
+  }
+  return items;
+};
+
+// Folder (no leading/trailing slash) a queued file should land in, given the
+// folder the user is browsing and the file's relative path
+export const targetFolderFor = (baseFolder, relativePath) => {
+  const base = (baseFolder || '').replace(/^\/+/, '').replace(/\/+$/, '');
+  const parts = relativePath.split('/').filter(Boolean);
+  parts.pop();
+  return [base, ...parts].filter(Boolean).join('/');
+};
@@ -0,0 +1,75 @@
+import { collectDroppedFiles, filesFromInput, isFileDrag, targetFolderFor } from './fileDrop';
+
+// Minimal FileSystemEntry tree; readEntries hands children out two at a time
+// like the batching browsers do
+const fileEntry = (fullPath) => ({
+  isFile: true,
+  isDirectory: false,
+  fullPath,
+  file: (resolve) => resolve({ name: fullPath.split('/').pop() }),
+});
+
+const dirEntry = (fullPath, children) => ({
+  isFile: false,
+  isDirectory: true,
+  fullPath,
+  createReader: () => {
+    let offset = 0;
+    return {
+      readEntries: (resolve) => {
+        const batch = children.slice(offset, offset + 2);
+        offset += batch.length;
+        resolve(batch);
+      },
+    };
+  },
+});
+
+const itemFor = (entry) => ({ kind: 'file', webkitGetAsEntry: () => entry });
+
+describe('filesFromInput', () => {
+  it('keeps the folder structure of a directory pick', () => {
+    const plain = { name: 'a.txt' };
+    const nested = { name: 'b.txt', webkitRelativePath: 'photos/2024/b.txt' };
+    expect(filesFromInput([plain, nested])).toEqual([
+      { file: plain, relativePath: 'a.txt' },
+      { file: nested, relativePath: 'photos/2024/b.txt' },
+    ]);
+    expect(filesFromInput(null)).toEqual([]);
+  });
+});
+
+describe('isFileDrag', () => {
+  it('only recognises drags carrying files', () => {
+    expect(isFileDrag({ types: ['Files'] })).toBe(true);
+    expect(isFileDrag({ types: ['text/plain'] })).toBe(false);
+    expect(isFileDrag(null)).toBe(false);
+  });
+});
+
+describe('collectDroppedFiles', () => {
+  it('descends into dropped folders, reading every batch', async () => {
+    const folder = dirEntry('/photos', [
+      fileEntry('/photos/1.jpg'),
+      fileEntry('/photos/2.jpg'),
+      dirEntry('/photos/2024', [fileEntry('/photos/2024/3.jpg')]),
+    ]);
+    const items = await collectDroppedFiles({ items: [itemFor(fileEntry('/top.txt')), itemFor(folder)] });
+    expect(items.map((i) => i.relativePath)).toEqual(['top.txt', 'photos/1.jpg', 'photos/2.jpg', 'photos/2024/3.jpg']);
+    expect(items[0].file).toEqual({ name: 'top.txt' });
+  });
+
+  it('falls back to the flat file list without entry support', async () => {
+    const file = { name: 'a.txt' };
+    const items = await collectDroppedFiles({ items: [{ kind: 'file' }], files: [file] });
+    expect(items).toEqual([{ file, relativePath: 'a.txt' }]);
+  });
+});
+
+describe('targetFolderFor', () => {
+  it('joins the browsed folder with the sub-folders of the relative path', () => {
+    expect(targetFolderFor('/docs/', 'photos/2024/img.jpg')).toBe('docs/photos/2024');
+    expect(targetFolderFor('', 'img.jpg')).toBe('');
+    expect(targetFolderFor(null, 'a/img.jpg')).toBe('a');
+  });
+});
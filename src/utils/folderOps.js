@@ -0,0 +1,134 @@
+import { walkFolder, filePathIn } from './folderWalk';
+import { normalizeFolder } from './route';
+
+// Folder move, rename and recursive delete. Blob storage has no real folders,
+// so each of these is really one request per blob under the prefix. They are
+// planned up front (the dry run), then executed as a list of steps whose
+// status is kept, so a partial failure can be resumed without redoing the
+// steps that already went through.
+//
+// step: { id, type, source, destination, status: 'pending' | 'done' | 'failed', error, collision }
+// type: 'createFolder' | 'moveFile' | 'deleteFile' | 'deleteFolder'
+// collision: a moveFile whose destination already holds a file
+
+export const FOLDER_OPERATION_LABELS = {
+  move: 'Move folder',
+  rename: 'Rename folder',
+  delete: 'Delete folder',
+};
+
+const STEP_CONCURRENCY = 4;
+
+const depth = (path) => path.split('/').length;
+
+// Problems that make an operation impossible before anything is listed
+export const validateFolderOperation = (kind, source, destination) => {
+  if (!source) return 'The root folder cannot be moved, renamed or deleted.';
+  if (kind === 'delete') return null;
+  if (!destination) return 'Choose a destination.';
+  if (destination === source) return 'The destination is the folder itself.';
+  if (destination.startsWith(`${source}/`)) return 'A folder cannot be moved into one of its own subfolders.';
+  return null;
+};
+
+// Every file path under `folder`; empty when the folder does not exist
+const existingFiles = async (folder, listFolder, signal) => {
+  const paths = new Set();
+  try {
+    for await (const page of walkFolder(folder, listFolder, { signal })) {
+      page.files.forEach((file) => paths.add(filePathIn(page.folder, file)));
+    }
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+  return paths;
+};
+
+// Walk `source` and turn it into steps; moves also list the destination so
+// files that would be overwritten are flagged. `onProgress({ folders, files })`
+// reports the walk, which is the slow part for big trees.
+export const planFolderOperation = async ({ kind, source, destination, listFolder, signal, onProgress }) => {
+  const from = normalizeFolder(source);
+  const to = normalizeFolder(destination);
+  const files = [];
+  const folders = [];
+  const hasChildren = new Set();
+
+  for await (const page of walkFolder(from, listFolder, { signal })) {
+    if (page.page === 0) folders.push(page.folder);
+    if (page.files.length > 0 || page.folders.length > 0) hasChildren.add(page.folder);
+    page.files.forEach((file) => files.push(filePathIn(page.folder, file)));
+    onProgress?.({ folders: folders.length, files: files.length });
+  }
+
+  const relocate = (path) => `${to}${path.slice(from.length)}`;
+  const steps = [];
+  if (kind !== 'delete') {
+    const taken = await existingFiles(to, listFolder, signal);
+    // Empty folders have no blob to carry them across, so recreate them
+    folders.filter((f) => !hasChildren.has(f))
+      .forEach((f) => steps.push({ type: 'createFolder', source: f, destination: relocate(f) }));
+    files.forEach((path) => steps.push({
+      type: 'moveFile',
+      source: path,
+      destination: relocate(path),
+      collision: taken.has(relocate(path)),
+    }));
+  } else {
+    files.forEach((path) => steps.push({ type: 'deleteFile', source: path }));
+  }
+  // Deepest first, so each folder is empty by the time it is removed
+  [...folders].sort((a, b) => depth(b) - depth(a))
+    .forEach((f) => steps.push({ type: 'deleteFolder', source: f }));
+
+  return steps.map((step, id) => ({
+    collision: false,
+    ...step,
+    id,
+    destination: step.destination ?? null,
+    status: 'pending',
+    error: null,
+  }));
+};
+
+// Folder removal is skipped while any blob step is unfinished: the folder
+// would not be empty yet
+const GROUPS = [['createFolder'], ['moveFile', 'deleteFile'], ['deleteFolder']];
+
+// Run (or resume) the unfinished steps in place. `execute(step, signal)`
+// performs one step; `onStep()` fires after each so callers can redraw. Resolves once every
+// runnable step has been tried or the signal aborts.
+export const runFolderSteps = async (steps, execute, { signal, onStep } = {}) => {
+  for (const [index, types] of GROUPS.entries()) {
+    const earlierFailed = steps.some((s) => GROUPS.slice(0, index).flat().includes(s.type) && s.status !== 'done');
+    if (earlierFailed) return;
+    const todo = steps.filter((s) => types.includes(s.type) && s.status !== 'done');
+    // Folders go one at a time to keep the deepest-first order
+    const concurrency = types.includes('deleteFolder') ? 1 : STEP_CONCURRENCY;
+    let next = 0;
+    const worker = async () => {
+      while (next < todo.length) {
+        if (signal?.aborted) return;
+        const step = todo[next++];
+        try {
+          await execute(step, signal);
+          step.status = 'done';
+          step.error = null;
+        } catch (error) {
+          if (signal?.aborted) return;
+          step.status = 'failed';
+          step.error = error.serverMessage || error.message || 'Unknown error';
+        }
+        onStep?.();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, todo.length) }, worker));
+    if (signal?.aborted) return;
+  }
+};
+
+export const summarizeSteps = (steps) => ({
+  total: steps.length,
+  done: steps.filter((s) => s.status === 'done').length,
+  failed: steps.filter((s) => s.status === 'failed'),
+});
@@ -0,0 +1,130 @@
+import { planFolderOperation, runFolderSteps, summarizeSteps, validateFolderOperation } from './folderOps';
+
+// src/
+//   a.txt
+//   sub/
+//     b.txt      (listed over two pages)
+//     c.txt
+//     empty/
+const LISTINGS = {
+  src: [{ files: [{ name: 'a.txt' }], folders: [{ path: 'src/sub' }] }],
+  'src/sub': [
+    { files: [{ name: 'b.txt' }], folders: [{ path: 'src/sub/empty' }], continuationToken: 'next' },
+    { files: [{ name: 'c.txt' }], folders: [] },
+  ],
+  'src/sub/empty': [{ files: [], folders: [] }],
+};
+
+const EMPTY = [{ files: [], folders: [] }];
+
+const listFolder = async (path, signal, continuationToken) => (LISTINGS[path] || EMPTY)[continuationToken ? 1 : 0];
+
+const plan = (kind, destination = null) => planFolderOperation({ kind, source: 'src', destination, listFolder });
+
+const brief = (steps) => steps.map((s) => [s.type, s.source, s.destination]);
+
+describe('validateFolderOperation', () => {
+  it('rejects the root, missing destinations and moves into the folder itself', () => {
+    expect(validateFolderOperation('delete', '', null)).toMatch(/root/);
+    expect(validateFolderOperation('move', 'src', '')).toMatch(/destination/);
+    expect(validateFolderOperation('move', 'src', 'src')).toMatch(/itself/);
+    expect(validateFolderOperation('move', 'src', 'src/sub/src')).toMatch(/subfolders/);
+  });
+
+  it('accepts a sibling that only shares a prefix', () => {
+    expect(validateFolderOperation('move', 'src', 'src-old/src')).toBeNull();
+    expect(validateFolderOperation('delete', 'src', null)).toBeNull();
+  });
+});
+
+describe('planFolderOperation', () => {
+  it('plans a move as empty folders, then files, then source folders deepest first', async () => {
+    const steps = await plan('move', 'dest');
+    expect(brief(steps)).toEqual([
+      ['createFolder', 'src/sub/empty', 'dest/sub/empty'],
+      ['moveFile', 'src/a.txt', 'dest/a.txt'],
+      ['moveFile', 'src/sub/b.txt', 'dest/sub/b.txt'],
+      ['moveFile', 'src/sub/c.txt', 'dest/sub/c.txt'],
+      ['deleteFolder', 'src/sub/empty', null],
+      ['deleteFolder', 'src/sub', null],
+      ['deleteFolder', 'src', null],
+    ]);
+    expect(steps.every((s) => s.status === 'pending')).toBe(true);
+    expect(steps.map((s) => s.id)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('flags moves onto files that already exist at the destination', async () => {
+    const withDest = {
+      ...LISTINGS,
+      dest: [{ files: [{ name: 'a.txt' }], folders: [{ path: 'dest/sub' }] }],
+      'dest/sub': [{ files: [{ name: 'c.txt' }], folders: [] }],
+    };
+    const steps = await planFolderOperation({
+      kind: 'move',
+      source: 'src',
+      destination: 'dest',
+      listFolder: async (path, signal, token) => (withDest[path] || EMPTY)[token ? 1 : 0],
+    });
+    expect(steps.filter((s) => s.collision).map((s) => s.destination)).toEqual(['dest/a.txt', 'dest/sub/c.txt']);
+  });
+
+  it('treats a destination that cannot be found as empty', async () => {
+    const missing = async (path, signal, token) => {
+      if (path === 'dest') throw Object.assign(new Error('Not found'), { status: 404 });
+      return listFolder(path, signal, token);
+    };
+    const steps = await planFolderOperation({ kind: 'move', source: 'src', destination: 'dest', listFolder: missing });
+    expect(steps.some((s) => s.collision)).toBe(false);
+  });
+
+  it('plans a delete as file deletes, then folders deepest first', async () => {
+    expect(brief(await plan('delete'))).toEqual([
+      ['deleteFile', 'src/a.txt', null],
+      ['deleteFile', 'src/sub/b.txt', null],
+      ['deleteFile', 'src/sub/c.txt', null],
+      ['deleteFolder', 'src/sub/empty', null],
+      ['deleteFolder', 'src/sub', null],
+      ['deleteFolder', 'src', null],
+    ]);
+  });
+});
+
+describe('runFolderSteps', () => {
+  it('skips folder removal while a file step has failed, then resumes only what is left', async () => {
+    const steps = await plan('delete');
+    const calls = [];
+    let failB = true;
+    const execute = async (step) => {
+      calls.push(step.source);
+      if (step.source === 'src/sub/b.txt' && failB) throw Object.assign(new Error('boom'), { serverMessage: 'Locked' });
+    };
+
+    await runFolderSteps(steps, execute);
+    const first = summarizeSteps(steps);
+    expect(first.done).toBe(2);
+    expect(first.failed.map((s) => [s.source, s.error])).toEqual([['src/sub/b.txt', 'Locked']]);
+    expect(calls.some((c) => !c.endsWith('.txt'))).toBe(false);
+
+    calls.length = 0;
+    failB = false;
+    steps.forEach((s) => { if (s.status === 'failed') s.status = 'pending'; });
+    await runFolderSteps(steps, execute);
+    expect(calls).toEqual(['src/sub/b.txt', 'src/sub/empty', 'src/sub', 'src']);
+    expect(summarizeSteps(steps)).toEqual({ total: 6, done: 6, failed: [] });
+  });
+
+  it('stops taking new steps once aborted and passes the signal to each step', async () => {
+    const steps = await plan('delete');
+    const controller = new AbortController();
+    const signals = [];
+    const execute = async (step, signal) => {
+      signals.push(signal);
+      controller.abort();
+    };
+
+    await runFolderSteps(steps, execute, { signal: controller.signal });
+    expect(signals.every((s) => s === controller.signal)).toBe(true);
+    expect(signals.length).toBeLessThan(steps.length);
+    expect(steps.some((s) => s.type === 'deleteFolder' && s.status === 'done')).toBe(false);
+  });
+});
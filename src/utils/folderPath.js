@@ -0,0 +1,106 @@
+import { normalizeFolder } from './route';
+
+// Folder paths typed by hand. Blob storage will happily create any prefix, so
+// anything that reaches a move or a create is checked here first.
+
+// Characters Windows refuses in names; rejecting them keeps synced and
+// downloaded copies usable everywhere
+const ILLEGAL_CHARACTERS = /[\\:*?"<>|]/;
+const MAX_SEGMENT_LENGTH = 255;
+const MAX_PATH_LENGTH = 1024;
+
+const isControlCharacter = (ch) => ch.charCodeAt(0) < 32 || ch.charCodeAt(0) === 127;
+
+// Why `name` cannot be a folder name, or null
+export const validateFolderName = (name) => {
+  if (!name.trim()) return 'Folder name cannot be empty.';
+  if (name.includes('/')) return 'Folder names cannot contain "/".';
+  if (ILLEGAL_CHARACTERS.test(name)) return 'Folder names cannot contain \\ : * ? " < > |';
+  if (Array.from(name).some(isControlCharacter)) return 'Folder names cannot contain control characters.';
+  if (name === '.' || name === '..') return `"${name}" is not a folder name.`;
+  if (/[. ]$/.test(name) || /^ /.test(name)) return 'Folder names cannot start with a space or end with a space or dot.';
+  if (name.length > MAX_SEGMENT_LENGTH) return `Folder names are limited to ${MAX_SEGMENT_LENGTH} characters.`;
+  return null;
+};
+
+// Why `path` cannot be a folder path, or null. '' (or '/') is the root.
+export const validateFolderPath = (path) => {
+  const folder = normalizeFolder(path);
+  if (folder.length > MAX_PATH_LENGTH) return `Folder paths are limited to ${MAX_PATH_LENGTH} characters.`;
+  const segments = folder.split('/').filter(Boolean);
+  for (const segment of segments) {
+    const problem = validateFolderName(segment);
+    if (problem) return `${problem.replace(/\.$/, '')} ("${segment}").`;
+  }
+  return null;
+};
+
+// Tree cache key for a folder path
+export const treeKey = (path) => normalizeFolder(path) || '/';
+
+export const parentOf = (path) => normalizeFolder(path).split('/').slice(0, -1).join('/');
+
+// Split what has been typed into the folder being browsed and the partial
+// name after the last slash: 'docs/rep' -> { parent: 'docs', partial: 'rep' }
+export const splitTyped = (typed) => {
+  const text = (typed || '').replace(/^\/+/, '');
+  const slash = text.lastIndexOf('/');
+  return {
+    parent: normalizeFolder(text.slice(0, slash + 1)),
+    partial: text.slice(slash + 1),
+  };
+};
+
+// Whether `path` is known to exist from what the tree cache has loaded:
+// 'exists', 'missing', or 'unknown' while the parent is unlisted or only
+// partly listed
+export const folderStatus = (path, treeCache) => {
+  const folder = normalizeFolder(path);
+  if (!folder) return 'exists';
+  const node = treeCache[treeKey(parentOf(folder))];
+  if (!node) return 'unknown';
+  if ((node.folders || []).some((f) => normalizeFolder(f.path) === folder)) return 'exists';
+  return node.continuationToken ? 'unknown' : 'missing';
+};
+
+// Folders from the cache to offer while typing, best matches first
+export const folderSuggestions = (typed, treeCache, limit = 8) => {
+  const { parent, partial } = splitTyped(typed);
+  const needle = partial.toLowerCase();
+  const folders = treeCache[treeKey(parent)]?.folders || [];
+  return folders
+    .filter((f) => f.name.toLowerCase().includes(needle))
+    .sort((a, b) => {
+      const aPrefix = a.name.toLowerCase().startsWith(needle);
+      const bPrefix = b.name.toLowerCase().startsWith(needle);
+      if (aPrefix !== bPrefix) return aPrefix ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    })
+    .slice(0, limit);
+};
+
+// The next folder to list so `path` can be checked and completed: the first
+// ancestor (root first, then `path` itself) missing from the cache. Null once
+// everything is loaded or a segment is known not to exist.
+export const nextUnlistedFolder = (path, treeCache) => {
+  const segments = normalizeFolder(path).split('/').filter(Boolean);
+  let current = '';
+  for (let i = 0; i <= segments.length; i += 1) {
+    const node = treeCache[treeKey(current)];
+    if (!node) return current;
+    if (i === segments.length) return null;
+    const next = [current, segments[i]].filter(Boolean).join('/');
+    if (!(node.folders || []).some((f) => normalizeFolder(f.path) === next)) return null;
+    current = next;
+  }
+  return null;
+};
+
+// Why `path` cannot be used as an existing folder right now, or null. Folders
+// the cache cannot vouch for either way are allowed.
+export const folderChoiceProblem = (path, treeCache) => {
+  const problem = validateFolderPath(path);
+  if (problem) return problem;
+  if (folderStatus(path, treeCache) === 'missing') return `There is no folder /${normalizeFolder(path)}.`;
+  return null;
+};
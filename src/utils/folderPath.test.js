@@ -0,0 +1,103 @@
+import {
+  folderChoiceProblem,
+  folderStatus,
+  folderSuggestions,
+  nextUnlistedFolder,
+  splitTyped,
+  validateFolderName,
+  validateFolderPath,
+} from './folderPath';
+
+const cache = {
+  '/': { folders: [{ name: 'docs', path: 'docs' }, { name: 'Data', path: 'Data' }, { name: 'media', path: 'media' }] },
+  docs: { folders: [{ name: 'reports', path: 'docs/reports' }] },
+  media: { folders: [{ name: 'photos', path: 'media/photos' }], continuationToken: 'more' },
+};
+
+describe('validateFolderName', () => {
+  it.each(['a:b', 'a*b', 'a?b', 'a"b', 'a<b', 'a>b', 'a|b', 'a\\b', 'a\u0001b', 'a\u001fb', 'a\u007fb', '.', '..', 'name.', 'name ', ' name', '', 'a/b'])(
+    'rejects %j',
+    (name) => {
+      expect(validateFolderName(name)).not.toBeNull();
+    }
+  );
+
+  it('accepts ordinary names, including dots and spaces inside', () => {
+    expect(validateFolderName('Q1 reports.v2')).toBeNull();
+  });
+
+  it('limits the length of a name', () => {
+    expect(validateFolderName('a'.repeat(255))).toBeNull();
+    expect(validateFolderName('a'.repeat(256))).not.toBeNull();
+  });
+});
+
+describe('validateFolderPath', () => {
+  it('accepts the root and slashes around the path', () => {
+    expect(validateFolderPath('')).toBeNull();
+    expect(validateFolderPath('/')).toBeNull();
+    expect(validateFolderPath('/docs/reports/')).toBeNull();
+  });
+
+  it('names the offending segment', () => {
+    expect(validateFolderPath('docs/a:b/c')).toMatch(/"a:b"/);
+    expect(validateFolderPath('docs/../c')).toMatch(/"\.\."/);
+  });
+});
+
+describe('splitTyped', () => {
+  it('separates the folder being browsed from the partial name', () => {
+    expect(splitTyped('docs/rep')).toEqual({ parent: 'docs', partial: 'rep' });
+    expect(splitTyped('/docs/')).toEqual({ parent: 'docs', partial: '' });
+    expect(splitTyped('do')).toEqual({ parent: '', partial: 'do' });
+  });
+});
+
+describe('folderStatus', () => {
+  it('knows folders listed in the cache', () => {
+    expect(folderStatus('', cache)).toBe('exists');
+    expect(folderStatus('docs/reports', cache)).toBe('exists');
+    expect(folderStatus('docs/typo', cache)).toBe('missing');
+  });
+
+  it('cannot tell when the parent is unlisted or only partly listed', () => {
+    expect(folderStatus('docs/reports/2024', cache)).toBe('unknown');
+    expect(folderStatus('media/videos', cache)).toBe('unknown');
+  });
+});
+
+describe('folderSuggestions', () => {
+  it('puts prefix matches first, case-insensitively', () => {
+    expect(folderSuggestions('d', cache).map((f) => f.path)).toEqual(['Data', 'docs', 'media']);
+    expect(folderSuggestions('DO', cache).map((f) => f.path)).toEqual(['docs']);
+  });
+
+  it('lists the children after a trailing slash', () => {
+    expect(folderSuggestions('docs/', cache).map((f) => f.path)).toEqual(['docs/reports']);
+  });
+
+  it('caps the number of suggestions', () => {
+    expect(folderSuggestions('', cache, 2)).toHaveLength(2);
+  });
+});
+
+describe('nextUnlistedFolder', () => {
+  it('returns the first folder along the path that has not been listed', () => {
+    expect(nextUnlistedFolder('docs/reports', cache)).toBe('docs/reports');
+    expect(nextUnlistedFolder('', {})).toBe('');
+  });
+
+  it('stops once the path is loaded or a segment does not exist', () => {
+    expect(nextUnlistedFolder('docs', cache)).toBeNull();
+    expect(nextUnlistedFolder('docs/typo/deeper', cache)).toBeNull();
+  });
+});
+
+describe('folderChoiceProblem', () => {
+  it('reports invalid and missing folders but allows unknown ones', () => {
+    expect(folderChoiceProblem('docs/a|b', cache)).toMatch(/cannot contain/);
+    expect(folderChoiceProblem('docs/typo', cache)).toBe('There is no folder /docs/typo.');
+    expect(folderChoiceProblem('media/videos', cache)).toBeNull();
+    expect(folderChoiceProblem('', cache)).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+// Recursively walk a folder using the regular `/api/files?folder=` listing.
+// `listFolder(path, signal, continuationToken)` must resolve to the listing
+// response data ({ currentPath, files, folders, continuationToken }). Yields
+// each page as soon as it arrives, breadth-first, so callers can stream
+// results; `page` is 0 for the first page of a folder.
+export async function* walkFolder(rootPath, listFolder, { signal } = {}) {
+  const queue = [rootPath === '/' ? '' : rootPath];
+  while (queue.length > 0) {
+    const folder = queue.shift();
+    let continuationToken;
+    let page = 0;
+    do {
+      signal?.throwIfAborted();
+      const data = await listFolder(folder, signal, continuationToken);
+      const folders = data?.folders || [];
+      folders.forEach((f) => queue.push(f.path));
+      yield { folder, page, files: data?.files || [], folders };
+      continuationToken = data?.continuationToken;
+      page += 1;
+    } while (continuationToken);
+  }
+}
+
+// Full blob path of a file entry from a listing of `folder`
+export const filePathIn = (folder, file) => {
+  if (file.fullPath) return file.fullPath;
+  return folder ? `${folder}/${file.name}` : file.name;
+};
+
+// Every file under a folder, as [{ file, path }]
+export const collectFolderFiles = async (rootPath, listFolder, options) => {
+  const results = [];
+  for await (const { folder, files } of walkFolder(rootPath, listFolder, options)) {
+    files.forEach((file) => results.push({ file, path: filePathIn(folder, file) }));
+  }
+  return results;
+};
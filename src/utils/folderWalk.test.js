@@ -0,0 +1,51 @@
+import { collectFolderFiles, filePathIn, walkFolder } from './folderWalk';
+
+// docs/ (two pages) -> docs/a/ -> docs/a/deep/
+const LISTINGS = {
+  docs: [
+    { files: [{ name: '1.txt' }], folders: [{ path: 'docs/a' }], continuationToken: 'p2' },
+    { files: [{ name: '2.txt', fullPath: 'docs/2.txt' }], folders: [] },
+  ],
+  'docs/a': [{ files: [{ name: '3.txt' }], folders: [{ path: 'docs/a/deep' }] }],
+  'docs/a/deep': [{ files: [{ name: '4.txt' }], folders: [] }],
+};
+
+const listFolder = async (path, signal, continuationToken) => LISTINGS[path][continuationToken ? 1 : 0];
+
+describe('walkFolder', () => {
+  it('yields every page breadth-first, following continuation tokens', async () => {
+    const pages = [];
+    for await (const page of walkFolder('docs', listFolder)) {
+      pages.push([page.folder, page.page, page.files.map((f) => f.name)]);
+    }
+    expect(pages).toEqual([
+      ['docs', 0, ['1.txt']],
+      ['docs', 1, ['2.txt']],
+      ['docs/a', 0, ['3.txt']],
+      ['docs/a/deep', 0, ['4.txt']],
+    ]);
+  });
+
+  it('stops before the next listing once the signal aborts', async () => {
+    const controller = new AbortController();
+    const walk = walkFolder('docs', listFolder, { signal: controller.signal });
+    await walk.next();
+    controller.abort();
+    await expect(walk.next()).rejects.toBeDefined();
+  });
+});
+
+describe('filePathIn', () => {
+  it('prefers the full path and handles the root', () => {
+    expect(filePathIn('docs', { name: 'a.txt' })).toBe('docs/a.txt');
+    expect(filePathIn('', { name: 'a.txt' })).toBe('a.txt');
+    expect(filePathIn('docs', { name: 'a.txt', fullPath: 'other/a.txt' })).toBe('other/a.txt');
+  });
+});
+
+describe('collectFolderFiles', () => {
+  it('lists every file under the folder with its full path', async () => {
+    const results = await collectFolderFiles('docs', listFolder);
+    expect(results.map((r) => r.path)).toEqual(['docs/1.txt', 'docs/2.txt', 'docs/a/3.txt', 'docs/a/deep/4.txt']);
+  });
+});
@@ -0,0 +1,22 @@
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+// Human-readable size, e.g. 1536 -> "1.5 KB"
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined || Number.isNaN(Number(bytes))) return '—';
+  let value = Number(bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(value < 10 ? 2 : 1)} ${BYTE_UNITS[unit]}`;
+};
+
+// Short duration, e.g. 3725 -> "1h 2m"
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return '—';
+  const s = Math.max(0, Math.round(seconds));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+};
@@ -0,0 +1,31 @@
+import { formatBytes, formatDuration } from './format';
+
+describe('formatBytes', () => {
+  it('scales to the largest whole unit', () => {
+    expect(formatBytes(0)).toBe('0 B');
+    expect(formatBytes(1023)).toBe('1023 B');
+    expect(formatBytes(1536)).toBe('1.50 KB');
+    expect(formatBytes(50 * 1024 * 1024)).toBe('50.0 MB');
+    expect(formatBytes(2 * 1024 ** 5)).toBe('2048.0 TB');
+  });
+
+  it('shows a dash for unknown sizes', () => {
+    expect(formatBytes(null)).toBe('—');
+    expect(formatBytes(undefined)).toBe('—');
+    expect(formatBytes('n/a')).toBe('—');
+  });
+});
+
+describe('formatDuration', () => {
+  it('uses the two largest units', () => {
+    expect(formatDuration(42.4)).toBe('42s');
+    expect(formatDuration(125)).toBe('2m 5s');
+    expect(formatDuration(3725)).toBe('1h 2m');
+  });
+
+  it('clamps negatives and shows a dash for unknown durations', () => {
+    expect(formatDuration(-5)).toBe('0s');
+    expect(formatDuration(null)).toBe('—');
+    expect(formatDuration(Infinity)).toBe('—');
+  });
+});
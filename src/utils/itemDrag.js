@@ -0,0 +1,30 @@
+// Dragging files and folders inside the app (as opposed to dropping files in
+// from the desktop, see fileDrop.js). The payload only identifies the drag;
+// during dragover browsers hide the data, so the owner keeps the dragged items
+// itself and checks targets with `dropProblem`.
+// item: { type: 'file' | 'folder', name, path } with full blob/folder paths
+
+export const ITEM_DRAG_TYPE = 'application/x-storage-items';
+
+export const isItemDrag = (dataTransfer) => Array.from(dataTransfer?.types || []).includes(ITEM_DRAG_TYPE);
+
+export const setItemDragData = (dataTransfer, items) => {
+  dataTransfer.setData(ITEM_DRAG_TYPE, JSON.stringify(items.map((item) => item.path)));
+  // Plain text too, so dropping on another app gives something sensible
+  dataTransfer.setData('text/plain', items.map((item) => item.path).join('\n'));
+  dataTransfer.effectAllowed = 'move';
+};
+
+const parentOf = (path) => path.split('/').slice(0, -1).join('/');
+
+// Why `items` can't be dropped into `target` ('' is the root), or null if they can
+export const dropProblem = (items, target) => {
+  if (!items || items.length === 0) return 'Nothing to move.';
+  const folders = items.filter((item) => item.type === 'folder');
+  if (folders.length > 0 && items.length > 1) return 'Drag folders one at a time.';
+  if (folders.some((f) => target === f.path || target.startsWith(`${f.path}/`))) {
+    return 'A folder cannot be moved into itself.';
+  }
+  if (items.every((item) => parentOf(item.path) === target)) return 'Already in this folder.';
+  return null;
+};
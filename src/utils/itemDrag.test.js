@@ -0,0 +1,40 @@
+import { ITEM_DRAG_TYPE, dropProblem, isItemDrag, setItemDragData } from './itemDrag';
+
+const file = (path) => ({ type: 'file', name: path.split('/').pop(), path });
+const folder = (path) => ({ type: 'folder', name: path.split('/').pop(), path });
+
+describe('setItemDragData and isItemDrag', () => {
+  it('marks the drag as ours and adds the paths as plain text', () => {
+    const data = {};
+    const dataTransfer = { setData: (type, value) => { data[type] = value; } };
+    setItemDragData(dataTransfer, [file('a/1.txt'), file('a/2.txt')]);
+    expect(JSON.parse(data[ITEM_DRAG_TYPE])).toEqual(['a/1.txt', 'a/2.txt']);
+    expect(data['text/plain']).toBe('a/1.txt\na/2.txt');
+    expect(dataTransfer.effectAllowed).toBe('move');
+
+    expect(isItemDrag({ types: [ITEM_DRAG_TYPE, 'text/plain'] })).toBe(true);
+    expect(isItemDrag({ types: ['Files'] })).toBe(false);
+    expect(isItemDrag(undefined)).toBe(false);
+  });
+});
+
+describe('dropProblem', () => {
+  it('allows moving files and a single folder elsewhere', () => {
+    expect(dropProblem([file('a/1.txt'), file('b/2.txt')], 'b')).toBeNull();
+    expect(dropProblem([folder('a/x')], '')).toBeNull();
+    expect(dropProblem([folder('a/x')], 'a/xy')).toBeNull();
+  });
+
+  it('refuses empty drags, several folders and drops that change nothing', () => {
+    expect(dropProblem([], 'b')).toMatch(/Nothing/);
+    expect(dropProblem(null, 'b')).toMatch(/Nothing/);
+    expect(dropProblem([folder('a'), file('b.txt')], 'c')).toMatch(/one at a time/);
+    expect(dropProblem([file('a/1.txt')], 'a')).toMatch(/Already/);
+    expect(dropProblem([file('1.txt')], '')).toMatch(/Already/);
+  });
+
+  it('refuses moving a folder into itself or below it', () => {
+    expect(dropProblem([folder('a/x')], 'a/x')).toMatch(/itself/);
+    expect(dropProblem([folder('a/x')], 'a/x/deeper')).toMatch(/itself/);
+  });
+});
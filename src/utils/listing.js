@@ -0,0 +1,76 @@
+// Sorting, filtering and column discovery for the folder listing table.
+// Items are { type: 'folder' | 'file', key, name, path, folder?, file? }.
+
+export const LISTING_PAGE_SIZE = Number(process.env.REACT_APP_LISTING_PAGE_SIZE) || 500;
+
+// Query string for one page of `/api/files`. The API returns a
+// `continuationToken` with the page while more entries remain.
+export const listingQuery = (folderPath, continuationToken) => {
+  const params = new URLSearchParams({ pageSize: String(LISTING_PAGE_SIZE) });
+  if (folderPath && folderPath !== '/') params.set('folder', folderPath);
+  if (continuationToken) params.set('continuationToken', continuationToken);
+  return `?${params.toString()}`;
+};
+
+// Append a later page of folders, skipping any already present
+export const mergeFolders = (existing, incoming) => {
+  const seen = new Set(existing.map((f) => f.path));
+  return [...existing, ...incoming.filter((f) => !seen.has(f.path))];
+};
+
+// Fields shown in fixed columns or used internally; anything else on a file
+// returned by /api/files gets its own column.
+const KNOWN_FIELDS = new Set(['name', 'fullPath', 'path', 'type', 'size', 'lastModified', 'contentType', 'children']);
+
+export const metadataColumns = (files) => {
+  const keys = new Set();
+  files.forEach((file) => {
+    Object.entries(file).forEach(([key, value]) => {
+      if (KNOWN_FIELDS.has(key)) return;
+      if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) keys.add(key);
+    });
+  });
+  return Array.from(keys).sort();
+};
+
+// Raw value of a column for an item (folders have no size, so sort by child count)
+export const columnValue = (item, key) => {
+  const source = item.type === 'folder' ? item.folder : item.file;
+  if (key === 'name') return item.name;
+  if (key === 'size') return item.type === 'folder' ? source?.children : source?.size;
+  if (key === 'lastModified') {
+    const time = source?.lastModified ? Date.parse(source.lastModified) : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+  return source?.[key];
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const compareValues = (a, b) => {
+  // Missing values always sort last, whatever the direction
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return collator.compare(String(a), String(b));
+};
+
+// Folders always stay above files; each group is sorted by the chosen column
+export const sortItems = (items, { key, direction }) => {
+  const dir = direction === 'desc' ? -1 : 1;
+  return [...items].sort((a, b) => {
+    if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+    const av = columnValue(a, key);
+    const bv = columnValue(b, key);
+    if (av === null || av === undefined || bv === null || bv === undefined) return compareValues(av, bv);
+    return dir * compareValues(av, bv);
+  });
+};
+
+// Case-insensitive match on name or content type
+export const filterItems = (items, text) => {
+  const query = text.trim().toLowerCase();
+  if (!query) return items;
+  return items.filter((item) => item.name.toLowerCase().includes(query)
+    || (item.file?.contentType || '').toLowerCase().includes(query));
+};
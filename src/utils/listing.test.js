@@ -0,0 +1,63 @@
+import { LISTING_PAGE_SIZE, columnValue, filterItems, listingQuery, mergeFolders, metadataColumns, sortItems } from './listing';
+
+const folder = (name, children) => ({ type: 'folder', key: `d:${name}`, name, path: name, folder: { name, children } });
+const file = (name, extra = {}) => ({ type: 'file', key: `f:${name}`, name, path: name, file: { name, ...extra } });
+
+describe('listingQuery', () => {
+  it('pages the folder and carries the continuation token', () => {
+    expect(listingQuery('/', null)).toBe(`?pageSize=${LISTING_PAGE_SIZE}`);
+    expect(listingQuery('docs/a b', 'tok+1')).toBe(`?pageSize=${LISTING_PAGE_SIZE}&folder=docs%2Fa+b&continuationToken=tok%2B1`);
+  });
+});
+
+describe('mergeFolders', () => {
+  it('appends only folders not already listed', () => {
+    expect(mergeFolders([{ path: 'a' }], [{ path: 'a' }, { path: 'b' }])).toEqual([{ path: 'a' }, { path: 'b' }]);
+  });
+});
+
+describe('metadataColumns', () => {
+  it('lists extra scalar fields once, sorted', () => {
+    const files = [
+      { name: 'a', size: 1, owner: 'x', tags: ['t'] },
+      { name: 'b', project: null, owner: 'y', approved: true },
+    ];
+    expect(metadataColumns(files)).toEqual(['approved', 'owner', 'project']);
+  });
+});
+
+describe('columnValue', () => {
+  it('uses child counts for folder sizes and timestamps for dates', () => {
+    expect(columnValue(folder('d', 3), 'size')).toBe(3);
+    expect(columnValue(file('f', { size: 10 }), 'size')).toBe(10);
+    expect(columnValue(file('f', { lastModified: '2024-01-02T00:00:00Z' }), 'lastModified')).toBe(Date.parse('2024-01-02T00:00:00Z'));
+    expect(columnValue(file('f', { lastModified: 'garbage' }), 'lastModified')).toBeNull();
+  });
+});
+
+describe('sortItems', () => {
+  const items = [file('b10.txt', { size: 5 }), folder('zeta', 1), file('b2.txt'), file('A.txt', { size: 9 }), folder('alpha', 4)];
+
+  it('keeps folders first and compares names naturally', () => {
+    expect(sortItems(items, { key: 'name', direction: 'asc' }).map((i) => i.name))
+      .toEqual(['alpha', 'zeta', 'A.txt', 'b2.txt', 'b10.txt']);
+    expect(sortItems(items, { key: 'name', direction: 'desc' }).map((i) => i.name))
+      .toEqual(['zeta', 'alpha', 'b10.txt', 'b2.txt', 'A.txt']);
+  });
+
+  it('puts missing values last in either direction', () => {
+    expect(sortItems(items, { key: 'size', direction: 'desc' }).map((i) => i.name))
+      .toEqual(['alpha', 'zeta', 'A.txt', 'b10.txt', 'b2.txt']);
+    expect(sortItems(items, { key: 'size', direction: 'asc' }).map((i) => i.name))
+      .toEqual(['zeta', 'alpha', 'b10.txt', 'A.txt', 'b2.txt']);
+  });
+});
+
+describe('filterItems', () => {
+  it('matches names or content types, ignoring case', () => {
+    const items = [file('Report.pdf'), file('photo', { contentType: 'image/png' }), folder('Reports', 0)];
+    expect(filterItems(items, ' report ').map((i) => i.name)).toEqual(['Report.pdf', 'Reports']);
+    expect(filterItems(items, 'PNG').map((i) => i.name)).toEqual(['photo']);
+    expect(filterItems(items, '  ')).toBe(items);
+  });
+});
@@ -0,0 +1,46 @@
+import { parentOf, treeKey } from './folderPath';
+import { normalizeFolder } from './route';
+
+// Folder-scoped permissions. The listing reports the caller's effective
+// permissions on the folder (`permissions: { read, write, delete }`) and may
+// override them per file or subfolder. APIs that send neither fall back to the
+// container-wide roles.
+
+export const PERMISSION_KINDS = ['read', 'write', 'delete'];
+
+const normalize = (permissions) => ({
+  read: Boolean(permissions.read),
+  write: Boolean(permissions.write),
+  delete: Boolean(permissions.delete),
+});
+
+export const permissionsFromRoles = (roles) => ({
+  read: Boolean(roles.isReader || roles.isUploader || roles.isAdmin),
+  write: Boolean(roles.isUploader),
+  delete: Boolean(roles.isUploader),
+});
+
+export const folderPermissions = (listingPermissions, roles) => (listingPermissions
+  ? normalize(listingPermissions)
+  : permissionsFromRoles(roles));
+
+// Permissions for a list item ({ type, folder | file }); items without their own
+// inherit the folder's
+export const itemPermissions = (item, inherited) => {
+  const own = (item.type === 'folder' ? item.folder : item.file)?.permissions;
+  return own ? normalize(own) : inherited;
+};
+
+// Permissions on any folder the tree cache has seen: its own listing's, else
+// its entry in the parent listing, else whatever it inherits from the parent
+export const cachedFolderPermissions = (path, treeCache, roles) => {
+  const folder = normalizeFolder(path);
+  const own = treeCache[treeKey(folder)]?.permissions;
+  if (own) return normalize(own);
+  if (!folder) return permissionsFromRoles(roles);
+  const parent = parentOf(folder);
+  const entry = (treeCache[treeKey(parent)]?.folders || []).find((f) => normalizeFolder(f.path) === folder);
+  return entry?.permissions ? normalize(entry.permissions) : cachedFolderPermissions(parent, treeCache, roles);
+};
+
+export const permissionDeniedMessage = (kind) => `You do not have ${kind} permission here.`;
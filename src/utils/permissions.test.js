@@ -0,0 +1,68 @@
+import {
+  cachedFolderPermissions,
+  folderPermissions,
+  itemPermissions,
+  permissionDeniedMessage,
+  permissionsFromRoles,
+} from './permissions';
+
+const READ_ONLY = { read: true, write: false, delete: false };
+const FULL = { read: true, write: true, delete: true };
+const UPLOADER = { isUploader: true };
+
+describe('permissionsFromRoles', () => {
+  it('lets readers read and uploaders change things', () => {
+    expect(permissionsFromRoles({ isReader: true })).toEqual(READ_ONLY);
+    expect(permissionsFromRoles({ isAdmin: true })).toEqual(READ_ONLY);
+    expect(permissionsFromRoles(UPLOADER)).toEqual(FULL);
+    expect(permissionsFromRoles({})).toEqual({ read: false, write: false, delete: false });
+  });
+});
+
+describe('folderPermissions', () => {
+  it("prefers the listing's permissions over the roles", () => {
+    expect(folderPermissions({ read: 1, write: 0 }, UPLOADER)).toEqual(READ_ONLY);
+    expect(folderPermissions(null, UPLOADER)).toEqual(FULL);
+  });
+});
+
+describe('itemPermissions', () => {
+  it('uses an item override or inherits the folder', () => {
+    expect(itemPermissions({ type: 'file', file: { permissions: { read: true } } }, FULL)).toEqual(READ_ONLY);
+    expect(itemPermissions({ type: 'folder', folder: { permissions: FULL } }, READ_ONLY)).toEqual(FULL);
+    expect(itemPermissions({ type: 'file', file: {} }, READ_ONLY)).toBe(READ_ONLY);
+  });
+});
+
+describe('permissionDeniedMessage', () => {
+  it('names the missing permission', () => {
+    expect(permissionDeniedMessage('delete')).toBe('You do not have delete permission here.');
+  });
+});
+
+describe('cachedFolderPermissions', () => {
+  const treeCache = {
+    '/': {
+      folders: [{ path: 'locked', permissions: READ_ONLY }, { path: 'open' }],
+      permissions: FULL,
+    },
+    locked: { folders: [{ path: 'locked/inner' }] },
+    open: { folders: [], permissions: READ_ONLY },
+  };
+
+  it("prefers the folder's own listing over its entry in the parent", () => {
+    expect(cachedFolderPermissions('open', treeCache, UPLOADER)).toEqual(READ_ONLY);
+    expect(cachedFolderPermissions('/', treeCache, UPLOADER)).toEqual(FULL);
+  });
+
+  it('uses the entry in the parent listing, then inherits down the tree', () => {
+    expect(cachedFolderPermissions('locked', treeCache, UPLOADER)).toEqual(READ_ONLY);
+    expect(cachedFolderPermissions('locked/inner', treeCache, UPLOADER)).toEqual(READ_ONLY);
+    expect(cachedFolderPermissions('/locked/inner/unseen/', treeCache, UPLOADER)).toEqual(READ_ONLY);
+  });
+
+  it('falls back to the roles when no listing says anything', () => {
+    expect(cachedFolderPermissions('anything', {}, UPLOADER)).toEqual(FULL);
+    expect(cachedFolderPermissions('anything', {}, { isReader: true })).toEqual(READ_ONLY);
+  });
+});
@@ -0,0 +1,75 @@
+// Decide how a file can be previewed and fetch just enough of it to do so.
+
+export const PREVIEW_TEXT_BYTES = 256 * 1024; // text-like files: first 256 KB only
+export const PREVIEW_MAX_BINARY_BYTES = 25 * 1024 * 1024; // images and PDFs are fetched whole
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg', 'ico'];
+const TEXT_EXTENSIONS = [
+  'txt', 'log', 'md', 'xml', 'yaml', 'yml', 'ini', 'conf', 'cfg', 'env', 'sh', 'ps1', 'py',
+  'js', 'jsx', 'ts', 'tsx', 'css', 'html', 'sql', 'cs', 'java', 'go', 'rb', 'toml', 'properties',
+];
+
+const extensionOf = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+// 'image' | 'pdf' | 'csv' | 'json' | 'text' | null
+export const previewKind = (file) => {
+  const ext = extensionOf(file.name);
+  const type = (file.contentType || '').toLowerCase();
+  if (IMAGE_EXTENSIONS.includes(ext) || type.startsWith('image/')) return 'image';
+  if (ext === 'pdf' || type === 'application/pdf') return 'pdf';
+  if (ext === 'csv' || ext === 'tsv' || type === 'text/csv') return 'csv';
+  if (ext === 'json' || ext === 'jsonl' || type === 'application/json') return 'json';
+  if (TEXT_EXTENSIONS.includes(ext) || type.startsWith('text/')) return 'text';
+  return null;
+};
+
+// highlight.js language for a file, or null to auto-detect
+export const highlightLanguage = (file) => {
+  const ext = extensionOf(file.name);
+  const aliases = {
+    yml: 'yaml', ps1: 'powershell', sh: 'bash', env: 'ini', conf: 'ini', cfg: 'ini',
+    properties: 'ini', html: 'xml', jsx: 'javascript', js: 'javascript', ts: 'typescript',
+    tsx: 'typescript', py: 'python', cs: 'csharp', md: 'markdown', rb: 'ruby', jsonl: 'json',
+  };
+  return aliases[ext] || ext || null;
+};
+
+// Fetch at most `maxBytes` from the start of a blob. Asks for a byte range and,
+// in case the server ignores it, stops reading once enough has arrived.
+export const fetchHead = async (url, maxBytes, signal) => {
+  const response = await fetch(url, {
+    headers: { Range: `bytes=0-${maxBytes - 1}` },
+    signal,
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const totalHeader = response.headers.get('content-range')?.split('/')[1];
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.byteLength;
+  }
+  await reader.cancel().catch(() => {});
+
+  const bytes = new Uint8Array(Math.min(received, maxBytes));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const slice = chunk.subarray(0, bytes.length - offset);
+    bytes.set(slice, offset);
+    offset += slice.byteLength;
+    if (offset >= bytes.length) break;
+  }
+  const totalBytes = totalHeader && totalHeader !== '*' ? Number(totalHeader) : null;
+  return {
+    bytes,
+    truncated: totalBytes !== null ? totalBytes > bytes.length : received >= maxBytes,
+    totalBytes,
+  };
+};
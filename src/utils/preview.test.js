@@ -0,0 +1,73 @@
+import { fetchHead, highlightLanguage, previewKind } from './preview';
+
+describe('previewKind', () => {
+  it.each([
+    ['photo.JPG', undefined, 'image'],
+    ['scan', 'image/tiff', 'image'],
+    ['report.pdf', undefined, 'pdf'],
+    ['data.tsv', undefined, 'csv'],
+    ['events.jsonl', undefined, 'json'],
+    ['deploy.ps1', undefined, 'text'],
+    ['notes', 'text/plain', 'text'],
+    ['archive.zip', 'application/zip', null],
+  ])('%s (%s) -> %s', (name, contentType, kind) => {
+    expect(previewKind({ name, contentType })).toBe(kind);
+  });
+});
+
+describe('highlightLanguage', () => {
+  it('maps extensions to highlight.js names', () => {
+    expect(highlightLanguage({ name: 'a.yml' })).toBe('yaml');
+    expect(highlightLanguage({ name: 'a.go' })).toBe('go');
+    expect(highlightLanguage({ name: 'Makefile' })).toBeNull();
+  });
+});
+
+describe('fetchHead', () => {
+  // Serves `chunks` one read at a time, remembering whether it was cancelled
+  const fakeResponse = (chunks, { status = 206, contentRange = null } = {}) => {
+    const body = { cancelled: false };
+    body.getReader = () => ({
+      read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }),
+      cancel: async () => { body.cancelled = true; },
+    });
+    return {
+      ok: status < 400,
+      status,
+      headers: { get: (name) => (name === 'content-range' ? contentRange : null) },
+      body,
+    };
+  };
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('asks for a byte range and reports the total from Content-Range', async () => {
+    const response = fakeResponse([new Uint8Array([1, 2, 3, 4])], { contentRange: 'bytes 0-3/100' });
+    global.fetch = jest.fn(async () => response);
+    const head = await fetchHead('https://blob.test/a', 4);
+    expect(global.fetch).toHaveBeenCalledWith('https://blob.test/a', expect.objectContaining({ headers: { Range: 'bytes=0-3' } }));
+    expect(Array.from(head.bytes)).toEqual([1, 2, 3, 4]);
+    expect(head).toMatchObject({ truncated: true, totalBytes: 100 });
+  });
+
+  it('stops reading once enough has arrived when the range is ignored', async () => {
+    const response = fakeResponse([new Uint8Array([1, 2, 3]), new Uint8Array([4, 5, 6]), new Uint8Array([7])], { status: 200 });
+    global.fetch = async () => response;
+    const head = await fetchHead('https://blob.test/a', 4);
+    expect(Array.from(head.bytes)).toEqual([1, 2, 3, 4]);
+    expect(head).toMatchObject({ truncated: true, totalBytes: null });
+    expect(response.body.cancelled).toBe(true);
+  });
+
+  it('reports a small file as complete', async () => {
+    global.fetch = async () => fakeResponse([new Uint8Array([1, 2])], { contentRange: 'bytes 0-1/2' });
+    expect(await fetchHead('https://blob.test/a', 4)).toMatchObject({ truncated: false, totalBytes: 2 });
+  });
+
+  it('throws on an error status', async () => {
+    global.fetch = async () => fakeResponse([], { status: 404 });
+    await expect(fetchHead('https://blob.test/a', 4)).rejects.toThrow('HTTP 404');
+  });
+});
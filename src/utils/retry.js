@@ -0,0 +1,39 @@
+// Shared backoff helpers for API calls and chunk uploads
+
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+// Settles like `promise`, or rejects with the abort reason as soon as `signal`
+// fires; the promise itself carries on for anyone else waiting on it
+export const untilAborted = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// Network failures, throttling and server errors are worth retrying; other 4xx are not
+export const isRetryable = (error) => {
+  const status = error?.status ?? error?.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+// Honour Retry-After when the server sends it, otherwise exponential backoff
+export const retryDelay = (error, attempt) => {
+  const retryAfter = Number(error?.response?.headers?.['retry-after']);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  // Jitter so parallel requests don't retry in lockstep
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
@@ -0,0 +1,84 @@
+import { isRetryable, retryDelay, sleep, untilAborted } from './retry';
+
+describe('isRetryable', () => {
+  it.each([
+    [{}, true],
+    [{ status: 408 }, true],
+    [{ status: 429 }, true],
+    [{ response: { status: 503 } }, true],
+    [{ status: 400 }, false],
+    [{ response: { status: 404 } }, false],
+  ])('%j -> %s', (error, expected) => {
+    expect(isRetryable(error)).toBe(expected);
+  });
+});
+
+describe('retryDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('honours Retry-After, capped at 30 seconds', () => {
+    expect(retryDelay({ response: { headers: { 'retry-after': '2' } } }, 0)).toBe(2000);
+    expect(retryDelay({ response: { headers: { 'retry-after': '120' } } }, 0)).toBe(30000);
+  });
+
+  it('backs off exponentially with jitter in the upper half', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect([0, 1, 2, 10].map((attempt) => retryDelay({}, attempt))).toEqual([500, 1000, 2000, 15000]);
+    Math.random.mockReturnValue(0.999);
+    expect(retryDelay({}, 2)).toBeCloseTo(4000, -1);
+  });
+});
+
+describe('sleep', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('resolves after the delay', async () => {
+    const done = jest.fn();
+    sleep(1000).then(done);
+    jest.advanceTimersByTime(999);
+    await Promise.resolve();
+    expect(done).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    await Promise.resolve();
+    expect(done).toHaveBeenCalled();
+  });
+
+  it('rejects as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const waiting = sleep(60000, controller.signal);
+    controller.abort();
+    await expect(waiting).rejects.toBe(controller.signal.reason);
+  });
+});
+
+describe('untilAborted', () => {
+  it('settles like the promise while the signal is quiet', async () => {
+    await expect(untilAborted(Promise.resolve('token'), new AbortController().signal)).resolves.toBe('token');
+    await expect(untilAborted(Promise.reject(new Error('no')), null)).rejects.toThrow('no');
+  });
+
+  it('gives up on the abort without settling the shared promise', async () => {
+    const controller = new AbortController();
+    let resolve;
+    const shared = new Promise((res) => { resolve = res; });
+    const waiting = untilAborted(shared, controller.signal);
+    controller.abort();
+    await expect(waiting).rejects.toBe(controller.signal.reason);
+    resolve('later');
+    await expect(shared).resolves.toBe('later');
+  });
+
+  it('rejects straight away for an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(untilAborted(new Promise(() => {}), controller.signal)).rejects.toBe(controller.signal.reason);
+  });
+});
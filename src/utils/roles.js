@@ -0,0 +1,85 @@
+// Resolve what the signed-in user may do from their API access token. Access is
+// granted by app roles (the `roles` claim) or by group membership (the `groups`
+// claim); either is enough. Never log the claims themselves: group ids and role
+// assignments are directory data.
+
+const ROLE_SETTINGS = {
+  isReader: {
+    appRole: process.env.REACT_APP_READER_ROLE || 'Reader',
+    groupId: process.env.REACT_APP_READER_GROUP_ID,
+  },
+  isUploader: {
+    appRole: process.env.REACT_APP_UPLOADER_ROLE || 'Uploader',
+    groupId: process.env.REACT_APP_UPLOADER_GROUP_ID,
+  },
+  isAdmin: {
+    appRole: process.env.REACT_APP_ADMIN_ROLE || 'Admin',
+    groupId: process.env.REACT_APP_ADMIN_GROUP_ID,
+  },
+};
+
+export const NO_ROLES = { isReader: false, isUploader: false, isAdmin: false };
+
+export const hasAnyRole = (roles) => Boolean(roles?.isReader || roles?.isUploader || roles?.isAdmin);
+
+export const decodeTokenClaims = (token) => {
+  const base64Url = token.split('.')[1];
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  const jsonPayload = decodeURIComponent(
+    atob(base64)
+      .split('')
+      .map((c) => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2))
+      .join('')
+  );
+  return JSON.parse(jsonPayload);
+};
+
+// Roles granted by app-role values and/or group ids
+export const rolesFrom = ({ roles = [], groups = [] }) => Object.fromEntries(
+  Object.entries(ROLE_SETTINGS).map(([flag, { appRole, groupId }]) => [
+    flag,
+    roles.includes(appRole) || Boolean(groupId && groups.includes(groupId)),
+  ])
+);
+
+// Entra ID swaps the groups claim for a `_claim_names` pointer (or `hasgroups`
+// in implicit-flow tokens) once a user is in too many groups to list
+export const hasGroupOverage = (claims) => Boolean(claims?._claim_names?.groups || claims?.hasgroups);
+
+// Effective permissions as returned by the API: either role flags or raw
+// { roles, groups } to match against our settings
+const rolesFromPermissions = (permissions) => {
+  if (!permissions) return NO_ROLES;
+  if (['isReader', 'isUploader', 'isAdmin'].some((flag) => typeof permissions[flag] === 'boolean')) {
+    return {
+      isReader: Boolean(permissions.isReader),
+      isUploader: Boolean(permissions.isUploader),
+      isAdmin: Boolean(permissions.isAdmin),
+    };
+  }
+  return rolesFrom({ roles: permissions.roles || [], groups: permissions.groups || [] });
+};
+
+// `fetchPermissions()` is only called on group overage, when the token alone
+// can't say which of our groups the user is in. If that lookup fails the
+// token's own roles still count; the error comes back as `lookupError` so the
+// caller can explain why nothing was granted.
+export const resolveUserRoles = async (token, { fetchPermissions }) => {
+  const claims = decodeTokenClaims(token);
+  const fromToken = rolesFrom({ roles: claims.roles || [], groups: claims.groups || [] });
+  if (!hasGroupOverage(claims)) return { ...fromToken, source: 'token' };
+
+  let permissions;
+  try {
+    permissions = await fetchPermissions();
+  } catch (error) {
+    return { ...fromToken, source: 'token', lookupError: error };
+  }
+  const fromApi = rolesFromPermissions(permissions);
+  return {
+    isReader: fromToken.isReader || fromApi.isReader,
+    isUploader: fromToken.isUploader || fromApi.isUploader,
+    isAdmin: fromToken.isAdmin || fromApi.isAdmin,
+    source: 'api',
+  };
+};
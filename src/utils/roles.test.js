@@ -0,0 +1,63 @@
+import { NO_ROLES, decodeTokenClaims, hasAnyRole, hasGroupOverage, resolveUserRoles, rolesFrom } from './roles';
+
+// Unsigned JWT carrying `claims`; only the payload is ever read
+const tokenWith = (claims) => {
+  const payload = btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(claims))))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `header.${payload}.signature`;
+};
+
+const OVERAGE = { _claim_names: { groups: 'src1' } };
+
+describe('decodeTokenClaims', () => {
+  it('reads a base64url payload, including non-ASCII names', () => {
+    expect(decodeTokenClaims(tokenWith({ name: 'Zoë ~?>', roles: ['Reader'] }))).toEqual({ name: 'Zoë ~?>', roles: ['Reader'] });
+  });
+});
+
+describe('rolesFrom', () => {
+  it('grants each role its app-role value', () => {
+    expect(rolesFrom({ roles: ['Uploader'] })).toEqual({ isReader: false, isUploader: true, isAdmin: false });
+    expect(rolesFrom({})).toEqual(NO_ROLES);
+    expect(hasAnyRole(rolesFrom({ roles: ['Admin'] }))).toBe(true);
+    expect(hasAnyRole(NO_ROLES)).toBe(false);
+  });
+});
+
+describe('hasGroupOverage', () => {
+  it('spots both overage markers', () => {
+    expect(hasGroupOverage(OVERAGE)).toBe(true);
+    expect(hasGroupOverage({ hasgroups: true })).toBe(true);
+    expect(hasGroupOverage({ groups: [] })).toBe(false);
+  });
+});
+
+describe('resolveUserRoles', () => {
+  it('uses the token alone without overage', async () => {
+    const fetchPermissions = jest.fn();
+    const roles = await resolveUserRoles(tokenWith({ roles: ['Reader'] }), { fetchPermissions });
+    expect(roles).toEqual({ isReader: true, isUploader: false, isAdmin: false, source: 'token' });
+    expect(fetchPermissions).not.toHaveBeenCalled();
+  });
+
+  it('adds what the API reports on overage', async () => {
+    const roles = await resolveUserRoles(tokenWith({ ...OVERAGE, roles: ['Reader'] }), {
+      fetchPermissions: async () => ({ isUploader: true }),
+    });
+    expect(roles).toEqual({ isReader: true, isUploader: true, isAdmin: false, source: 'api' });
+  });
+
+  it('matches raw roles from the API against the settings', async () => {
+    const roles = await resolveUserRoles(tokenWith(OVERAGE), { fetchPermissions: async () => ({ roles: ['Admin'] }) });
+    expect(roles).toMatchObject({ isAdmin: true, source: 'api' });
+  });
+
+  it('keeps the token roles when the lookup fails', async () => {
+    const failure = new Error('unreachable');
+    const roles = await resolveUserRoles(tokenWith({ ...OVERAGE, roles: ['Reader'] }), {
+      fetchPermissions: async () => { throw failure; },
+    });
+    expect(roles).toEqual({ isReader: true, isUploader: false, isAdmin: false, source: 'token', lookupError: failure });
+    expect(hasAnyRole(roles)).toBe(true);
+  });
+});
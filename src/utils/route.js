@@ -0,0 +1,58 @@
+// The browser URL mirrors what is on screen so views can be bookmarked, shared
+// and walked with back/forward. Hash routing keeps it working on static hosting
+// without rewrite rules:
+//   #/<folder path>?preview=<file path>&q=<search>&ext=...&scope=current
+// `view` selects an admin page (e.g. view=usage) in place of the file browser.
+
+// Search form fields and their URL parameters, in form order
+const SEARCH_PARAMS = {
+  query: 'q',
+  extensions: 'ext',
+  minSizeMb: 'min',
+  maxSizeMb: 'max',
+  modifiedAfter: 'after',
+  modifiedBefore: 'before',
+  scope: 'scope',
+};
+
+// Folder paths are kept without leading/trailing slashes; '' is the root
+export const normalizeFolder = (path) => (path || '').split('/').filter(Boolean).join('/');
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+};
+
+export const parseRoute = (hash) => {
+  const raw = (hash || '').replace(/^#\/?/, '');
+  const queryStart = raw.indexOf('?');
+  const pathPart = queryStart === -1 ? raw : raw.slice(0, queryStart);
+  const params = new URLSearchParams(queryStart === -1 ? '' : raw.slice(queryStart + 1));
+
+  const search = {};
+  Object.entries(SEARCH_PARAMS).forEach(([field, param]) => {
+    if (params.get(param)) search[field] = params.get(param);
+  });
+
+  return {
+    folder: pathPart.split('/').filter(Boolean).map(decodeSegment).join('/'),
+    preview: params.get('preview') || null,
+    view: params.get('view') || null,
+    search: Object.keys(search).length > 0 ? search : null,
+  };
+};
+
+export const buildHash = ({ folder, preview, view, search }) => {
+  const path = normalizeFolder(folder).split('/').filter(Boolean).map(encodeURIComponent).join('/');
+  const params = new URLSearchParams();
+  if (view) params.set('view', view);
+  if (preview) params.set('preview', preview);
+  Object.entries(SEARCH_PARAMS).forEach(([field, param]) => {
+    if (search?.[field]) params.set(param, search[field]);
+  });
+  const query = params.toString();
+  return `#/${path}${query ? `?${query}` : ''}`;
+};
@@ -0,0 +1,29 @@
+import { buildHash, normalizeFolder, parseRoute } from './route';
+
+describe('normalizeFolder', () => {
+  it('drops leading, trailing and repeated slashes', () => {
+    expect(normalizeFolder('/a//b/')).toBe('a/b');
+    expect(normalizeFolder('/')).toBe('');
+    expect(normalizeFolder(null)).toBe('');
+  });
+});
+
+describe('parseRoute and buildHash', () => {
+  it('parses an empty hash as the root', () => {
+    expect(parseRoute('')).toEqual({ folder: '', preview: null, view: null, search: null });
+  });
+
+  it.each([
+    { folder: '', preview: null, view: null, search: null },
+    { folder: 'docs/reports', preview: null, view: null, search: null },
+    { folder: 'a b/ü & #?', preview: 'a b/ü & #?/file name.pdf', view: null, search: null },
+    { folder: '', preview: null, view: 'usage', search: null },
+    { folder: 'docs', preview: null, view: null, search: { query: '*.pdf', extensions: 'pdf,docx', scope: 'current' } },
+  ])('round-trips %j', (route) => {
+    expect(parseRoute(buildHash(route))).toEqual(route);
+  });
+
+  it('ignores unknown parameters', () => {
+    expect(parseRoute('#/docs?foo=bar').search).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+// Build a predicate for the container-wide file search.
+// criteria: { query, extensions, minSize, maxSize, modifiedAfter, modifiedBefore }
+// - query: glob when it contains * or ? (whole name, case-insensitive), else substring
+// - extensions: "csv, json" or ".csv .json"
+// - minSize/maxSize: bytes; modifiedAfter/modifiedBefore: 'YYYY-MM-DD' (inclusive)
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+export const isGlob = (query) => /[*?]/.test(query);
+
+export const globToRegExp = (glob) => new RegExp(
+  `^${escapeRegExp(glob).replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+  'i'
+);
+
+export const parseExtensions = (text) => (text || '')
+  .split(/[\s,;]+/)
+  .map((ext) => ext.trim().replace(/^\*?\./, '').toLowerCase())
+  .filter(Boolean);
+
+const isSet = (value) => value !== null && value !== undefined;
+
+const makeNameTest = (query) => {
+  if (!query) return () => true;
+  if (isGlob(query)) {
+    const pattern = globToRegExp(query);
+    return (name) => pattern.test(name);
+  }
+  const needle = query.toLowerCase();
+  return (name) => name.toLowerCase().includes(needle);
+};
+
+const startOfDay = (date) => (date ? new Date(`${date}T00:00:00`).getTime() : null);
+const endOfDay = (date) => (date ? new Date(`${date}T23:59:59.999`).getTime() : null);
+
+export const buildFileMatcher = (criteria) => {
+  const nameTest = makeNameTest((criteria.query || '').trim());
+  const extensions = parseExtensions(criteria.extensions);
+  const after = startOfDay(criteria.modifiedAfter);
+  const before = endOfDay(criteria.modifiedBefore);
+  const { minSize, maxSize } = criteria;
+
+  return (file) => {
+    if (!nameTest(file.name)) return false;
+    if (extensions.length > 0) {
+      const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+      if (!extensions.includes(ext)) return false;
+    }
+    if (isSet(minSize) && file.size < minSize) return false;
+    if (isSet(maxSize) && file.size > maxSize) return false;
+    if (after !== null || before !== null) {
+      const modified = file.lastModified ? Date.parse(file.lastModified) : NaN;
+      if (Number.isNaN(modified)) return false;
+      if (after !== null && modified < after) return false;
+      if (before !== null && modified > before) return false;
+    }
+    return true;
+  };
+};
+
+// Whether the criteria would match everything (nothing to search for)
+export const isEmptySearch = (criteria) => !(criteria.query || '').trim()
+  && parseExtensions(criteria.extensions).length === 0
+  && !isSet(criteria.minSize) && !isSet(criteria.maxSize)
+  && !criteria.modifiedAfter && !criteria.modifiedBefore;
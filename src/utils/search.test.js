@@ -0,0 +1,52 @@
+import { buildFileMatcher, globToRegExp, isEmptySearch, isGlob, parseExtensions } from './search';
+
+const file = (name, extra = {}) => ({ name, size: 100, lastModified: '2024-03-10T12:00:00', ...extra });
+
+describe('globToRegExp', () => {
+  it('matches the whole name, case-insensitively, with regex characters taken literally', () => {
+    expect(isGlob('report-*.csv')).toBe(true);
+    expect(isGlob('report')).toBe(false);
+    expect(globToRegExp('report-*.csv').test('REPORT-2024.csv')).toBe(true);
+    expect(globToRegExp('report-*.csv').test('report-2024.csvx')).toBe(false);
+    expect(globToRegExp('a?(1).txt').test('ab(1).txt')).toBe(true);
+    expect(globToRegExp('a?(1).txt').test('ab1.txt')).toBe(false);
+  });
+});
+
+describe('parseExtensions', () => {
+  it('accepts commas, spaces, dots and wildcards', () => {
+    expect(parseExtensions('csv, .JSON *.txt;md')).toEqual(['csv', 'json', 'txt', 'md']);
+    expect(parseExtensions(null)).toEqual([]);
+  });
+});
+
+describe('buildFileMatcher', () => {
+  it('matches substrings unless the query is a glob', () => {
+    expect(buildFileMatcher({ query: 'port' })(file('Report.pdf'))).toBe(true);
+    expect(buildFileMatcher({ query: 'port*' })(file('Report.pdf'))).toBe(false);
+  });
+
+  it('filters by extension and size bounds', () => {
+    const matcher = buildFileMatcher({ extensions: 'pdf', minSize: 50, maxSize: 100 });
+    expect(matcher(file('a.pdf'))).toBe(true);
+    expect(matcher(file('a.PDF', { size: 101 }))).toBe(false);
+    expect(matcher(file('a.txt'))).toBe(false);
+    expect(matcher(file('pdf'))).toBe(false);
+  });
+
+  it('treats date bounds as whole days and skips files without a date', () => {
+    const matcher = buildFileMatcher({ modifiedAfter: '2024-03-10', modifiedBefore: '2024-03-10' });
+    expect(matcher(file('a', { lastModified: '2024-03-10T00:00:00' }))).toBe(true);
+    expect(matcher(file('a', { lastModified: '2024-03-10T23:59:59' }))).toBe(true);
+    expect(matcher(file('a', { lastModified: '2024-03-11T00:00:00' }))).toBe(false);
+    expect(matcher(file('a', { lastModified: null }))).toBe(false);
+  });
+});
+
+describe('isEmptySearch', () => {
+  it('is true only when no criterion is set', () => {
+    expect(isEmptySearch({ query: '  ', extensions: ', ' })).toBe(true);
+    expect(isEmptySearch({ minSize: 0 })).toBe(false);
+    expect(isEmptySearch({ modifiedAfter: '2024-01-01' })).toBe(false);
+  });
+});
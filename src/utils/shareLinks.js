@@ -0,0 +1,26 @@
+// Share link limits offered in the UI. Expiry is always required so no link
+// lives forever; the API may cap it lower.
+export const SHARE_EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 24 * 7, label: '7 days' },
+  { hours: 24 * 30, label: '30 days' },
+];
+
+export const DEFAULT_SHARE_EXPIRY_HOURS = 24;
+
+// A password only protects a link the API serves through its own landing
+// page (the link's `url`); the bare token URL downloads without asking. Only
+// offer passwords where the API is known to do that.
+export const SHARE_LINK_PASSWORDS = process.env.REACT_APP_SHARE_LINK_PASSWORDS === 'true';
+
+// Still usable: not expired and downloads left
+export const isLinkActive = (link, now = Date.now()) => {
+  if (link.revoked) return false;
+  if (link.expiresAt && Date.parse(link.expiresAt) <= now) return false;
+  return !link.maxDownloads || (link.downloadCount || 0) < link.maxDownloads;
+};
+
+export const describeDownloads = (link) => (link.maxDownloads
+  ? `${link.downloadCount || 0} / ${link.maxDownloads}`
+  : `${link.downloadCount || 0}`);
@@ -0,0 +1,27 @@
+import { DEFAULT_SHARE_EXPIRY_HOURS, SHARE_EXPIRY_OPTIONS, describeDownloads, isLinkActive } from './shareLinks';
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+
+describe('isLinkActive', () => {
+  it('is false once revoked, expired or used up', () => {
+    expect(isLinkActive({ expiresAt: '2024-06-02T00:00:00Z' }, NOW)).toBe(true);
+    expect(isLinkActive({ expiresAt: '2024-06-01T12:00:00Z' }, NOW)).toBe(false);
+    expect(isLinkActive({ revoked: true }, NOW)).toBe(false);
+    expect(isLinkActive({ maxDownloads: 2, downloadCount: 1 }, NOW)).toBe(true);
+    expect(isLinkActive({ maxDownloads: 2, downloadCount: 2 }, NOW)).toBe(false);
+  });
+});
+
+describe('describeDownloads', () => {
+  it('shows the limit when there is one', () => {
+    expect(describeDownloads({ maxDownloads: 5, downloadCount: 2 })).toBe('2 / 5');
+    expect(describeDownloads({ maxDownloads: 5 })).toBe('0 / 5');
+    expect(describeDownloads({ downloadCount: 7 })).toBe('7');
+  });
+});
+
+describe('SHARE_EXPIRY_OPTIONS', () => {
+  it('offers the default expiry', () => {
+    expect(SHARE_EXPIRY_OPTIONS.map((o) => o.hours)).toContain(DEFAULT_SHARE_EXPIRY_HOURS);
+  });
+});
@@ -0,0 +1,20 @@
+// Rolling transfer-rate meter. Feed it cumulative bytes sent; it reports the
+// rate over the last few seconds and the time left at that rate.
+const WINDOW_MS = 5000;
+
+export const createTransferMeter = () => {
+  const samples = [];
+  return (loadedBytes, totalBytes) => {
+    const now = Date.now();
+    samples.push({ time: now, loaded: loadedBytes });
+    while (samples.length > 2 && now - samples[0].time > WINDOW_MS) {
+      samples.shift();
+    }
+    const first = samples[0];
+    const elapsed = (now - first.time) / 1000;
+    // A retried chunk can move the total backwards; never report a negative rate
+    const bytesPerSecond = elapsed > 0 ? Math.max(0, (loadedBytes - first.loaded) / elapsed) : 0;
+    const etaSeconds = bytesPerSecond > 0 ? (totalBytes - loadedBytes) / bytesPerSecond : null;
+    return { bytesPerSecond, etaSeconds };
+  };
+};
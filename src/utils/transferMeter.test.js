@@ -0,0 +1,40 @@
+import { createTransferMeter } from './transferMeter';
+
+describe('createTransferMeter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports the rate since the first sample and the time left at that rate', () => {
+    const meter = createTransferMeter();
+    expect(meter(0, 1000)).toEqual({ bytesPerSecond: 0, etaSeconds: null });
+    now = 2000;
+    expect(meter(200, 1000)).toEqual({ bytesPerSecond: 100, etaSeconds: 8 });
+  });
+
+  it('only looks at the last few seconds', () => {
+    const meter = createTransferMeter();
+    meter(0, 10000);
+    now = 1000;
+    meter(5000, 10000);
+    now = 7000;
+    meter(6000, 10000);
+    now = 8000;
+    // The first two samples have aged out; only 6000 -> 6100 over one second counts
+    expect(meter(6100, 10000).bytesPerSecond).toBe(100);
+  });
+
+  it('never reports a negative rate when a retry moves progress back', () => {
+    const meter = createTransferMeter();
+    meter(500, 1000);
+    now = 1000;
+    expect(meter(300, 1000)).toEqual({ bytesPerSecond: 0, etaSeconds: null });
+  });
+});
@@ -0,0 +1,44 @@
+// Name clashes between files about to be uploaded and files already in the
+// folder. Only the loaded part of a paged listing is known, so this catches
+// the common case rather than guaranteeing no overwrite.
+
+export const CONFLICT_CHOICES = {
+  overwrite: 'Overwrite',
+  keepBoth: 'Keep both',
+  skip: 'Skip',
+};
+
+const splitName = (name) => {
+  const dot = name.lastIndexOf('.');
+  // ".env" and "README" have no extension to keep
+  return dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+};
+
+// "report.pdf" -> "report (1).pdf", "report (2).pdf", ... whichever is free
+export const uniqueName = (name, taken) => {
+  const [stem, ext] = splitName(name);
+  let n = 1;
+  while (taken.has(`${stem} (${n})${ext}`)) n += 1;
+  return `${stem} (${n})${ext}`;
+};
+
+// Queue items ({ file, folder }) that would land on an existing name in `folder`
+export const findConflicts = (items, folder, existingNames) => items
+  .filter((item) => item.folder === folder && existingNames.has(item.file.name));
+
+// Apply the user's choices: { [file name]: 'overwrite' | 'keepBoth' | 'skip' }.
+// Kept copies get a suffixed name that clashes with neither the folder nor
+// anything else in this batch.
+export const resolveConflicts = (items, folder, existingNames, choices) => {
+  const taken = new Set([...existingNames, ...items.filter((i) => i.folder === folder).map((i) => i.file.name)]);
+  return items.flatMap((item) => {
+    if (item.folder !== folder || !existingNames.has(item.file.name)) return [item];
+    const choice = choices[item.file.name];
+    if (choice === 'skip') return [];
+    if (choice !== 'keepBoth') return [item];
+    const name = uniqueName(item.file.name, taken);
+    taken.add(name);
+    const file = new File([item.file], name, { type: item.file.type, lastModified: item.file.lastModified });
+    return [{ ...item, file }];
+  });
+};
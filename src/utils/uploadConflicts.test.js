@@ -0,0 +1,51 @@
+import { findConflicts, resolveConflicts, uniqueName } from './uploadConflicts';
+
+const item = (name, folder = 'docs') => ({ file: new File(['x'], name, { type: 'text/plain' }), folder });
+
+describe('uniqueName', () => {
+  it('numbers the stem and keeps the extension', () => {
+    expect(uniqueName('report.pdf', new Set(['report.pdf']))).toBe('report (1).pdf');
+  });
+
+  it('skips numbers already taken', () => {
+    const taken = new Set(['report.pdf', 'report (1).pdf', 'report (2).pdf']);
+    expect(uniqueName('report.pdf', taken)).toBe('report (3).pdf');
+  });
+
+  it('treats dot files and names without a dot as having no extension', () => {
+    expect(uniqueName('.env', new Set())).toBe('.env (1)');
+    expect(uniqueName('README', new Set())).toBe('README (1)');
+  });
+
+  it('only splits at the last dot', () => {
+    expect(uniqueName('archive.tar.gz', new Set())).toBe('archive.tar (1).gz');
+  });
+});
+
+describe('findConflicts', () => {
+  it('returns items whose name exists in the same folder', () => {
+    const items = [item('a.txt'), item('b.txt'), item('a.txt', 'other')];
+    expect(findConflicts(items, 'docs', new Set(['a.txt']))).toEqual([items[0]]);
+  });
+});
+
+describe('resolveConflicts', () => {
+  const existing = new Set(['a.txt', 'a (1).txt', 'b.txt', 'c.txt']);
+
+  it('applies overwrite, keep both and skip per name', () => {
+    const items = [item('a.txt'), item('b.txt'), item('c.txt'), item('new.txt')];
+    const resolved = resolveConflicts(items, 'docs', existing, { 'a.txt': 'keepBoth', 'b.txt': 'skip', 'c.txt': 'overwrite' });
+    expect(resolved.map((i) => i.file.name)).toEqual(['a (2).txt', 'c.txt', 'new.txt']);
+  });
+
+  it('keeps renamed copies clear of other files in the batch', () => {
+    const items = [item('a.txt'), item('a (2).txt')];
+    const resolved = resolveConflicts(items, 'docs', existing, { 'a.txt': 'keepBoth' });
+    expect(resolved.map((i) => i.file.name)).toEqual(['a (3).txt', 'a (2).txt']);
+  });
+
+  it('leaves items for other folders untouched', () => {
+    const items = [item('a.txt', 'other')];
+    expect(resolveConflicts(items, 'docs', existing, { 'a.txt': 'skip' })).toEqual(items);
+  });
+});
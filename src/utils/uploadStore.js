@@ -0,0 +1,70 @@
+// Persists chunked upload progress in IndexedDB so an interrupted upload
+// can be resumed after a reload by re-selecting the same file.
+const DB_NAME = 'storage-wrapper-uploads';
+const DB_VERSION = 1;
+const STORE_NAME = 'chunkedUploads';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'fingerprint' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // Allow a later retry if opening failed (e.g. private browsing)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const runRequest = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const getUploadState = (fingerprint) =>
+  runRequest('readonly', (store) => store.get(fingerprint));
+
+export const listUploadStates = () =>
+  runRequest('readonly', (store) => store.getAll());
+
+export const saveUploadState = (state) =>
+  runRequest('readwrite', (store) => store.put({ ...state, updatedAt: Date.now() }));
+
+export const deleteUploadState = (fingerprint) =>
+  runRequest('readwrite', (store) => store.delete(fingerprint));
+
+// Identify a file across page reloads. Name, size and mtime are cheap; a hash of
+// the first megabyte guards against a different file that happens to share them.
+export const fingerprintFile = async (file) => {
+  const base = `${file.name}|${file.size}|${file.lastModified}`;
+  try {
+    if (!window.crypto?.subtle) return base;
+    const head = await file.slice(0, 1024 * 1024).arrayBuffer();
+    const digest = await window.crypto.subtle.digest('SHA-256', head);
+    const hex = Array.from(new Uint8Array(digest))
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join('');
+    return `${base}|${hex}`;
+  } catch (e) {
+    console.warn('Failed to hash file head, using metadata fingerprint:', e?.message || e);
+    return base;
+  }
+};
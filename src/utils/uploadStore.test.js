@@ -0,0 +1,28 @@
+import { fingerprintFile, getUploadState } from './uploadStore';
+
+const file = { name: 'a.bin', size: 3, lastModified: 42, slice: () => new Blob(['abc']) };
+
+describe('fingerprintFile', () => {
+  afterEach(() => {
+    delete window.crypto;
+  });
+
+  it('falls back to name, size and mtime without WebCrypto', async () => {
+    expect(await fingerprintFile(file)).toMatch(/^a\.bin\|3\|42/);
+  });
+
+  it('appends a hash of the head of the file when WebCrypto is available', async () => {
+    const digest = jest.fn(async () => new Uint8Array([1, 171]).buffer);
+    const arrayBuffer = jest.fn(async () => new ArrayBuffer(3));
+    Object.defineProperty(window, 'crypto', { value: { subtle: { digest } }, configurable: true });
+    const fingerprint = await fingerprintFile({ ...file, slice: () => ({ arrayBuffer }) });
+    expect(fingerprint).toBe('a.bin|3|42|01ab');
+    expect(digest).toHaveBeenCalledWith('SHA-256', expect.any(ArrayBuffer));
+  });
+});
+
+describe('upload state', () => {
+  it('rejects when IndexedDB is unavailable, so callers can carry on without it', async () => {
+    await expect(getUploadState('x')).rejects.toThrow(/IndexedDB/);
+  });
+});
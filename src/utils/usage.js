@@ -0,0 +1,82 @@
+import { filePathIn } from './folderWalk';
+
+// Storage usage figures for the admin dashboard, built either from the usage
+// summary API or incrementally from a recursive listing.
+//   { folders: [{ path, size, count }], largestFiles: [{ path, size, lastModified }],
+//     uploadsByDay: [{ date, size, count }], uploaders: [{ uploader, size, count }] }
+
+export const LARGEST_FILES = 20;
+export const UPLOAD_HISTORY_DAYS = 30;
+export const ROOT_LABEL = '(root)';
+
+// File fields that may name who uploaded a blob, in order of preference
+const UPLOADER_FIELDS = ['uploadedBy', 'uploader', 'createdBy'];
+const UNKNOWN_UPLOADER = 'Unknown';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+const bump = (map, key, size) => {
+  const entry = map.get(key) || { size: 0, count: 0 };
+  entry.size += size;
+  entry.count += 1;
+  map.set(key, entry);
+};
+
+export const createUsageAccumulator = (now = Date.now()) => {
+  const folders = new Map();
+  const days = new Map();
+  const uploaders = new Map();
+  let largest = [];
+  const since = now - UPLOAD_HISTORY_DAYS * DAY_MS;
+
+  // `folder` is the listing the file came from ('' for the root)
+  const add = (folder, file) => {
+    const size = Number(file.size) || 0;
+    const path = filePathIn(folder, file);
+    bump(folders, folder.split('/')[0] || ROOT_LABEL, size);
+
+    const uploader = UPLOADER_FIELDS.map((field) => file[field]).find(Boolean) || UNKNOWN_UPLOADER;
+    bump(uploaders, String(uploader), size);
+
+    const modified = file.lastModified ? Date.parse(file.lastModified) : NaN;
+    if (!Number.isNaN(modified) && modified >= since) bump(days, dayKey(modified), size);
+
+    // Keep the top list short: only re-sort when a file would make the cut
+    if (largest.length < LARGEST_FILES || size > largest[largest.length - 1].size) {
+      largest = [...largest, { path, size, lastModified: file.lastModified || null }]
+        .sort((a, b) => b.size - a.size)
+        .slice(0, LARGEST_FILES);
+    }
+  };
+
+  const snapshot = () => {
+    const uploadsByDay = [];
+    for (let time = since; time <= now; time += DAY_MS) {
+      const date = dayKey(time);
+      if (uploadsByDay.length === 0 || uploadsByDay[uploadsByDay.length - 1].date !== date) {
+        uploadsByDay.push({ date, ...(days.get(date) || { size: 0, count: 0 }) });
+      }
+    }
+    return {
+      folders: [...folders].map(([path, v]) => ({ path, ...v })).sort((a, b) => b.size - a.size),
+      largestFiles: largest,
+      uploadsByDay,
+      uploaders: [...uploaders].map(([uploader, v]) => ({ uploader, ...v })).sort((a, b) => b.size - a.size),
+    };
+  };
+
+  return { add, snapshot };
+};
+
+// CSV rows for each dashboard section
+export const usageCsvRows = {
+  folders: (usage) => [['Folder', 'Bytes', 'Blobs'], ...usage.folders.map((f) => [f.path, f.size, f.count])],
+  largestFiles: (usage) => [
+    ['Path', 'Bytes', 'Last modified'],
+    ...usage.largestFiles.map((f) => [f.path, f.size, f.lastModified || '']),
+  ],
+  uploadsByDay: (usage) => [['Date', 'Bytes', 'Blobs'], ...usage.uploadsByDay.map((d) => [d.date, d.size, d.count])],
+  uploaders: (usage) => [['Uploader', 'Bytes', 'Blobs'], ...usage.uploaders.map((u) => [u.uploader, u.size, u.count])],
+};
@@ -0,0 +1,52 @@
+import { LARGEST_FILES, ROOT_LABEL, UPLOAD_HISTORY_DAYS, createUsageAccumulator, usageCsvRows } from './usage';
+
+const NOW = Date.parse('2024-06-30T12:00:00Z');
+
+describe('createUsageAccumulator', () => {
+  it('totals by top-level folder and by uploader, largest first', () => {
+    const usage = createUsageAccumulator(NOW);
+    usage.add('', { name: 'root.txt', size: 5 });
+    usage.add('docs', { name: 'a.pdf', size: 100, uploadedBy: 'ann' });
+    usage.add('docs/deep', { name: 'b.pdf', size: 50, createdBy: 'bob' });
+    usage.add('media', { name: 'c.png', size: '20', uploader: 'ann' });
+
+    const { folders, uploaders } = usage.snapshot();
+    expect(folders).toEqual([
+      { path: 'docs', size: 150, count: 2 },
+      { path: 'media', size: 20, count: 1 },
+      { path: ROOT_LABEL, size: 5, count: 1 },
+    ]);
+    expect(uploaders).toEqual([
+      { uploader: 'ann', size: 120, count: 2 },
+      { uploader: 'bob', size: 50, count: 1 },
+      { uploader: 'Unknown', size: 5, count: 1 },
+    ]);
+  });
+
+  it('keeps only the largest files', () => {
+    const usage = createUsageAccumulator(NOW);
+    for (let i = 1; i <= LARGEST_FILES + 5; i += 1) usage.add('f', { name: `${i}.bin`, size: i });
+    const { largestFiles } = usage.snapshot();
+    expect(largestFiles).toHaveLength(LARGEST_FILES);
+    expect(largestFiles[0]).toEqual({ path: `f/${LARGEST_FILES + 5}.bin`, size: LARGEST_FILES + 5, lastModified: null });
+    expect(largestFiles[largestFiles.length - 1].size).toBe(6);
+  });
+
+  it('charts every recent day, including quiet ones, and skips older uploads', () => {
+    const usage = createUsageAccumulator(NOW);
+    usage.add('', { name: 'today', size: 1, lastModified: '2024-06-30T08:00:00Z' });
+    usage.add('', { name: 'today2', size: 2, lastModified: '2024-06-30T09:00:00Z' });
+    usage.add('', { name: 'old', size: 4, lastModified: '2024-01-01T00:00:00Z' });
+    const { uploadsByDay } = usage.snapshot();
+    expect(uploadsByDay).toHaveLength(UPLOAD_HISTORY_DAYS + 1);
+    expect(uploadsByDay[uploadsByDay.length - 1]).toEqual({ date: '2024-06-30', size: 3, count: 2 });
+    expect(uploadsByDay[0]).toEqual({ date: '2024-05-31', size: 0, count: 0 });
+  });
+});
+
+describe('usageCsvRows', () => {
+  it('writes a header and one row per entry', () => {
+    const usage = { largestFiles: [{ path: 'a', size: 1, lastModified: null }] };
+    expect(usageCsvRows.largestFiles(usage)).toEqual([['Path', 'Bytes', 'Last modified'], ['a', 1, '']]);
+  });
+});
@@ -0,0 +1,111 @@
+import { makeZip } from 'client-zip';
+
+// Largest archive built without the File System Access API. Those browsers
+// hold the whole ZIP in memory until it is saved, so bigger downloads are
+// refused up front instead of exhausting the tab.
+export const MAX_BUFFERED_ZIP_BYTES = 500 * 1024 * 1024;
+
+// Where the finished archive goes. With the File System Access API the ZIP is
+// written to disk as it is produced and there is no size limit; otherwise it
+// is assembled in memory and saved once complete, up to `maxBytes`.
+// `abort()` discards a sink that will not be written, or was only partly
+// written, so no locked or half-written file is left behind.
+// Must be called straight from a click handler: the save picker needs user activation.
+export const openZipSink = async (archiveName) => {
+  if (window.showSaveFilePicker) {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: archiveName,
+      types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+    });
+    const writable = await handle.createWritable();
+    return {
+      streaming: true,
+      maxBytes: null,
+      write: (stream, signal) => stream.pipeTo(writable, { signal }),
+      // Already aborted when a pipe failed; that second abort is harmless
+      abort: () => writable.abort().catch(() => {}),
+    };
+  }
+  return {
+    streaming: false,
+    maxBytes: MAX_BUFFERED_ZIP_BYTES,
+    abort: async () => {},
+    write: async (stream) => {
+      const blob = await new Response(stream).blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = archiveName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    },
+  };
+};
+
+const countBytes = (body, onChunk) => body.pipeThrough(new TransformStream({
+  transform(chunk, controller) {
+    onChunk(chunk.byteLength);
+    controller.enqueue(chunk);
+  },
+}));
+
+// Stream blobs one at a time into a ZIP written to `sink`.
+// entries: [{ path, zipPath, lastModified }]
+// Files that cannot be fetched are skipped and listed in download-errors.txt
+// inside the archive; a failure part-way through a file aborts the archive.
+export const streamZip = async ({ entries, sink, getDownloadUrl, signal, onProgress }) => {
+  const errors = [];
+  let filesDone = 0;
+  let bytesDone = 0;
+  let lastReport = 0;
+  // Byte counts arrive per network chunk; only report a few times a second
+  const report = (force = true) => {
+    const now = Date.now();
+    if (!force && now - lastReport < 250) return;
+    lastReport = now;
+    onProgress?.({ filesDone, bytesDone, errors: [...errors] });
+  };
+
+  const addBytes = (n) => {
+    bytesDone += n;
+    report(false);
+  };
+
+  async function* inputs() {
+    for (const entry of entries) {
+      signal?.throwIfAborted();
+      let response = null;
+      try {
+        const url = await getDownloadUrl(entry.path);
+        response = await fetch(url, { signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`Skipping ${entry.path} in ZIP:`, error?.message || error);
+        errors.push({ path: entry.path, error: error.message || 'Download failed' });
+        filesDone += 1;
+        report();
+        continue;
+      }
+      yield {
+        name: entry.zipPath,
+        lastModified: entry.lastModified ? new Date(entry.lastModified) : undefined,
+        input: countBytes(response.body, addBytes),
+      };
+      filesDone += 1;
+      report();
+    }
+    if (errors.length > 0) {
+      yield {
+        name: 'download-errors.txt',
+        lastModified: new Date(),
+        input: errors.map((e) => `${e.path}\t${e.error}`).join('\n'),
+      };
+    }
+  }
+
+  await sink.write(makeZip(inputs()), signal);
+  return { errors };
+};
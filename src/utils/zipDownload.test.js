@@ -0,0 +1,107 @@
+import { ReadableStream, TransformStream } from 'stream/web';
+import { MAX_BUFFERED_ZIP_BYTES, openZipSink, streamZip } from './zipDownload';
+
+// jsdom has no web streams or fetch; Node's streams stand in for the browser's
+const streamOf = (value) => new ReadableStream({
+  start(controller) {
+    controller.enqueue(new TextEncoder().encode(value));
+    controller.close();
+  },
+});
+
+const readAll = async (stream) => {
+  const chunks = [];
+  const reader = stream.getReader();
+  for (let next = await reader.read(); !next.done; next = await reader.read()) chunks.push(next.value);
+  return Buffer.concat(chunks).toString('latin1');
+};
+
+// Collects the archive instead of saving it
+const memorySink = () => {
+  const sink = {
+    archive: null,
+    write: async (stream) => {
+      sink.archive = await readAll(stream);
+    },
+    abort: async () => {},
+  };
+  return sink;
+};
+
+const fakeFetch = async (url) => (url.includes('missing')
+  ? { ok: false, status: 404 }
+  : { ok: true, status: 200, body: streamOf(`contents of ${url}`) });
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  Object.assign(global, { ReadableStream, TransformStream, fetch: fakeFetch });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.ReadableStream;
+  delete global.TransformStream;
+  delete global.fetch;
+});
+
+describe('streamZip', () => {
+  it('zips each file under its archive path and lists the ones it skipped', async () => {
+    const sink = memorySink();
+    const progress = [];
+    const { errors } = await streamZip({
+      entries: [
+        { path: 'docs/a.txt', zipPath: 'docs/a.txt' },
+        { path: 'docs/missing.txt', zipPath: 'docs/missing.txt' },
+      ],
+      sink,
+      getDownloadUrl: async (path) => `https://blob.test/${path}`,
+      onProgress: (p) => progress.push(p),
+    });
+
+    expect(errors).toEqual([{ path: 'docs/missing.txt', error: 'HTTP 404' }]);
+    expect(sink.archive).toContain('docs/a.txt');
+    expect(sink.archive).toContain('contents of https://blob.test/docs/a.txt');
+    expect(sink.archive).toContain('download-errors.txt');
+    expect(sink.archive).toContain('docs/missing.txt\tHTTP 404');
+    expect(progress[progress.length - 1]).toMatchObject({ filesDone: 2 });
+  });
+
+  it('stops at the next file once the signal aborts', async () => {
+    const controller = new AbortController();
+    const requested = [];
+    const getDownloadUrl = async (path) => {
+      requested.push(path);
+      controller.abort();
+      return `https://blob.test/${path}`;
+    };
+    await expect(streamZip({
+      entries: [{ path: 'a', zipPath: 'a' }, { path: 'b', zipPath: 'b' }],
+      sink: memorySink(),
+      getDownloadUrl,
+      signal: controller.signal,
+    })).rejects.toBeDefined();
+    expect(requested).toEqual(['a']);
+  });
+});
+
+describe('openZipSink', () => {
+  afterEach(() => {
+    delete window.showSaveFilePicker;
+  });
+
+  it('streams to the picked file and aborts the writable, ignoring a second abort', async () => {
+    const writable = { abort: jest.fn(async () => { throw new Error('already aborted'); }) };
+    window.showSaveFilePicker = jest.fn(async () => ({ createWritable: async () => writable }));
+    const sink = await openZipSink('docs.zip');
+    expect(window.showSaveFilePicker).toHaveBeenCalledWith(expect.objectContaining({ suggestedName: 'docs.zip' }));
+    expect(sink).toMatchObject({ streaming: true, maxBytes: null });
+    await expect(sink.abort()).resolves.toBeUndefined();
+    expect(writable.abort).toHaveBeenCalled();
+  });
+
+  it('buffers in memory, up to a cap, without the File System Access API', async () => {
+    const sink = await openZipSink('docs.zip');
+    expect(sink).toMatchObject({ streaming: false, maxBytes: MAX_BUFFERED_ZIP_BYTES });
+    await expect(sink.abort()).resolves.toBeUndefined();
+  });
+});